@@ -4,6 +4,183 @@ const MESSAGE_TYPE_LOCATION_REQUEST = 'locationRequest';
 const MESSAGE_TYPE_LOCATION = 'location';
 const MESSAGE_TYPE_INVITE = 'invite';
 const MESSAGE_TYPE_ACCEPT_INVITE = 'acceptInvite';
+const MESSAGE_TYPE_GEOFENCE_EVENT = 'geofenceEvent';
+const MESSAGE_TYPE_LOCATION_REQUEST_EXPIRED = 'locationRequestExpired';
+const MESSAGE_TYPE_SOS = 'sos';
+const MESSAGE_TYPE_SOS_ACKNOWLEDGED = 'sosAcknowledged';
+const MESSAGE_TYPE_FAMILY_DELETED = 'familyDeleted';
+const MESSAGE_TYPE_MEMBER_LEFT = 'memberLeft';
+const MESSAGE_TYPE_OWNERSHIP_TRANSFERRED = 'ownershipTransferred';
+const MESSAGE_TYPE_LOW_BATTERY = 'lowBattery';
+const MESSAGE_TYPE_WENT_OFFLINE = 'wentOffline';
+const MESSAGE_TYPE_CHECK_IN_SUMMARY = 'checkInSummary';
+
+const GEOFENCE_TRANSITION_ENTER = 'enter';
+const GEOFENCE_TRANSITION_EXIT = 'exit';
+
+const PLATFORM_ANDROID = 'android';
+const PLATFORM_IOS = 'ios';
+const LANGUAGE_DEFAULT = 'en';
+const MESSAGE_TYPES_BACKGROUND = [MESSAGE_TYPE_LOCATION_REQUEST, MESSAGE_TYPE_LOCATION];                                // the app handles them unseen, so they get no notification
+const NOTIFICATION_NAME_ATTRIBUTES = ['senderEmail', 'invitingEmail', 'inviteeEmail', 'ownerEmail'];                    // the ones a template fills in with someone when missing
+const NOTIFICATION_TEMPLATES = {                                                                                        // per language and message type (and transition): {attribute} is a message data attribute
+    en: {
+        someone: 'A family member',                                                                                     // in place of a name the message has no value for
+        [MESSAGE_TYPE_INVITE]: {title: 'Family invite', body: '{invitingEmail} invited you to join the family'},
+        [MESSAGE_TYPE_ACCEPT_INVITE]: {title: 'Invite accepted', body: '{inviteeEmail} accepted your invite'},
+        [`${MESSAGE_TYPE_GEOFENCE_EVENT}.${GEOFENCE_TRANSITION_ENTER}`]: {title: '{geofenceName}', body: '{senderEmail} arrived at {geofenceName}', plain: {title: 'Geofence', body: '{senderEmail} entered a geofence'}},
+        [`${MESSAGE_TYPE_GEOFENCE_EVENT}.${GEOFENCE_TRANSITION_EXIT}`]: {title: '{geofenceName}', body: '{senderEmail} left {geofenceName}', plain: {title: 'Geofence', body: '{senderEmail} left a geofence'}},
+        [MESSAGE_TYPE_LOCATION_REQUEST_EXPIRED]: {title: 'Location request expired', body: 'Not everybody shared a location in time'},
+        [MESSAGE_TYPE_SOS]: {title: 'SOS', body: '{senderEmail} needs help'},
+        [MESSAGE_TYPE_SOS_ACKNOWLEDGED]: {title: 'SOS acknowledged', body: '{senderEmail} responded to the SOS'},
+        [MESSAGE_TYPE_FAMILY_DELETED]: {title: 'Family deleted', body: '{senderEmail} deleted the family'},
+        [MESSAGE_TYPE_MEMBER_LEFT]: {title: 'Member left', body: '{senderEmail} left the family'},
+        [MESSAGE_TYPE_OWNERSHIP_TRANSFERRED]: {title: 'New family owner', body: '{ownerEmail} now owns the family'},
+        [MESSAGE_TYPE_LOW_BATTERY]: {title: 'Low battery', body: 'A family member battery is at {batteryLevel}%', plain: {title: 'Low battery', body: 'A family member battery is low'}},
+        [MESSAGE_TYPE_WENT_OFFLINE]: {title: 'Member offline', body: 'A family member has not been seen for a while'},
+        [MESSAGE_TYPE_CHECK_IN_SUMMARY]: {title: 'Check-in at {checkInTime}', body: 'See who checked in and who missed', plain: {title: 'Check-in', body: 'See who checked in and who missed'}},
+    },
+    ru: {
+        someone: 'Член семьи',
+        [MESSAGE_TYPE_INVITE]: {title: 'Приглашение в семью', body: '{invitingEmail} приглашает вас в семью'},
+        [MESSAGE_TYPE_ACCEPT_INVITE]: {title: 'Приглашение принято', body: '{inviteeEmail} принимает ваше приглашение'},
+        [`${MESSAGE_TYPE_GEOFENCE_EVENT}.${GEOFENCE_TRANSITION_ENTER}`]: {title: '{geofenceName}', body: '{senderEmail}: прибытие в {geofenceName}', plain: {title: 'Геозона', body: '{senderEmail}: прибытие в геозону'}},
+        [`${MESSAGE_TYPE_GEOFENCE_EVENT}.${GEOFENCE_TRANSITION_EXIT}`]: {title: '{geofenceName}', body: '{senderEmail}: уход из {geofenceName}', plain: {title: 'Геозона', body: '{senderEmail}: уход из геозоны'}},
+        [MESSAGE_TYPE_LOCATION_REQUEST_EXPIRED]: {title: 'Запрос истёк', body: 'Не все вовремя поделились местоположением'},
+        [MESSAGE_TYPE_SOS]: {title: 'SOS', body: '{senderEmail} нужна помощь'},
+        [MESSAGE_TYPE_SOS_ACKNOWLEDGED]: {title: 'SOS принят', body: '{senderEmail} отвечает на SOS'},
+        [MESSAGE_TYPE_FAMILY_DELETED]: {title: 'Семья удалена', body: '{senderEmail} удаляет семью'},
+        [MESSAGE_TYPE_MEMBER_LEFT]: {title: 'Выход из семьи', body: '{senderEmail} покидает семью'},
+        [MESSAGE_TYPE_OWNERSHIP_TRANSFERRED]: {title: 'Новый владелец семьи', body: 'Теперь семьёй владеет {ownerEmail}'},
+        [MESSAGE_TYPE_LOW_BATTERY]: {title: 'Батарея разряжается', body: 'Заряд батареи члена семьи: {batteryLevel}%', plain: {title: 'Батарея разряжается', body: 'Батарея члена семьи разряжается'}},
+        [MESSAGE_TYPE_WENT_OFFLINE]: {title: 'Нет связи', body: 'Член семьи давно не выходит на связь'},
+        [MESSAGE_TYPE_CHECK_IN_SUMMARY]: {title: 'Отметка в {checkInTime}', body: 'Посмотрите, кто отметился, а кто нет', plain: {title: 'Отметка', body: 'Посмотрите, кто отметился, а кто нет'}},
+    },
+};
+
+const LOCATION_REQUEST_STATUS_OPEN = 'open';
+const LOCATION_REQUEST_STATUS_COMPLETED = 'completed';
+const LOCATION_REQUEST_STATUS_EXPIRED = 'expired';
+const LOCATION_REQUEST_TIMEOUT_MILLIS = 5 * 60 * 1000;
+
+const SOS_STATUS_OPEN = 'open';
+const SOS_STATUS_ACKNOWLEDGED = 'acknowledged';
+const SOS_ESCALATION_INTERVALS_MINUTES = [1, 2, 5, 10];                                                                 // re-sending delays; then secondary contacts are notified
+
+const GEOFENCE_ATTRIBUTES = ['name', 'latitude', 'longitude', 'radius', 'schedule'];
+const GEOFENCE_SCHEDULE_ATTRIBUTES = ['days', 'startTime', 'endTime'];
+const EARTH_RADIUS_METERS = 6371000;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME_ZONE_DEFAULT = 'UTC';
+const CHECK_IN_TIMES_MAX = 10;
+const CHECK_IN_CATCH_UP_MINUTES_MAX = 60;                                                                               // check-in times missed longer ago are not worth asking about
+
+const INVITE_STATUS_PENDING = 'pending';
+const INVITE_STATUS_ACCEPTED = 'accepted';
+const INVITE_STATUS_DECLINED = 'declined';
+const INVITE_STATUS_REVOKED = 'revoked';
+const INVITE_STATUS_EXPIRED = 'expired';
+const INVITE_TTL_MILLIS = 7 * 24 * 60 * 60 * 1000;                                                                      // an invite is valid for a week
+const INVITE_TOKEN_BYTES = 16;
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';                                                        // no 0, O, 1 and I to misread; 32 characters, so a byte maps evenly
+const INVITE_CODE_LENGTH = 8;
+const INVITE_CODE_TTL_MINUTES_DEFAULT = 24 * 60;
+const INVITE_CODE_TTL_MINUTES_MAX = 7 * 24 * 60;
+const INVITE_CODE_USES_MAX = 20;
+
+const ROLE_OWNER = 'owner';
+const ROLE_GUARDIAN = 'guardian';
+const ROLE_MEMBER = 'member';                                                                                           // a minor
+
+const ACTION_VIEW_FAMILY = 'viewFamily';
+const ACTION_MANAGE_MEMBERS = 'manageMembers';
+const ACTION_MANAGE_GUARDIANS = 'manageGuardians';
+const ACTION_MANAGE_SETTINGS = 'manageSettings';
+const ACTION_MANAGE_GEOFENCES = 'manageGeofences';
+const ACTION_LOCATE = 'locate';
+const ACTION_SEND_SOS = 'sendSos';
+const ACTION_MANAGE_FAMILY = 'manageFamily';
+const ACTION_MANAGE_CHECK_INS = 'manageCheckIns';
+
+const ACTIVITY_TYPE_FAMILY_CREATED = 'familyCreated';
+const ACTIVITY_TYPE_MEMBER_ADDED = 'memberAdded';
+const ACTIVITY_TYPE_MEMBER_REMOVED = 'memberRemoved';
+const ACTIVITY_TYPE_MEMBER_JOINED = 'memberJoined';
+const ACTIVITY_TYPE_MEMBER_LEFT = 'memberLeft';
+const ACTIVITY_TYPE_ROLE_CHANGED = 'roleChanged';
+const ACTIVITY_TYPE_OWNERSHIP_TRANSFERRED = 'ownershipTransferred';
+const ACTIVITY_TYPE_SETTINGS_UPDATED = 'settingsUpdated';
+const ACTIVITY_TYPE_GEOFENCE_CREATED = 'geofenceCreated';
+const ACTIVITY_TYPE_GEOFENCE_UPDATED = 'geofenceUpdated';
+const ACTIVITY_TYPE_GEOFENCE_DELETED = 'geofenceDeleted';
+const ACTIVITY_TYPE_SOS_SENT = 'sosSent';
+const ACTIVITY_TYPE_SOS_ACKNOWLEDGED = 'sosAcknowledged';
+const ACTIVITY_TYPE_INVITE_SENT = 'inviteSent';
+const ACTIVITY_TYPE_INVITE_REVOKED = 'inviteRevoked';
+const ACTIVITY_TYPE_INVITE_DECLINED = 'inviteDeclined';
+const ACTIVITY_TYPE_INVITE_CODE_CREATED = 'inviteCodeCreated';
+const ACTIVITY_TYPE_INVITE_CODE_REVOKED = 'inviteCodeRevoked';
+const ACTIVITY_TYPE_LOCATIONS_REQUESTED = 'locationsRequested';
+const ACTIVITY_TYPE_SHARING_UPDATED = 'sharingUpdated';
+const ACTIVITY_TYPE_CHECK_IN_CREATED = 'checkInCreated';
+const ACTIVITY_TYPE_CHECK_IN_DELETED = 'checkInDeleted';
+const ACTIVITY_TYPE_PROFILE_UPDATED = 'profileUpdated';
+const ACTIVITY_TYPES_PUBLIC = [                                                                                         // visible to every member; others to the actor, the subjects and the adults only
+    ACTIVITY_TYPE_FAMILY_CREATED, ACTIVITY_TYPE_MEMBER_ADDED, ACTIVITY_TYPE_MEMBER_REMOVED, ACTIVITY_TYPE_MEMBER_JOINED,
+    ACTIVITY_TYPE_MEMBER_LEFT, ACTIVITY_TYPE_ROLE_CHANGED, ACTIVITY_TYPE_OWNERSHIP_TRANSFERRED, ACTIVITY_TYPE_SETTINGS_UPDATED,
+    ACTIVITY_TYPE_GEOFENCE_CREATED, ACTIVITY_TYPE_GEOFENCE_UPDATED, ACTIVITY_TYPE_GEOFENCE_DELETED,
+    ACTIVITY_TYPE_SOS_SENT, ACTIVITY_TYPE_SOS_ACKNOWLEDGED, ACTIVITY_TYPE_PROFILE_UPDATED,
+];
+const ACTIVITY_AUDIENCE_ALL = '*';
+const ACTIVITY_PAGE_SIZE_DEFAULT = 50;
+const ACTIVITY_PAGE_SIZE_MAX = 200;
+
+const LOCATION_RETENTION_DAYS_DEFAULT = 30;
+const LOCATION_RETENTION_DAYS_MIN = 1;
+const LOCATION_RETENTION_DAYS_MAX = 365;
+const LOCATION_HISTORY_PAGE_SIZE_DEFAULT = 100;
+const LOCATION_HISTORY_PAGE_SIZE_MAX = 500;
+const SHARING_MODE_ON = 'on';
+const SHARING_MODE_PAUSED = 'paused';
+const SHARING_MODE_COARSE = 'coarse';
+const SHARING_MODES = [SHARING_MODE_ON, SHARING_MODE_PAUSED, SHARING_MODE_COARSE];
+const LOCATION_PRECISION_EXACT = 'exact';
+const LOCATION_PRECISION_COARSE = 'coarse';
+const LOCATION_PRECISION_PRIVATE = 'private';                                                                           // in a private zone; only that is shared
+const LOCATION_PRECISION_PAUSED = 'paused';                                                                             // sharing paused; nothing is shared
+const LOCATION_PRECISIONS = [LOCATION_PRECISION_EXACT, LOCATION_PRECISION_COARSE, LOCATION_PRECISION_PRIVATE, LOCATION_PRECISION_PAUSED]; // from the least to the most restrictive
+const COARSE_LOCATION_DECIMALS = 2;                                                                                     // 0.01 degree, about 1 km
+const PRIVATE_ZONES_MAX = 10;
+const DEVICE_STATUS_ATTRIBUTES = ['batteryLevel', 'isCharging', 'networkType', 'appVersion'];
+const LOW_BATTERY_THRESHOLD_DEFAULT = 15;                                                                               // percent
+const LOW_BATTERY_THRESHOLD_MAX = 50;                                                                                   // a battery level above is never low for a family
+const OFFLINE_AFTER_MINUTES_DEFAULT = 60;
+const OFFLINE_AFTER_MINUTES_MIN = 15;                                                                                   // the status check period
+const OFFLINE_AFTER_MINUTES_MAX = 7 * 24 * 60;
+const PROFILE_ATTRIBUTES = ['nickname', 'avatarUrl'];
+const NICKNAME_LENGTH_MAX = 40;
+const AVATAR_URL_LENGTH_MAX = 2048;
+const DAY_MILLIS = 24 * 60 * 60 * 1000;
+const STALE_TOKEN_ERROR_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+const RATE_LIMITS = {                                                                                                   // defaults per callable: calls per user, and per target, in a window; see getRateLimit()
+    sendInvite: {
+        perUser: {limit: 20, windowMinutes: 60},
+        perTarget: {limit: 3, windowMinutes: 24 * 60},
+    },
+    requestLocations: {
+        perUser: {limit: 30, windowMinutes: 60},
+        perTarget: {limit: 10, windowMinutes: 60},
+    },
+    createInviteCode: {
+        perUser: {limit: 20, windowMinutes: 60},
+    },
+    redeemInviteCode: {
+        perUser: {limit: 10, windowMinutes: 60},                                                                        // against guessing codes
+    },
+};
+const BATCH_SIZE_MAX = 500;                                                                                             // a Firestore limit of writes in a batch
+const GET_USERS_SIZE_MAX = 100;                                                                                         // an Auth limit of users got at once
+const ARRAY_CONTAINS_ANY_SIZE_MAX = 10;                                                                                 // a Firestore limit of values in a query
 
 const RETURN_CODE_OK = 'ok';
 const RETURN_CODE_CREATED = 'created';
@@ -13,9 +190,53 @@ const RETURN_CODE_NO_FAMILY = 'no_family';
 const RETURN_CODE_MORE_THAN_ONE_FAMILY = 'many_families';
 const RETURN_CODE_SENT = 'sent';
 const RETURN_CODE_NOT_SENT = 'not_sent';
+const RETURN_CODE_NO_USER = 'no_user';
+const RETURN_CODE_NO_DEVICE = 'no_device';
 const RETURN_CODE_ALL_SENT = 'all_sent';
 const RETURN_CODE_SOME_SENT = 'some_sent';
 const RETURN_CODE_NONE_SENT = 'none_sent';
+const RETURN_CODE_NO_INVITE = 'no_invite';
+const RETURN_CODE_INVITE_EXPIRED = 'invite_expired';
+const RETURN_CODE_INVITE_CLOSED = 'invite_closed';
+const RETURN_CODE_REVOKED = 'revoked';
+const RETURN_CODE_DECLINED = 'declined';
+const RETURN_CODE_NOT_PERMITTED = 'not_permitted';
+const RETURN_CODE_UPDATED = 'updated';
+const RETURN_CODE_NO_GEOFENCE = 'no_geofence';
+const RETURN_CODE_NO_LOCATION_REQUEST = 'no_location_request';
+const RETURN_CODE_NO_SOS = 'no_sos';
+const RETURN_CODE_SOS_CLOSED = 'sos_closed';
+const RETURN_CODE_INVALID_ARGUMENT = 'invalid_argument';
+const RETURN_CODE_OWNER_CANNOT_LEAVE = 'owner_cannot_leave';
+const RETURN_CODE_PAUSED = 'paused';
+const RETURN_CODE_RATE_LIMITED = 'rate_limited';
+const RETURN_CODE_NO_CHECK_IN = 'no_check_in';
+
+const ERROR_CODES_BY_REASON = {                                                                                         // HTTPS error codes for the return codes which are errors
+    [RETURN_CODE_INVALID_ARGUMENT]: 'invalid-argument',
+    [RETURN_CODE_NO_FAMILY]: 'not-found',
+    [RETURN_CODE_NO_USER]: 'not-found',
+    [RETURN_CODE_NO_INVITE]: 'not-found',
+    [RETURN_CODE_NO_GEOFENCE]: 'not-found',
+    [RETURN_CODE_NO_LOCATION_REQUEST]: 'not-found',
+    [RETURN_CODE_NO_SOS]: 'not-found',
+    [RETURN_CODE_NO_CHECK_IN]: 'not-found',
+    [RETURN_CODE_NOT_PERMITTED]: 'permission-denied',
+    [RETURN_CODE_EXIST]: 'already-exists',
+    [RETURN_CODE_MORE_THAN_ONE_FAMILY]: 'failed-precondition',
+    [RETURN_CODE_INVITE_EXPIRED]: 'failed-precondition',
+    [RETURN_CODE_INVITE_CLOSED]: 'failed-precondition',
+    [RETURN_CODE_SOS_CLOSED]: 'failed-precondition',
+    [RETURN_CODE_OWNER_CANNOT_LEAVE]: 'failed-precondition',
+    [RETURN_CODE_RATE_LIMITED]: 'resource-exhausted',
+};
+const FIRESTORE_ERROR_CODE_NOT_FOUND = 5;                                                                               // gRPC status codes
+const FIRESTORE_ERROR_CODE_ALREADY_EXISTS = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const LANGUAGE_PATTERN = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{1,8})*$/;                                                         // a BCP 47 language tag, like en or pt-BR
+
+const crypto = require('crypto');
 
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
@@ -23,42 +244,90 @@ admin.initializeApp();
 const settings = {timestampsInSnapshots: true};                                                                         // to avoid warning in the console log
 admin.firestore().settings(settings);
 const FieldValue = admin.firestore.FieldValue;
+const Timestamp = admin.firestore.Timestamp;
 
 
 /**
- * Send an invite to join a family from a major app to a minor app
+ * Send an invite to join a family from a major app to a minor app.
+ * The result is the same whether or not the invitee is a user, so the callable cannot be used to find out who is;
+ * an invite to an email with no user is stored anyway, with no invitee uid, and goes to the user who signs up
+ * with the email and verifies it (see claimInvites)
  * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to add a member with the requested role (a member by default) to the family;
+ * - counting the call against the rate limits per caller and per invitee of the family, so nobody else is able
+ *   to use up the invites to a person;
  * - getting an invitee user record from the system by the invitee email;
- * - getting an invitee device token from database by the invitee user uid;
- * - composing an invite message using device token;
- * - sending the message
+ * - storing a pending invite record with a random token and an expiry time;
+ * - sending an invite message to every invitee device
  */
 exports.sendInvite = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        inviteeEmail: {type: 'email', required: true},
+        role: {type: 'string', values: [ROLE_GUARDIAN, ROLE_MEMBER]},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
     const inviteeEmail = data.inviteeEmail;
-    const usersRef = admin.firestore().collection('users');
+    const inviteeRole = getRequestedRole(data.role);
+    const invitesRef = admin.firestore().collection('invites');
 
-    return admin.auth().getUserByEmail(inviteeEmail)
-        .then( (userRecord) => {
-            const userRef = usersRef.doc(userRecord.uid);
-            return userRef.get()
-                .then( (userSnapshot) => {
-                    const deviceToken = userSnapshot.data().deviceToken;
-                    const inviteMessage = {
-                        token: deviceToken,
-                        data: {
-                            messageType: MESSAGE_TYPE_INVITE,
-                            invitingEmail: callerEmail,
-                        }
-                    };
-                    return admin.messaging().send(inviteMessage)
-                        .then( (messageId) => {
-                            return {
-                                returnCode: RETURN_CODE_SENT,
-                                messageId: messageId,
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, getMembershipAction(inviteeRole));
+            return checkRateLimits('sendInvite', callerUid, [`${familySnapshot.id}:${inviteeEmail.toLowerCase()}`])
+                .then( () => familySnapshot )
+            ;
+        })
+        .then( (familySnapshot) => {
+            return admin.auth().getUserByEmail(inviteeEmail)
+                .catch( (error) => {
+                    if (error.code === 'auth/user-not-found') return null;                                              // not to be told to the caller
+                    throw error;
+                })
+                .then( (userRecord) => {
+                    const inviteRef = invitesRef.doc();                                                                 // a new document with an auto-generated id
+                    const inviteToken = generateInviteToken();
+                    return inviteRef.set({
+                        token: inviteToken,
+                        familyUid: familySnapshot.id,
+                        inviterUid: callerUid,
+                        inviterEmail: callerEmail,
+                        inviteeUid: userRecord ? userRecord.uid : null,
+                        inviteeEmail: inviteeEmail.toLowerCase(),                                                       // as Auth stores emails, for claimInvites() to match
+                        role: inviteeRole,
+                        status: INVITE_STATUS_PENDING,
+                        createdAt: FieldValue.serverTimestamp(),
+                        expiresAt: Timestamp.fromMillis(Date.now() + INVITE_TTL_MILLIS),
+                    })
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_INVITE_SENT, callerUid, [], {           // no invitee uid, as it would tell a user from nobody
+                                inviteUid: inviteRef.id,
+                                inviteeEmail: inviteeEmail.toLowerCase(),
+                                role: inviteeRole,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            if (!userRecord) return null;
+                            return sendToUser(userRecord.uid, (deviceToken) => {
+                                return {
+                                    token: deviceToken,
+                                    data: {
+                                        messageType: MESSAGE_TYPE_INVITE,
+                                        invitingEmail: callerEmail,
+                                        inviteToken: inviteToken,
+                                    }
+                                };
+                            });
+                        })
+                        .then( (sendResult) => {
+                            return {                                                                                    // no delivery details, as they would tell a user from nobody
+                                returnCode: RETURN_CODE_CREATED,
+                                inviteUid: inviteRef.id,
                             }
                         })
                     ;
@@ -67,7 +336,7 @@ exports.sendInvite = functions.https.onCall((data, context) => {
         })
         .catch((error) => {
             console.log(`The invite message from ${callerEmail} not sent to ${inviteeEmail}: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            throw toHttpsError(error);
         })
     ;
 });
@@ -76,504 +345,4769 @@ exports.sendInvite = functions.https.onCall((data, context) => {
 /**
  * Join a family and send an invite acceptance message.
  * Implemented as a HTTPS callable function f(data, context) which is
- * - getting an inviting user record from the system by the inviting email;
- * - finding a family by the inviting user uid;
- * - inserting or updating an attribute of the family document
- * - getting an inviting device token from database by the inviting user uid;
- * - composing an invite acceptance message using device token;
- * - sending the message
+ * - claiming the invites sent to the caller email before the caller signed up;
+ * - finding an invite by the token the invitee got in the invite message or in the received invite list;
+ * - checking in a transaction the invite is addressed to the caller, is not expired and not used;
+ *   if the family id is given, the invite should be to this family;
+ * - inserting the caller into the members attribute of the invite's family document and closing the invite;
+ * - sending an invite acceptance message to every inviting user device
  */
 exports.joinFamily = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        inviteToken: {type: 'string', required: true},
+        invitingEmail: {type: 'email'},
+        familyId: {type: 'string'},
+    });
     const invitingEmail = data.invitingEmail;
-    const usersRef = admin.firestore().collection('users');
+    const inviteToken = data.inviteToken;
+    const familyId = data.familyId;
     const familiesRef = admin.firestore().collection('families');
+    const invitesRef = admin.firestore().collection('invites');
 
-    return admin.auth().getUserByEmail(invitingEmail)
-        .then( (invitingUserRecord) => {
-            const invitingUserUid = invitingUserRecord.uid;
-            return familiesRef.where('creator', '==', invitingUserUid).get()                                            // query for families created by the inviting
-                .then(familyQuerySnapshot => {
-                    if (familyQuerySnapshot.empty) {                                                                    // no family; error
-                        console.log(`User ${invitingEmail} owns no family data`);
-                        return {
-                            returnCode: RETURN_CODE_NO_FAMILY,
+    return claimInvites(callerUid, context.auth.token)
+        .then( (claimedCount) => {
+            return invitesRef.where('token', '==', inviteToken).get();                                                  // query for the invite holding the token
+        })
+        .then(inviteQuerySnapshot => {
+            if (inviteQuerySnapshot.empty) {                                                                            // no invite; error
+                throw newHttpsError(RETURN_CODE_NO_INVITE, 'No invite with the given token');
+            }
+            const inviteRef = inviteQuerySnapshot.docs[0].ref;
+            return admin.firestore().runTransaction((transaction) => {
+                return transaction.get(inviteRef)
+                    .then( (inviteSnapshot) => {
+                        const invite = inviteSnapshot.data();
+                        if (invite.inviteeUid !== callerUid
+                            || (invitingEmail && invite.inviterEmail !== invitingEmail)
+                            || (familyId && invite.familyUid !== familyId)) {
+                            throw newHttpsError(RETURN_CODE_NO_INVITE, 'No invite with the given token');               // the invite is addressed to someone else
                         }
-                    } else if (familyQuerySnapshot.size !== 1) {                                                        // many such families; error
-                        console.log(`User ${invitingEmail} has more than one family`);
-                        return {
-                            returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
+                        const inviteStatus = getInviteStatus(invite);
+                        if (inviteStatus === INVITE_STATUS_EXPIRED) {
+                            throw newHttpsError(RETURN_CODE_INVITE_EXPIRED, 'The invite is expired');
                         }
-                    } else {                                                                                            // the family exists; ok
-                        return familyQuerySnapshot.docs[0].ref.update({
-                            members: FieldValue.arrayUnion(callerUid)
-                        })
-                            .then( (writeResult) => {
-                                const invitingUserRef = usersRef.doc(invitingUserUid);
-                                return invitingUserRef.get()
-                                    .then( (invitingUserSnapshot) => {
-                                        const invitingDeviceToken = invitingUserSnapshot.data().deviceToken;
-                                        const acceptMessage = {
-                                            token: invitingDeviceToken,
-                                            data: {
-                                                messageType: MESSAGE_TYPE_ACCEPT_INVITE,
-                                                inviteeEmail: callerEmail,
-                                            }
-                                        };
-                                        return admin.messaging().send(acceptMessage)
-                                            .then( (messageId) => {
-                                                return {
-                                                    returnCode: RETURN_CODE_OK,
-                                                    messageId: messageId,
-                                                }
-                                            })
-                                            .catch( (error) => {
-                                                console.log(`The invite acceptance message from ${callerEmail} not sent to ${invitingEmail}: ${error}`);
-                                                return {
-                                                    returnCode: RETURN_CODE_NOT_SENT,
-                                                    errorMessage: error,
-                                                }
-                                            })
-                                        ;
-                                    })
-                                ;
+                        if (inviteStatus !== INVITE_STATUS_PENDING) {
+                            throw newHttpsError(RETURN_CODE_INVITE_CLOSED, `The invite is ${inviteStatus}`, {inviteStatus: inviteStatus});
+                        }
+                        const familyRef = familiesRef.doc(invite.familyUid);
+                        return transaction.get(familyRef)
+                            .then( (familySnapshot) => {
+                                if (!familySnapshot.exists) {
+                                    throw newHttpsError(RETURN_CODE_NO_FAMILY, `No family ${invite.familyUid}`);
+                                }
+                                const familyUpdate = {
+                                    members: FieldValue.arrayUnion(callerUid)
+                                };
+                                if (!getFamilyRole(familySnapshot.data(), callerUid)) {                                 // do not demote an existing member
+                                    familyUpdate[`roles.${callerUid}`] = invite.role || ROLE_MEMBER;
+                                }
+                                transaction.update(familyRef, familyUpdate);
+                                transaction.update(inviteRef, {
+                                    status: INVITE_STATUS_ACCEPTED,
+                                    closedAt: FieldValue.serverTimestamp(),
+                                });
+                                transaction.set(familyRef.collection('activity').doc(), toActivityRecord(ACTIVITY_TYPE_MEMBER_JOINED, callerUid, [], {
+                                    inviteUid: inviteRef.id,
+                                    role: getFamilyRole(familySnapshot.data(), callerUid) || invite.role || ROLE_MEMBER,
+                                }));
                             })
                         ;
-                    }
+                    })
+                ;
+            })
+                .then( () => {
+                    return inviteRef.get()
+                        .then( (inviteSnapshot) => {
+                            const invite = inviteSnapshot.data();
+                            return sendToUser(invite.inviterUid, (invitingDeviceToken) => {
+                                return {
+                                    token: invitingDeviceToken,
+                                    data: {
+                                        messageType: MESSAGE_TYPE_ACCEPT_INVITE,
+                                        inviteeEmail: callerEmail,
+                                    }
+                                };
+                            })
+                                .then( (sendResult) => {
+                                    if (sendResult.returnCode !== RETURN_CODE_SENT) {
+                                        console.log(`The invite acceptance message from ${callerEmail} not sent to ${invite.inviterEmail}: ${sendResult.errorMessage}`);
+                                        return {
+                                            returnCode: RETURN_CODE_NOT_SENT,
+                                            errorMessage: sendResult.errorMessage,
+                                            familyUid: invite.familyUid,
+                                        }
+                                    }
+                                    return {
+                                        returnCode: RETURN_CODE_OK,
+                                        messageId: sendResult.messageIds[0],
+                                        messageIds: sendResult.messageIds,
+                                        familyUid: invite.familyUid,
+                                    }
+                                })
+                            ;
+                        })
+                    ;
                 })
             ;
         })
         .catch((error) => {
-            console.log(`Unhandled error: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} cannot join a family: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Request locations from family members
+ * List invites sent by the caller
  * Implemented as a HTTPS callable function f(data, context) which is
- * - finds members of the family, which caller belongs to;
- * - for each member creates a chained atomic promise which gets the member's token and sends him a request message;
- * - makes a composite promise from an array of the atomic promises
+ * - querying invites which inviter is the caller;
+ * - returning them with their effective status
  */
-exports.requestLocations = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.listSentInvites = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const usersRef = admin.firestore().collection('users');
-    const familiesRef = admin.firestore().collection('families');
+    const invitesRef = admin.firestore().collection('invites');
 
-    return familiesRef.where('members', 'array-contains', callerUid).get()                                              // query for families which the user belongs to
+    return invitesRef.where('inviterUid', '==', callerUid).get()
         .then(querySnapshot => {
-            if (querySnapshot.empty) {                                                                                  // no such families; error
-                console.log(`User ${callerEmail} has no family`);
-                return {
-                    returnCode: RETURN_CODE_NO_FAMILY,
-                }
-            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
-                console.log(`User ${callerEmail} has more than one family`);
-                return {
-                    returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                }
-            } else {                                                                                                    // the family found; ok
-                const memberUids = querySnapshot.docs[0].data().members;
-
-                // Make up an array of promises
-                let sendPromises = [];
-                for (let memberUid of memberUids) {
-                    if (memberUid === callerUid) continue;                                                               // do not send a message to self
-                    let memberRef = usersRef.doc(memberUid);
-                    let sendPromise = memberRef.get()
-                        .then( (memberSnapshot) => {
-                            let memberDeviceToken = memberSnapshot.data().deviceToken;
-                            let locationRequestMessage = {
-                                token: memberDeviceToken,
-                                data: {
-                                    messageType: MESSAGE_TYPE_LOCATION_REQUEST,
-                                    senderEmail: callerEmail,
-                                },
-                                android: {
-                                    priority: 'high',
-                                }
-                            };
-                            return admin.messaging().send(locationRequestMessage)
-                                .then((messageId) => {
-                                    return Promise.resolve(RETURN_CODE_SENT);                                           // then() returns a promise to make sendPromise be a promise in the end of the chain
-                                })
-                                .catch((error) => {
-                                    console.log(`Message to ${memberUid} not sent: ${error}`);
-                                    return Promise.resolve(RETURN_CODE_NOT_SENT);                                       // catch() returns a promise to make sendPromise be a promise in the end of the chain
-                                })
-                            ;
-                        })
-                    ;
-                    sendPromises.push(sendPromise);
-                }
-
-                return Promise.all(sendPromises);                                                                       // this makes then() above be a promise and allows to chain it with the then() below
-            }
-        })
-        .then( (arrayOfReturnCodes) => {
-            if (arrayOfReturnCodes.includes(RETURN_CODE_SENT) && arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT)) {
-                return {
-                    returnCode: RETURN_CODE_SOME_SENT,
-                }
-            } else if (arrayOfReturnCodes.includes(RETURN_CODE_SENT) && !( arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT) )) {
-                return {
-                    returnCode: RETURN_CODE_ALL_SENT,
-                }
-            } else if ( !(arrayOfReturnCodes.includes(RETURN_CODE_SENT)) && arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT) ) {
-                return {
-                    returnCode: RETURN_CODE_NONE_SENT,
-                }
-            } else {
-                throw new functions.https.HttpsError('internal', 'Wrong return codes from atomic promises');
+            return {
+                returnCode: RETURN_CODE_OK,
+                invites: querySnapshot.docs.map( (inviteSnapshot) => toInviteResult(inviteSnapshot, false) ),
             }
         })
         .catch((error) => {
-            console.log(`The location messages from ${callerEmail} not sent: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while listing sent invites: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Send a location to family members
+ * List invites received by the caller
  * Implemented as a HTTPS callable function f(data, context) which is
- * - writes a location to the calling user record
- * - finds members of the family, which caller belongs to;
- * - for each member creates a chained atomic promise which gets the member's token and sends him a location message;
- * - makes a composite promise from an array of the atomic promises
+ * - claiming the invites sent to the caller email before the caller signed up;
+ * - querying invites which invitee is the caller;
+ * - returning them with their effective status and tokens, so the app is able to accept a pending one
  */
-exports.sendLocation = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.listReceivedInvites = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const location = data.location;
-    const usersRef = admin.firestore().collection('users');
-    const familiesRef = admin.firestore().collection('families');
+    const invitesRef = admin.firestore().collection('invites');
 
-    return admin.firestore().collection('users').doc(callerUid).set({                                                   // insert or update the document
-            location: location
-        },{
-            merge: true
+    return claimInvites(callerUid, context.auth.token)
+        .then( (claimedCount) => {
+            return invitesRef.where('inviteeUid', '==', callerUid).get();
         })
-        .then( (writeResult) => {
-            return familiesRef.where('members', 'array-contains', callerUid).get()                                      // query for families which the user belongs to
-                .then(querySnapshot => {
-                    if (querySnapshot.empty) {                                                                          // no such families; error
-                        console.log(`User ${callerEmail} has no family`);
-                        return {
-                            returnCode: RETURN_CODE_NO_FAMILY,
-                        }
-                    } else if (querySnapshot.size !== 1) {                                                              // many such families; error
-                        console.log(`User ${callerEmail} has more than one family`);
-                        return {
-                            returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                        }
-                    } else {                                                                                            // the family found; ok
-                        const memberUids = querySnapshot.docs[0].data().members;
-
-                        // Make up an array of promises
-                        let sendPromises = [];
-                        for (let memberUid of memberUids) {
-                            if (memberUid === callerUid) continue;                                                      // do not send a message to self
-                            let memberRef = usersRef.doc(memberUid);
-                            let sendPromise = memberRef.get()
-                                .then( (memberSnapshot) => {
-                                    let memberDeviceToken = memberSnapshot.data().deviceToken;
-                                    let locationMessage = {
-                                        token: memberDeviceToken,
-                                        data: {
-                                            messageType: MESSAGE_TYPE_LOCATION,
-                                            location: location,
-                                            senderEmail: callerEmail,
-                                        }
-                                    };
-                                    return admin.messaging().send(locationMessage)
-                                        .then((messageId) => {
-                                            return Promise.resolve(RETURN_CODE_SENT);                                   // then() returns a promise to make sendPromise be a promise in the end of the chain
-                                        })
-                                        .catch((error) => {
-                                            console.log(`Message to ${memberUid} not sent: ${error}`);
-                                            return Promise.resolve(RETURN_CODE_NOT_SENT);                               // catch() returns a promise to make sendPromise be a promise in the end of the chain
-                                        })
-                                    ;
-                                })
-                            ;
-                            sendPromises.push(sendPromise);
-                        }
-                        return Promise.all(sendPromises);                                                               // this makes then() above be a promise and allows to chain it with the then() below
-                    }
-                })
-                .then( (arrayOfReturnCodes) => {
-                    if (arrayOfReturnCodes.includes(RETURN_CODE_SENT) && arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT)) {
-                        return {
-                            returnCode: RETURN_CODE_SOME_SENT,
-                        }
-                    } else if (arrayOfReturnCodes.includes(RETURN_CODE_SENT) && !( arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT) )) {
-                        return {
-                            returnCode: RETURN_CODE_ALL_SENT,
-                        }
-                    } else if ( !(arrayOfReturnCodes.includes(RETURN_CODE_SENT)) && arrayOfReturnCodes.includes(RETURN_CODE_NOT_SENT) ) {
-                        return {
-                            returnCode: RETURN_CODE_NONE_SENT,
-                        }
-                    } else {
-                        throw new functions.https.HttpsError('internal', 'Wrong return codes from atomic promises');
-                    }
-                })
-            ;
+        .then(querySnapshot => {
+            return {
+                returnCode: RETURN_CODE_OK,
+                invites: querySnapshot.docs.map( (inviteSnapshot) => toInviteResult(inviteSnapshot, true) ),
+            }
         })
         .catch((error) => {
-            console.log(`The location messages from ${callerEmail} not sent: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while listing received invites: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Update a stored device token used for FCM
+ * Revoke a pending invite sent by the caller
  * Implemented as a HTTPS callable function f(data, context) which is
- * - getting a calling user document from the database by the system-provided uid;
- * - updating the document.
- * THE CALL IS REPLACED TO THE DIRECT FIREBASE CALL FROM THE APP
+ * - closing the invite with the revoked status, if the caller is its inviter
  */
-exports.updateDeviceToken = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.revokeInvite = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const deviceToken = data.deviceToken;
+    data = validate(data, {
+        inviteUid: {type: 'string', required: true},
+    });
+    const inviteUid = data.inviteUid;
 
-    return admin.firestore().collection('users').doc(callerUid).set({                                                   // insert or update the document
-            deviceToken: deviceToken
-        },{
-            merge: true
-        })
-        .then( (writeResult) => {
+    return closeInvite(admin.firestore().collection('invites').doc(inviteUid), 'inviterUid', callerUid, INVITE_STATUS_REVOKED)
+        .then( (returnCode) => {
             return {
-                returnCode: RETURN_CODE_OK,
+                returnCode: returnCode,
             }
         })
         .catch((error) => {
-            console.log(`User ${callerEmail} error while updating ${deviceToken}: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while revoking invite ${inviteUid}: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
-// --------------------------- Model CRUD: Family
-
 /**
- * Create a family data, if no ones.
- * Return a uid of created or existing data.
+ * Decline a pending invite received by the caller
  * Implemented as a HTTPS callable function f(data, context) which is
- * - reading a collection and inserting a document into it
+ * - claiming the invites sent to the caller email before the caller signed up;
+ * - closing the invite with the declined status, if the caller is its invitee
  */
-exports.createFamily = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.declineInvite = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const familiesRef = admin.firestore().collection('families');
-    let familyUid;
+    data = validate(data, {
+        inviteUid: {type: 'string', required: true},
+    });
+    const inviteUid = data.inviteUid;
 
-    return familiesRef.where('creator', '==', callerUid).get()                                                          // query for families created by the user
-        .then(querySnapshot => {
-            if (querySnapshot.empty) {                                                                                  // no such families; creating one
-                return familiesRef.add({
-                    creator: callerUid
-                })
-                    .then((familyRef) => {
-                        familyUid = familyRef.id;
-                        return familyRef.update({
-                            members: FieldValue.arrayUnion(callerUid)
-                        })
-                            .then( (writeResult) => {
-                                return {
-                                    returnCode: RETURN_CODE_CREATED,
-                                    familyUid: familyUid,
-                                }
-                            })
-                        ;
-                    })
-                ;
-            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
-                console.log(`User ${callerEmail} has more than one family`);
-                return {
-                    returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                }
-            } else {                                                                                                    // the family already exists; return its id
-                return {
-                    returnCode: RETURN_CODE_EXIST,
-                    familyUid: querySnapshot.docs[0].id,                                                                // using DocumentSnapshot here
-                }
+    return claimInvites(callerUid, context.auth.token)
+        .then( (claimedCount) => {
+            return closeInvite(admin.firestore().collection('invites').doc(inviteUid), 'inviteeUid', callerUid, INVITE_STATUS_DECLINED);
+        })
+        .then( (returnCode) => {
+            return {
+                returnCode: returnCode,
             }
         })
         .catch((error) => {
-            console.log(`User ${callerEmail} error while creating family data`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while declining invite ${inviteUid}: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Insert a family member into family data
+ * Create an invite code to join a family, for people who are not users yet: a short code to show as a QR code or
+ * to send in a link, which a new user redeems with redeemInviteCode. A code may be used a given number of times
+ * (once by default) until it expires (in a day by default)
  * Implemented as a HTTPS callable function f(data, context) which is
- * - inserting or updating an attribute of a document
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to add a member with the requested role (a member by default) to the family;
+ * - counting the call against the rate limit per caller;
+ * - storing a pending invite code record, which id is a new random code
  */
-exports.createFamilyMember = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.createInviteCode = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const familyMemberEmail = data.familyMemberEmail;
-    const familiesRef = admin.firestore().collection('families');
+    data = validate(data, {
+        role: {type: 'string', values: [ROLE_GUARDIAN, ROLE_MEMBER]},
+        maxUses: {type: 'integer', min: 1, max: INVITE_CODE_USES_MAX},
+        ttlMinutes: {type: 'integer', min: 1, max: INVITE_CODE_TTL_MINUTES_MAX},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const inviteeRole = getRequestedRole(data.role);
+    const expiresAt = Timestamp.fromMillis(Date.now() + (data.ttlMinutes || INVITE_CODE_TTL_MINUTES_DEFAULT) * 60 * 1000);
 
-    return familiesRef.where('creator', '==', callerUid).get()                                                          // query for families created by the user
-        .then(querySnapshot => {
-            if (querySnapshot.empty) {                                                                                  // no family; error
-                console.log(`User ${callerEmail} owns no family data`);
-                return {
-                    returnCode: RETURN_CODE_NO_FAMILY,
-                }
-            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
-                console.log(`User ${callerEmail} has more than one family`);
-                return {
-                    returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                }
-            } else {                                                                                                    // the family exists; ok
-                return admin.auth().getUserByEmail(familyMemberEmail)                                                   // get a member user record by a given email
-                    .then( (userRecord) => {
-                        return querySnapshot.docs[0].ref.update({                                                       // get DocumentReference from DocumentSnapshot
-                                members: FieldValue.arrayUnion(userRecord.uid)
-                            })
-                            .then( (writeResult) => {
-                                return {
-                                    returnCode: RETURN_CODE_CREATED,
-                                }
-                            })
-                        ;
-                    })
-                ;
-            }
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, getMembershipAction(inviteeRole));
+            return checkRateLimits('createInviteCode', callerUid)
+                .then( () => familySnapshot )
+            ;
+        })
+        .then( (familySnapshot) => {
+            const inviteCodeRef = admin.firestore().collection('inviteCodes').doc(generateInviteCode());
+            return inviteCodeRef.create({                                                                               // fails on the unlikely clash with an existing code
+                familyUid: familySnapshot.id,
+                inviterUid: callerUid,
+                inviterEmail: callerEmail,
+                role: inviteeRole,
+                maxUses: data.maxUses || 1,
+                redeemedBy: [],
+                status: INVITE_STATUS_PENDING,
+                createdAt: FieldValue.serverTimestamp(),
+                expiresAt: expiresAt,
+            })
+                .then( (writeResult) => {
+                    return logActivity(familySnapshot.id, ACTIVITY_TYPE_INVITE_CODE_CREATED, callerUid, [], {           // not the code, which is as good as an invite
+                        role: inviteeRole,
+                        maxUses: data.maxUses || 1,
+                    });
+                })
+                .then( (activityUid) => inviteCodeRef.get() )
+                .then( (inviteCodeSnapshot) => {
+                    return Object.assign({
+                        returnCode: RETURN_CODE_CREATED,
+                    }, toInviteCodeResult(inviteCodeSnapshot));
+                })
+            ;
         })
         .catch((error) => {
-            console.log(`User ${callerEmail} error while storing family member ${familyMemberEmail}: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while creating an invite code: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Remove a family member from family data
+ * Join a family with an invite code, and send an invite acceptance message to the user who created the code
  * Implemented as a HTTPS callable function f(data, context) which is
- * - searching a family which creator ia the caller;
- * - getting a user UID by the email;
- * - removing an attribute (the UID got) from a document (the family found)
+ * - counting the call against the rate limit per caller, so codes cannot be guessed;
+ * - checking in a transaction the code is not expired, not revoked and not used up, and the caller is not
+ *   a family member yet;
+ * - inserting the caller with the code role into the family document, and recording the caller as a code user;
+ *   the code is closed as accepted once used up;
+ * - sending an invite acceptance message to every device of the user who created the code
  */
-exports.deleteFamilyMember = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.redeemInviteCode = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const familyMemberEmail = data.familyMemberEmail;
-    const familiesRef = admin.firestore().collection('families');
+    data = validate(data, {
+        inviteCode: {type: 'string', required: true},
+    });
+    const inviteCode = normalizeInviteCode(data.inviteCode);
+    const inviteCodeRef = admin.firestore().collection('inviteCodes').doc(inviteCode);
+    let familyUid = null;
+    let inviterUid = null;
 
-    return familiesRef.where('creator', '==', callerUid).get()                                                          // query for families created by the user
-        .then(querySnapshot => {
-            if (querySnapshot.empty) {                                                                                  // no family; error
-                console.log(`User ${callerEmail} owns no family data`);
-                return {
-                    returnCode: RETURN_CODE_NO_FAMILY,
-                }
-            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
-                console.log(`User ${callerEmail} has more than one family`);
-                return {
-                    returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                }
-            } else {                                                                                                    // the family exists; ok
-                return admin.auth().getUserByEmail(familyMemberEmail)                                                   // get a member user record by a given email
-                    .then( (userRecord) => {
-                        return querySnapshot.docs[0].ref.update({                                                       // get DocumentReference from DocumentSnapshot
-                            members: FieldValue.arrayRemove(userRecord.uid)
-                        })
-                            .then( (writeResult) => {
-                                return {
-                                    returnCode: RETURN_CODE_DELETED,
+    return checkRateLimits('redeemInviteCode', callerUid)
+        .then( () => {
+            return admin.firestore().runTransaction((transaction) => {
+                return transaction.get(inviteCodeRef)
+                    .then( (inviteCodeSnapshot) => {
+                        if (!inviteCodeSnapshot.exists) throw newHttpsError(RETURN_CODE_NO_INVITE, 'No such invite code');
+                        const invite = inviteCodeSnapshot.data();
+                        const inviteStatus = getInviteStatus(invite);
+                        if (inviteStatus === INVITE_STATUS_EXPIRED) {
+                            throw newHttpsError(RETURN_CODE_INVITE_EXPIRED, 'The invite code is expired');
+                        }
+                        if (inviteStatus !== INVITE_STATUS_PENDING) {
+                            throw newHttpsError(RETURN_CODE_INVITE_CLOSED, `The invite code is ${inviteStatus}`, {inviteStatus: inviteStatus});
+                        }
+                        familyUid = invite.familyUid;
+                        inviterUid = invite.inviterUid;
+                        const familyRef = admin.firestore().collection('families').doc(invite.familyUid);
+                        return transaction.get(familyRef)
+                            .then( (familySnapshot) => {
+                                if (!familySnapshot.exists) {
+                                    throw newHttpsError(RETURN_CODE_NO_FAMILY, `No family ${invite.familyUid}`);
+                                }
+                                if (getFamilyRole(familySnapshot.data(), callerUid)) {                                  // do not use the code up for nothing
+                                    throw newHttpsError(RETURN_CODE_EXIST, 'Already a family member');
                                 }
+                                transaction.update(familyRef, {
+                                    members: FieldValue.arrayUnion(callerUid),
+                                    [`roles.${callerUid}`]: invite.role || ROLE_MEMBER,
+                                });
+                                const isUsedUp = invite.redeemedBy.length + 1 >= invite.maxUses;
+                                transaction.update(inviteCodeRef, Object.assign({
+                                    redeemedBy: FieldValue.arrayUnion(callerUid),
+                                }, isUsedUp ? {status: INVITE_STATUS_ACCEPTED, closedAt: FieldValue.serverTimestamp()} : {}));
+                                transaction.set(familyRef.collection('activity').doc(), toActivityRecord(ACTIVITY_TYPE_MEMBER_JOINED, callerUid, [], {
+                                    role: invite.role || ROLE_MEMBER,
+                                }));
                             })
                         ;
                     })
                 ;
+            });
+        })
+        .then( () => {
+            return sendToUser(inviterUid, (invitingDeviceToken) => {
+                return {
+                    token: invitingDeviceToken,
+                    data: {
+                        messageType: MESSAGE_TYPE_ACCEPT_INVITE,
+                        inviteeEmail: callerEmail,
+                    }
+                };
+            })
+                .catch((error) => {                                                                                     // the caller has joined anyway
+                    console.log(`The invite code acceptance message from ${callerEmail} not sent: ${error}`);
+                })
+            ;
+        })
+        .then( () => {
+            return {
+                returnCode: RETURN_CODE_OK,
+                familyUid: familyUid,
             }
         })
         .catch((error) => {
-            console.log(`User ${callerEmail} error while removing family member ${familyMemberEmail}: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} cannot redeem an invite code: ${error}`);
+            throw toHttpsError(error);
         })
     ;
 });
 
 
 /**
- * Check if the caller belongs to any family. Return a family owner email
+ * Revoke an invite code created by the caller
  * Implemented as a HTTPS callable function f(data, context) which is
- * - searching the family record which members attribute contains the caller UID
- * - getting the user record of the family creator;
- * - returning the email from this record
+ * - closing the invite code, as shown or typed, with the revoked status, if the caller has created it
  */
-exports.checkFamilyMembership = functions.https.onCall((data, context) => {
-    if (!context.auth) throw new functions.https.HttpsError('failed-precondition', "Not authenticated");
+exports.revokeInviteCode = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
 
     const callerUid = context.auth.uid;
     const callerEmail = context.auth.token.email || null;
-    const familiesRef = admin.firestore().collection('families');
+    data = validate(data, {
+        inviteCode: {type: 'string', required: true},
+    });
+    const inviteCode = normalizeInviteCode(data.inviteCode);
 
-    return familiesRef.where('members', 'array-contains', callerUid).get()                                              // query for families which the caller belongs to
-        .then(querySnapshot => {
-            if (querySnapshot.empty) {                                                                                  // no family; error
-                console.log(`User ${callerEmail} belongs to no family data`);
-                return {
-                    returnCode: RETURN_CODE_NO_FAMILY,
-                }
-            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
-                console.log(`User ${callerEmail} belongs to more than one family`);
-                return {
-                    returnCode: RETURN_CODE_MORE_THAN_ONE_FAMILY,
-                }
-            } else {                                                                                                    // the family exists; ok
-                const familyCreatorUid = querySnapshot.docs[0].data().creator;
-                return admin.auth().getUser(familyCreatorUid)
-                    .then( (userRecord) => {
-                        return {
-                            returnCode: RETURN_CODE_EXIST,
-                            creatorEmail: userRecord.email,
-                        }
-                    })
-                    .catch((error) => {
-                        console.log(`User ${callerEmail} error while getting a family owner: ${error}`);
-                        throw new functions.https.HttpsError('unknown', error);
-                    })
-                ;
+    return closeInvite(admin.firestore().collection('inviteCodes').doc(inviteCode), 'inviterUid', callerUid, INVITE_STATUS_REVOKED)
+        .then( (returnCode) => {
+            return {
+                returnCode: returnCode,
             }
         })
         .catch((error) => {
-            console.log(`User ${callerEmail} error while searching a family: ${error}`);
-            throw new functions.https.HttpsError('unknown', error);
+            console.log(`User ${callerEmail} error while revoking invite code ${inviteCode}: ${error}`);
+            throw toHttpsError(error);
         })
     ;
-});
\ No newline at end of file
+});
+
+
+/**
+ * Request locations from family members
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finds members of the given family or the single family, which caller belongs to and is allowed to locate;
+ * - leaves out members who have paused their location sharing;
+ * - counts the call against the rate limits per caller and per member requested by the caller; a member the caller
+ *   has requested too often is left out, so nobody stops anybody else from locating a member;
+ * - stores a location request record to track the member responses;
+ * - sends each member a request message holding the location request id;
+ * - returns the location request id, a composite return code and a delivery result per member; a paused member
+ *   gets the paused status and the time the pause ends, and a member left out by the rate limit gets the rate limited
+ *   status and the time to retry after
+ */
+exports.requestLocations = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            const memberUids = family.members.filter( (memberUid) => isAuthorized(family, callerUid, ACTION_LOCATE, memberUid) );
+            if (memberUids.length === 0) {                                                                              // nobody to locate; error
+                throw newHttpsError(RETURN_CODE_NOT_PERMITTED, 'Not allowed to locate any family member', {action: ACTION_LOCATE});
+            }
+            return getSharingSettings(memberUids)
+                .then( (sharingSettingsByUid) => {
+                    const isPaused = (memberUid) => sharingSettingsByUid[memberUid].mode === SHARING_MODE_PAUSED;
+                    const pausedUids = memberUids.filter(isPaused);
+                    const requestedUids = memberUids.filter( (memberUid) => !isPaused(memberUid) );
+                    const toTargetKey = (memberUid) => `${callerUid}:${memberUid}`;                                     // per requester, not to be used up by anybody else
+                    let retryAfterByTargetKey = {};
+                    const requestPromise = requestedUids.length > 0
+                        ? checkRateLimits('requestLocations', callerUid, requestedUids.map(toTargetKey), true)
+                            .then( (skippedTargets) => {
+                                retryAfterByTargetKey = skippedTargets;
+                                const allowedUids = requestedUids.filter( (memberUid) => !retryAfterByTargetKey[toTargetKey(memberUid)] );
+                                if (allowedUids.length === 0) return Object.assign(toDeliveryReport([]), {requestUid: null});
+                                return sendLocationRequest(familySnapshot.id, callerUid, callerEmail, allowedUids)
+                                    .then( (report) => {
+                                        return logActivity(familySnapshot.id, ACTIVITY_TYPE_LOCATIONS_REQUESTED, callerUid, allowedUids, {
+                                            requestUid: report.requestUid,
+                                        })
+                                            .then( (activityUid) => report )
+                                        ;
+                                    })
+                                ;
+                            })
+                        : Promise.resolve(Object.assign(toDeliveryReport([]), {requestUid: null}))                      // everybody is paused; nothing to request
+                    ;
+                    return requestPromise
+                        .then( (report) => {
+                            const rateLimitedUids = requestedUids.filter( (memberUid) => retryAfterByTargetKey[toTargetKey(memberUid)] );
+                            return getUserEmails(pausedUids.concat(rateLimitedUids))
+                                .then( (emailsByUid) => [report, emailsByUid, rateLimitedUids] )
+                            ;
+                        })
+                        .then( (results) => {
+                            const report = results[0];
+                            const emailsByUid = results[1];
+                            for (let pausedUid of pausedUids) {
+                                report.members.push({
+                                    uid: pausedUid,
+                                    email: emailsByUid[pausedUid] || null,
+                                    status: RETURN_CODE_PAUSED,
+                                    pausedUntil: sharingSettingsByUid[pausedUid].pausedUntil,
+                                });
+                            }
+                            for (let rateLimitedUid of results[2]) {
+                                report.members.push({
+                                    uid: rateLimitedUid,
+                                    email: emailsByUid[rateLimitedUid] || null,
+                                    status: RETURN_CODE_RATE_LIMITED,
+                                    retryAfter: retryAfterByTargetKey[toTargetKey(rateLimitedUid)],
+                                });
+                            }
+                            return Object.assign(report, summarizeSendReturnCodes(report.members.map( (member) => member.status )));
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`The location messages from ${callerEmail} not sent: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Send a location to family members
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - writes a location to the calling user record as the last known one, along with the time the caller was last seen,
+ *   the device status given (battery level, charging state, network type, app version) and the time to check
+ *   the caller status at (see checkDeviceStatus);
+ * - writes the location and the device status to the user location history, along with the precision the location
+ *   is shared with according to the caller sharing settings;
+ * - if sharing is paused, stops here: the location is kept in the caller own history only;
+ * - if the location answers a location request, marks the caller as responded in the location request record;
+ * - finds members of the given family or the single family, which caller belongs to and who are allowed to see the caller location;
+ * - writes the shared location to the family as the caller last known one, which the members are allowed to read directly;
+ * - sends each member a location message with the shared location, and returns a composite return code, the precision
+ *   and a delivery result per member; a location in a private zone is sent as the private precision with no location;
+ * - if the location is shared as is, compares it and the previous location shared with the family as is, if any, against
+ *   the family geofences and sends each member a message per geofence entered or left
+ */
+exports.sendLocation = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        location: {type: 'location', required: true},
+        accuracy: {type: 'number', min: 0},
+        source: {type: 'string'},
+        requestUid: {type: 'string'},
+        batteryLevel: {type: 'number', min: 0, max: 100},
+        isCharging: {type: 'boolean'},
+        networkType: {type: 'string'},
+        appVersion: {type: 'string'},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const location = data.location;
+    const deviceStatus = {};
+    for (let attribute of DEVICE_STATUS_ATTRIBUTES) {
+        if (data[attribute] !== undefined) deviceStatus[attribute] = data[attribute];
+    }
+    const accuracy = data.accuracy === undefined ? null : data.accuracy;
+    const source = data.source === undefined ? null : data.source;
+    const requestUid = data.requestUid;
+    const usersRef = admin.firestore().collection('users');
+    const userRef = usersRef.doc(callerUid);
+    let precision = LOCATION_PRECISION_EXACT;
+
+    return Promise.all([userRef.get(), getSharingSettings([callerUid])])
+        .then( (results) => {
+            const user = results[0].exists ? results[0].data() : {};
+            precision = getLocationPrecision(location, results[1][callerUid]);
+            const batch = admin.firestore().batch();
+            const userUpdate = {
+                location: location,
+                lastSeen: FieldValue.serverTimestamp(),
+                statusCheckAt: getStatusCheckTime(user, Object.assign({}, user.deviceStatus, deviceStatus)),
+            };
+            if (Object.keys(deviceStatus).length > 0) userUpdate.deviceStatus = deviceStatus;                           // merged, so attributes not given keep their last values
+            batch.set(userRef, userUpdate, {                                                                            // insert or update the document
+                merge: true
+            });
+            batch.set(userRef.collection('locations').doc(), {                                                          // append to the history
+                location: location,
+                accuracy: accuracy,
+                source: source,
+                precision: precision,
+                deviceStatus: Object.keys(deviceStatus).length > 0 ? deviceStatus : null,
+                timestamp: FieldValue.serverTimestamp(),
+            });
+            return batch.commit();
+        })
+        .then( (writeResults) => {
+            if (!requestUid || precision === LOCATION_PRECISION_PAUSED) return null;
+            return markLocationRequestResponse(requestUid, callerUid)
+                .catch((error) => {                                                                                     // a late or wrong request id should not break the location delivery
+                    console.log(`User ${callerEmail} response to location request ${requestUid} not recorded: ${error}`);
+                })
+            ;
+        })
+        .then( () => {
+            return findFamily(callerUid, familyId);                                                                     // the given family or the single one which the user belongs to
+        })
+        .then( (familySnapshot) => {
+            return Promise.all([familySnapshot, familySnapshot.ref.collection('locations').doc(callerUid).get()]);
+        })
+        .then( (results) => {
+            const familySnapshot = results[0];
+            const previousShared = results[1].exists ? results[1].data() : {};
+            if (precision === LOCATION_PRECISION_PAUSED) {
+                return Object.assign(toDeliveryReport([]), {
+                    precision: precision,
+                    geofenceEvents: [],
+                });
+            }
+            const family = familySnapshot.data();
+            const memberUids = family.members
+                .filter( (memberUid) => memberUid !== callerUid && isAuthorized(family, memberUid, ACTION_LOCATE, callerUid) )
+            ;
+            const sharedLocation = toSharedLocation(location, precision);
+            const sharePromise = familySnapshot.ref.collection('locations').doc(callerUid).set({                        // the last known location the members read directly; see firestore.rules
+                location: sharedLocation,
+                accuracy: precision === LOCATION_PRECISION_EXACT ? accuracy : null,
+                precision: precision,
+                timestamp: FieldValue.serverTimestamp(),
+            });
+            const locationPromise = sendToMembers(memberUids, (memberDeviceToken) => {
+                return {
+                    token: memberDeviceToken,
+                    data: Object.assign({
+                        messageType: MESSAGE_TYPE_LOCATION,
+                        precision: precision,
+                        senderEmail: callerEmail,
+                    }, sharedLocation !== null ? {location: toMessageLocation(sharedLocation)} : {}, requestUid ? {requestUid: requestUid} : {})
+                };
+            })
+                .then(toDeliveryReport)
+            ;
+            const previousLocation = (previousShared.precision || LOCATION_PRECISION_EXACT) === LOCATION_PRECISION_EXACT
+                ? previousShared.location || null
+                : null                                                                                                  // a hidden location should not show through the transitions
+            ;
+            const transitionsPromise = precision === LOCATION_PRECISION_EXACT
+                ? detectGeofenceTransitions(familySnapshot, previousLocation, location)
+                : Promise.resolve([])                                                                                   // geofence events would tell more than the shared location does
+            ;
+            const geofencePromise = transitionsPromise
+                .then( (transitions) => {
+                    return Promise.all(transitions.map( (transition) => {
+                        return sendToMembers(memberUids, (memberDeviceToken) => {
+                            return {
+                                token: memberDeviceToken,
+                                data: {
+                                    messageType: MESSAGE_TYPE_GEOFENCE_EVENT,
+                                    geofenceUid: transition.geofenceUid,
+                                    geofenceName: transition.geofenceName,
+                                    transition: transition.transition,
+                                    senderEmail: callerEmail,
+                                }
+                            };
+                        })
+                            .then( (memberResults) => {
+                                return Object.assign(transition, summarizeSendReturnCodes(memberResults.map( (memberResult) => memberResult.status )));
+                            })
+                        ;
+                    }));
+                })
+                .catch((error) => {                                                                                     // geofences should not break the location delivery
+                    console.log(`Geofence events for ${callerEmail} not detected: ${error}`);
+                    return [];
+                })
+            ;
+            return Promise.all([locationPromise, geofencePromise, sharePromise])
+                .then( (results) => {
+                    return Object.assign(results[0], {
+                        precision: precision,
+                        geofenceEvents: results[1],
+                    });
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`The location messages from ${callerEmail} not sent: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get a status of a location request made by the caller: who has responded and who is still pending
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - reading the location request record;
+ * - resolving the member emails
+ */
+exports.checkLocationRequest = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        requestUid: {type: 'string', required: true},
+    });
+    const requestUid = data.requestUid;
+
+    return admin.firestore().collection('locationRequests').doc(requestUid).get()
+        .then( (requestSnapshot) => {
+            if (!requestSnapshot.exists || requestSnapshot.data().requesterUid !== callerUid) {                         // no request or somebody else's; error
+                throw newHttpsError(RETURN_CODE_NO_LOCATION_REQUEST, `No location request ${requestUid}`);
+            }
+            const locationRequest = requestSnapshot.data();
+            return getUserEmails(locationRequest.memberUids)
+                .then( (emailsByUid) => {
+                    const responded = [];
+                    const pending = [];
+                    for (let memberUid of locationRequest.memberUids) {
+                        const respondedAt = locationRequest.responses[memberUid];
+                        if (respondedAt) {
+                            responded.push({
+                                uid: memberUid,
+                                email: emailsByUid[memberUid] || null,
+                                respondedAt: respondedAt.toMillis(),
+                            });
+                        } else {
+                            pending.push({
+                                uid: memberUid,
+                                email: emailsByUid[memberUid] || null,
+                            });
+                        }
+                    }
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        requestUid: requestUid,
+                        status: getLocationRequestStatus(locationRequest),
+                        createdAt: locationRequest.createdAt ? locationRequest.createdAt.toMillis() : null,
+                        expiresAt: locationRequest.expiresAt.toMillis(),
+                        responded: responded,
+                        pending: pending,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting location request ${requestUid}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get a location history of a family member (the caller by default) for a time window, oldest first, page by page.
+ * The window is clipped by the family retention period. A page token returned is to be passed to get the next page
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - getting a member user record by the email;
+ * - checking the caller is allowed to locate the member;
+ * - querying the member location history;
+ * - for another member history, applying the member sharing settings: entries recorded while paused are left out,
+ *   so a page may hold fewer entries than the page size; others are shown with their precision (see getHistoryPrecision)
+ */
+exports.getLocationHistory = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email'},
+        from: {type: 'integer', min: 0},
+        to: {type: 'integer', min: 0},
+        pageSize: {type: 'integer', min: 1, max: LOCATION_HISTORY_PAGE_SIZE_MAX},
+        pageToken: {type: 'string'},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail || callerEmail;
+    const pageSize = data.pageSize || LOCATION_HISTORY_PAGE_SIZE_DEFAULT;
+    const pageToken = data.pageToken;
+    const usersRef = admin.firestore().collection('users');
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            return admin.auth().getUserByEmail(familyMemberEmail)
+                .then( (userRecord) => {
+                    const familyMemberUid = userRecord.uid;
+                    if (familyMemberUid !== callerUid) authorize(family, callerUid, ACTION_LOCATE, familyMemberUid);
+                    const retentionStart = Date.now() - getLocationRetentionDays(family) * DAY_MILLIS;
+                    const from = Math.max(data.from || 0, retentionStart);
+                    const to = data.to || Date.now();
+                    const locationsRef = usersRef.doc(familyMemberUid).collection('locations');
+                    let query = locationsRef
+                        .where('timestamp', '>=', Timestamp.fromMillis(from))
+                        .where('timestamp', '<=', Timestamp.fromMillis(to))
+                        .orderBy('timestamp')
+                        .limit(pageSize)
+                    ;
+                    const cursorPromise = pageToken ? locationsRef.doc(pageToken).get() : Promise.resolve(null);
+                    let sharingSettings = null;
+                    return Promise.all([cursorPromise, getSharingSettings([familyMemberUid])])
+                        .then( (results) => {
+                            const cursorSnapshot = results[0];
+                            sharingSettings = results[1][familyMemberUid];
+                            if (cursorSnapshot && !cursorSnapshot.exists) {
+                                throw newInvalidArgumentError('pageToken', 'should be a token of a page returned before');
+                            }
+                            if (cursorSnapshot) query = query.startAfter(cursorSnapshot);
+                            return query.get();
+                        })
+                        .then( (querySnapshot) => {
+                            const locations = [];
+                            for (let locationSnapshot of querySnapshot.docs) {
+                                const entry = locationSnapshot.data();
+                                if (familyMemberUid === callerUid) {                                                    // the own history is shown as recorded
+                                    locations.push({
+                                        location: entry.location,
+                                        accuracy: entry.accuracy,
+                                        source: entry.source,
+                                        precision: entry.precision || LOCATION_PRECISION_EXACT,
+                                        timestamp: entry.timestamp.toMillis(),
+                                    });
+                                    continue;
+                                }
+                                const precision = getHistoryPrecision(entry, sharingSettings);
+                                if (precision === LOCATION_PRECISION_PAUSED) continue;
+                                locations.push({
+                                    location: toSharedLocation(entry.location, precision),
+                                    accuracy: precision === LOCATION_PRECISION_EXACT ? entry.accuracy : null,
+                                    source: entry.source,
+                                    precision: precision,
+                                    timestamp: entry.timestamp.toMillis(),
+                                });
+                            }
+                            return {
+                                returnCode: RETURN_CODE_OK,
+                                locations: locations,
+                                nextPageToken: querySnapshot.size === pageSize ? querySnapshot.docs[pageSize - 1].id : null,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting a location history of ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get a status of each family member the caller is allowed to locate: the last location shared with the family,
+ * when the member was last seen, i.e. last sent a location, and the device status then. A member who paused the location
+ * sharing is still seen. A member not seen for the family offline period is reported offline
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - reading the member user documents and the member locations shared with the family;
+ * - resolving the member emails
+ */
+exports.getFamilyStatus = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const usersRef = admin.firestore().collection('users');
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            const memberUids = family.members.filter( (memberUid) => isAuthorized(family, callerUid, ACTION_LOCATE, memberUid) );
+            if (memberUids.length === 0) {                                                                              // nobody to locate; error
+                throw newHttpsError(RETURN_CODE_NOT_PERMITTED, 'Not allowed to locate any family member', {action: ACTION_LOCATE});
+            }
+            const offlineAfterMillis = getOfflineAfterMinutes(family) * 60 * 1000;
+            return Promise.all([
+                admin.firestore().getAll(...memberUids.map( (memberUid) => usersRef.doc(memberUid) )),
+                admin.firestore().getAll(...memberUids.map( (memberUid) => familySnapshot.ref.collection('locations').doc(memberUid) )),
+                getUserEmails(memberUids),
+            ])
+                .then( (results) => {
+                    const members = memberUids.map( (memberUid, index) => {
+                        const user = results[0][index].exists ? results[0][index].data() : {};
+                        const sharedLocation = results[1][index].exists ? results[1][index].data() : null;
+                        const lastSeen = user.lastSeen ? user.lastSeen.toMillis() : null;
+                        return {
+                            uid: memberUid,
+                            email: results[2][memberUid] || null,
+                            role: getFamilyRole(family, memberUid),
+                            location: sharedLocation ? sharedLocation.location : null,
+                            precision: sharedLocation ? sharedLocation.precision || LOCATION_PRECISION_EXACT : null,
+                            locatedAt: sharedLocation && sharedLocation.timestamp ? sharedLocation.timestamp.toMillis() : null,
+                            lastSeen: lastSeen,
+                            isOffline: lastSeen === null || Date.now() - lastSeen > offlineAfterMillis,
+                            deviceStatus: toDeviceStatus(user.deviceStatus),
+                        }
+                    });
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        members: members,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting a family status: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get the caller location sharing settings
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - reading the caller document in the sharingSettings collection
+ */
+exports.getLocationSharing = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+
+    return getSharingSettings([callerUid])
+        .then( (sharingSettingsByUid) => {
+            return Object.assign({
+                returnCode: RETURN_CODE_OK,
+            }, sharingSettingsByUid[callerUid]);
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting the location sharing settings: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Update the caller location sharing settings, which apply to every family the caller belongs to: the sharing mode
+ * (on, paused until a given time, or coarse) and the private zones, where the caller location is shared only as being
+ * in a private place. A pause which is over means sharing on
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - inserting or updating the caller document in the sharingSettings collection;
+ * - hiding the caller location already shared with the families as much as the new settings require
+ */
+exports.updateLocationSharing = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        mode: {type: 'string', values: SHARING_MODES},
+        pausedUntil: {type: 'integer', min: 0},
+    });
+    const settingsUpdate = {
+        updatedAt: FieldValue.serverTimestamp(),
+    };
+    if (data.mode !== undefined) {
+        if (data.mode === SHARING_MODE_PAUSED && !(data.pausedUntil > Date.now())) {
+            throw newInvalidArgumentError('pausedUntil', 'should be a time in the future to pause until');
+        }
+        settingsUpdate.mode = data.mode;
+        settingsUpdate.pausedUntil = data.mode === SHARING_MODE_PAUSED ? Timestamp.fromMillis(data.pausedUntil) : null;
+    }
+    if (data.privateZones !== undefined && data.privateZones !== null) {                                                // zones are objects, which validate() does not check inside
+        settingsUpdate.privateZones = validatePrivateZones(data.privateZones);
+    }
+
+    return admin.firestore().collection('sharingSettings').doc(callerUid).set(settingsUpdate, {merge: true})
+        .then( (writeResult) => getSharingSettings([callerUid]) )
+        .then( (sharingSettingsByUid) => {
+            const sharingSettings = sharingSettingsByUid[callerUid];
+            return restrictSharedLocations(callerUid, sharingSettings)
+                .then( () => admin.firestore().collection('families').where('members', 'array-contains', callerUid).get() )
+                .then( (querySnapshot) => {
+                    return Promise.all(querySnapshot.docs.map( (familySnapshot) => {
+                        return logActivity(familySnapshot.id, ACTIVITY_TYPE_SHARING_UPDATED, callerUid, [], {           // not the private zones, which are the caller own business
+                            mode: sharingSettings.mode,
+                            pausedUntil: sharingSettings.pausedUntil,
+                        });
+                    }));
+                })
+                .then( (activityUids) => {
+                    return Object.assign({
+                        returnCode: RETURN_CODE_UPDATED,
+                    }, sharingSettings);
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while updating the location sharing settings: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Send an SOS alert to family members.
+ * The alert stays open until acknowledged; while open, it is re-sent at increasing intervals, and then the family
+ * secondary contacts are notified (see escalateSosAlerts)
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - storing an SOS alert record with the given location or the caller last known one;
+ * - sending each other member a high priority SOS message
+ */
+exports.sendSos = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        location: {type: 'location'},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const userRef = admin.firestore().collection('users').doc(callerUid);
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, ACTION_SEND_SOS);
+            const locationPromise = data.location !== undefined
+                ? Promise.resolve(data.location)
+                : userRef.get().then( (userSnapshot) => userSnapshot.exists ? userSnapshot.data().location || null : null )
+            ;
+            return locationPromise
+                .then( (location) => {
+                    const alertRef = admin.firestore().collection('sosAlerts').doc();                                   // a new document with an auto-generated id
+                    const alert = {
+                        familyUid: familySnapshot.id,
+                        senderUid: callerUid,
+                        senderEmail: callerEmail,
+                        location: location,
+                        status: SOS_STATUS_OPEN,
+                        escalationLevel: 0,
+                        createdAt: FieldValue.serverTimestamp(),
+                        nextEscalationAt: Timestamp.fromMillis(Date.now() + SOS_ESCALATION_INTERVALS_MINUTES[0] * 60 * 1000),
+                    };
+                    return alertRef.set(alert)
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_SOS_SENT, callerUid, [], {
+                                alertUid: alertRef.id,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            const memberUids = family.members.filter( (memberUid) => memberUid !== callerUid );
+                            return sendSosMessages(alertRef.id, alert, memberUids);
+                        })
+                        .then( (memberResults) => {
+                            return Object.assign(toDeliveryReport(memberResults), {
+                                alertUid: alertRef.id,
+                            });
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`The SOS messages from ${callerEmail} not sent: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Acknowledge an open SOS alert, which stops its escalation
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - closing in a transaction the alert with the acknowledged status, if the caller belongs to the alert family;
+ * - sending each other member an acknowledgement message
+ */
+exports.acknowledgeSos = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        alertUid: {type: 'string', required: true},
+    });
+    const alertUid = data.alertUid;
+    const alertRef = admin.firestore().collection('sosAlerts').doc(alertUid);
+    const familiesRef = admin.firestore().collection('families');
+    let family;
+
+    return admin.firestore().runTransaction((transaction) => {
+        return transaction.get(alertRef)
+            .then( (alertSnapshot) => {
+                if (!alertSnapshot.exists) throw newHttpsError(RETURN_CODE_NO_SOS, `No SOS alert ${alertUid}`);
+                return transaction.get(familiesRef.doc(alertSnapshot.data().familyUid))
+                    .then( (familySnapshot) => {
+                        family = familySnapshot.exists ? familySnapshot.data() : null;
+                        if (!family || !isAuthorized(family, callerUid, ACTION_VIEW_FAMILY)) {                          // a stranger is told there is no such alert
+                            throw newHttpsError(RETURN_CODE_NO_SOS, `No SOS alert ${alertUid}`);
+                        }
+                        if (alertSnapshot.data().status !== SOS_STATUS_OPEN) {
+                            throw newHttpsError(RETURN_CODE_SOS_CLOSED, 'The SOS alert is already acknowledged');
+                        }
+                        transaction.update(alertRef, {
+                            status: SOS_STATUS_ACKNOWLEDGED,
+                            acknowledgedBy: callerUid,
+                            acknowledgedByEmail: callerEmail,
+                            acknowledgedAt: FieldValue.serverTimestamp(),
+                            nextEscalationAt: null,
+                        });
+                        const activityRef = familySnapshot.ref.collection('activity').doc();
+                        transaction.set(activityRef, toActivityRecord(ACTIVITY_TYPE_SOS_ACKNOWLEDGED, callerUid, [alertSnapshot.data().senderUid], {
+                            alertUid: alertUid,
+                        }));
+                    })
+                ;
+            })
+        ;
+    })
+        .then( () => {
+            const memberUids = family.members.filter( (memberUid) => memberUid !== callerUid );
+            return sendToMembers(memberUids, (memberDeviceToken) => {
+                return {
+                    token: memberDeviceToken,
+                    data: {
+                        messageType: MESSAGE_TYPE_SOS_ACKNOWLEDGED,
+                        alertUid: alertUid,
+                        senderEmail: callerEmail,
+                    },
+                    android: {
+                        priority: 'high',
+                    }
+                };
+            })
+                .then( (memberResults) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        members: memberResults,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while acknowledging SOS alert ${alertUid}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Register a device of the caller, or update its registration, in the caller device registry used for FCM.
+ * Devices are keyed by an installation id; a call without one updates the legacy single device token
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - inserting or updating a document in the devices collection of the calling user document
+ */
+exports.updateDeviceToken = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        deviceToken: {type: 'string', required: true},
+        installationId: {type: 'string'},
+        platform: {type: 'string'},
+        appVersion: {type: 'string'},
+        language: {type: 'string'},
+    });
+    if (data.language !== undefined && !LANGUAGE_PATTERN.test(data.language)) {
+        throw newInvalidArgumentError('language', 'should be a language tag, like en or pt-BR');
+    }
+    const deviceToken = data.deviceToken;
+    const installationId = data.installationId;
+    const userRef = admin.firestore().collection('users').doc(callerUid);
+
+    const writePromise = installationId
+        ? userRef.collection('devices').doc(installationId).set({                                                       // insert or update the device document
+            token: deviceToken,
+            platform: data.platform || null,
+            appVersion: data.appVersion || null,
+            language: data.language || null,
+            lastSeen: FieldValue.serverTimestamp(),
+        },{
+            merge: true
+        })
+        : userRef.set({                                                                                                 // an app not aware of installations
+            deviceToken: deviceToken
+        },{
+            merge: true
+        })
+    ;
+    return writePromise
+        .then( (writeResult) => {
+            return {
+                returnCode: RETURN_CODE_OK,
+            }
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while updating ${deviceToken}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Remove a device of the caller from the device registry, e.g. on sign out
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - deleting a document from the devices collection of the calling user document
+ */
+exports.unregisterDevice = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        installationId: {type: 'string', required: true},
+    });
+    const installationId = data.installationId;
+
+    return admin.firestore().collection('users').doc(callerUid).collection('devices').doc(installationId).delete()
+        .then( (writeResult) => {
+            return {
+                returnCode: RETURN_CODE_DELETED,
+            }
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while unregistering device ${installationId}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+// --------------------------- Model CRUD: Family
+
+/**
+ * Create a family data, if no ones.
+ * Return a uid of created or existing data.
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - reading a collection and inserting a document into it
+ */
+exports.createFamily = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    const familiesRef = admin.firestore().collection('families');
+    let familyUid;
+
+    return familiesRef.where('creator', '==', callerUid).get()                                                          // query for families created by the user
+        .then(querySnapshot => {
+            if (querySnapshot.empty) {                                                                                  // no such families; creating one
+                return familiesRef.add({
+                    creator: callerUid,
+                    roles: {
+                        [callerUid]: ROLE_OWNER,
+                    },
+                    settings: {
+                        membersCanLocateAdults: false,
+                        locationRetentionDays: LOCATION_RETENTION_DAYS_DEFAULT,
+                        timeZone: TIME_ZONE_DEFAULT,
+                    },
+                })
+                    .then((familyRef) => {
+                        familyUid = familyRef.id;
+                        return familyRef.update({
+                            members: FieldValue.arrayUnion(callerUid)
+                        })
+                            .then( (writeResult) => logActivity(familyUid, ACTIVITY_TYPE_FAMILY_CREATED, callerUid) )
+                            .then( (activityUid) => {
+                                return {
+                                    returnCode: RETURN_CODE_CREATED,
+                                    familyUid: familyUid,
+                                }
+                            })
+                        ;
+                    })
+                ;
+            } else if (querySnapshot.size !== 1) {                                                                      // many such families; error
+                throw newHttpsError(RETURN_CODE_MORE_THAN_ONE_FAMILY, 'Created more than one family');
+            } else {                                                                                                    // the family already exists; return its id
+                return {
+                    returnCode: RETURN_CODE_EXIST,
+                    familyUid: querySnapshot.docs[0].id,                                                                // using DocumentSnapshot here
+                }
+            }
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while creating family data: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Insert a family member into family data
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to add a member with the requested role (a member by default);
+ * - inserting or updating the members and roles attributes of a document
+ */
+exports.createFamilyMember = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email', required: true},
+        role: {type: 'string', values: [ROLE_GUARDIAN, ROLE_MEMBER]},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail;
+    const familyMemberRole = getRequestedRole(data.role);
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, getMembershipAction(familyMemberRole));
+            return admin.auth().getUserByEmail(familyMemberEmail)                                                       // get a member user record by a given email
+                .then( (userRecord) => {
+                    if (getFamilyRole(family, userRecord.uid)) {                                                        // already a member; use setFamilyMemberRole to change the role
+                        throw newHttpsError(RETURN_CODE_EXIST, `${familyMemberEmail} is already a family member`);
+                    }
+                    return familySnapshot.ref.update({                                                                  // get DocumentReference from DocumentSnapshot
+                            members: FieldValue.arrayUnion(userRecord.uid),
+                            [`roles.${userRecord.uid}`]: familyMemberRole,
+                        })
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_MEMBER_ADDED, callerUid, [userRecord.uid], {
+                                role: familyMemberRole,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            return {
+                                returnCode: RETURN_CODE_CREATED,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while storing family member ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Remove a family member from family data
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - getting a user UID by the email;
+ * - checking the caller is allowed to remove a member with such a role;
+ * - removing an attribute (the UID got) and its role from a document (the family found), and the member shared location;
+ *   pending invites sent by the member to the family are revoked
+ */
+exports.deleteFamilyMember = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email', required: true},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            return admin.auth().getUserByEmail(familyMemberEmail)                                                       // get a member user record by a given email
+                .then( (userRecord) => {
+                    const familyMemberRole = getFamilyRole(family, userRecord.uid);
+                    if (!familyMemberRole) {
+                        throw newHttpsError(RETURN_CODE_NO_USER, `${familyMemberEmail} is not a family member`);
+                    }
+                    authorize(family, callerUid, getMembershipAction(familyMemberRole), userRecord.uid);
+                    return removeFamilyMember(familySnapshot.ref, userRecord.uid)
+                        .then( () => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_MEMBER_REMOVED, callerUid, [userRecord.uid], {
+                                role: familyMemberRole,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            return {
+                                returnCode: RETURN_CODE_DELETED,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while removing family member ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get a family roster: the family id, the owner, the caller role, and for each member the uid, the email, the display
+ * name and the photo from the account, the nickname and the avatar from the member profile, the role, and whether
+ * the member has a registered device. The last location shared with the family and the time the member was last seen
+ * are returned for the members the caller is allowed to locate only
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - getting the member user records in batches;
+ * - reading the member profiles, user documents, device registries and the member locations shared with the family
+ */
+exports.getFamily = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const firestore = admin.firestore();
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, ACTION_VIEW_FAMILY);
+            const memberUids = family.members;
+            return Promise.all([
+                getUserRecords(memberUids),
+                firestore.getAll(...memberUids.map( (memberUid) => firestore.collection('profiles').doc(memberUid) )),
+                firestore.getAll(...memberUids.map( (memberUid) => firestore.collection('users').doc(memberUid) )),
+                firestore.getAll(...memberUids.map( (memberUid) => familySnapshot.ref.collection('locations').doc(memberUid) )),
+                Promise.all(memberUids.map( (memberUid) => getDeviceTokens(memberUid) )),
+            ])
+                .then( (results) => {
+                    const userRecordsByUid = results[0];
+                    const members = memberUids.map( (memberUid, index) => {
+                        const userRecord = userRecordsByUid[memberUid] || {};
+                        const profile = toProfile(results[1][index]);
+                        const canLocate = isAuthorized(family, callerUid, ACTION_LOCATE, memberUid);
+                        const user = canLocate && results[2][index].exists ? results[2][index].data() : {};
+                        const sharedLocation = canLocate && results[3][index].exists ? results[3][index].data() : null;
+                        return {
+                            uid: memberUid,
+                            email: userRecord.email || null,
+                            displayName: userRecord.displayName || null,
+                            photoUrl: userRecord.photoURL || null,
+                            nickname: profile.nickname,
+                            avatarUrl: profile.avatarUrl,
+                            role: getFamilyRole(family, memberUid),
+                            location: sharedLocation ? sharedLocation.location : null,
+                            precision: sharedLocation ? sharedLocation.precision || LOCATION_PRECISION_EXACT : null,
+                            locatedAt: sharedLocation && sharedLocation.timestamp ? sharedLocation.timestamp.toMillis() : null,
+                            lastSeen: user.lastSeen ? user.lastSeen.toMillis() : null,
+                            hasDevice: results[4][index].devices.length > 0,
+                        }
+                    });
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        familyUid: familySnapshot.id,
+                        ownerUid: family.creator,
+                        ownerEmail: (userRecordsByUid[family.creator] || {}).email || null,
+                        role: getFamilyRole(family, callerUid),
+                        members: members,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting a family: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Check if the caller belongs to any family. Return every family with its owner email and the caller role.
+ * When the caller belongs to exactly one family, its owner email and the caller role are also returned on the top level
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - searching the family records which members attribute contains the caller UID, or the given family only;
+ * - getting the user records of the family creators;
+ * - returning the emails from these records
+ */
+exports.checkFamilyMembership = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familiesRef = admin.firestore().collection('families');
+
+    const familiesPromise = familyId
+        ? familiesRef.doc(familyId).get().then( (familySnapshot) => familySnapshot.exists ? [familySnapshot] : [] )
+        : familiesRef.where('members', 'array-contains', callerUid).get().then( (querySnapshot) => querySnapshot.docs )
+    ;
+    return familiesPromise
+        .then( (familySnapshots) => {
+            familySnapshots = familySnapshots.filter( (familySnapshot) => isAuthorized(familySnapshot.data(), callerUid, ACTION_VIEW_FAMILY) );
+            if (familySnapshots.length === 0) {                                                                         // no family; error
+                throw newHttpsError(RETURN_CODE_NO_FAMILY, 'Belongs to no family');
+            }
+            const familyPromises = familySnapshots.map( (familySnapshot) => {
+                const family = familySnapshot.data();
+                return admin.auth().getUser(family.creator)
+                    .then( (userRecord) => {
+                        return {
+                            familyUid: familySnapshot.id,
+                            creatorEmail: userRecord.email,
+                            role: getFamilyRole(family, callerUid),
+                        }
+                    })
+                ;
+            });
+            return Promise.all(familyPromises)
+                .then( (families) => {
+                    const result = {
+                        returnCode: RETURN_CODE_EXIST,
+                        families: families,
+                    };
+                    if (families.length === 1) {                                                                        // keep the single family attributes for older apps
+                        result.creatorEmail = families[0].creatorEmail;
+                        result.role = families[0].role;
+                    }
+                    return result;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while searching a family: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * List families which the caller belongs to
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - searching the family records which members attribute contains the caller UID;
+ * - returning their ids, creators, member counts and the caller roles
+ */
+exports.listFamilies = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    const familiesRef = admin.firestore().collection('families');
+
+    return familiesRef.where('members', 'array-contains', callerUid).get()                                              // query for families which the caller belongs to
+        .then(querySnapshot => {
+            return {
+                returnCode: RETURN_CODE_OK,
+                families: querySnapshot.docs.map( (familySnapshot) => {
+                    const family = familySnapshot.data();
+                    return {
+                        familyUid: familySnapshot.id,
+                        creatorUid: family.creator,
+                        memberCount: family.members.length,
+                        role: getFamilyRole(family, callerUid),
+                    }
+                }),
+            }
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while listing families: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Change a role of a family member
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - getting a user UID by the email;
+ * - checking the caller is allowed to manage guardians, i.e. is the family owner;
+ * - updating the member role in the family document
+ */
+exports.setFamilyMemberRole = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email', required: true},
+        role: {type: 'string', required: true, values: [ROLE_GUARDIAN, ROLE_MEMBER]},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail;
+    const familyMemberRole = getRequestedRole(data.role);
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            return admin.auth().getUserByEmail(familyMemberEmail)                                                       // get a member user record by a given email
+                .then( (userRecord) => {
+                    if (!getFamilyRole(family, userRecord.uid)) {
+                        throw newHttpsError(RETURN_CODE_NO_USER, `${familyMemberEmail} is not a family member`);
+                    }
+                    authorize(family, callerUid, ACTION_MANAGE_GUARDIANS, userRecord.uid);
+                    return familySnapshot.ref.update({
+                        [`roles.${userRecord.uid}`]: familyMemberRole,
+                    })
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_ROLE_CHANGED, callerUid, [userRecord.uid], {
+                                role: familyMemberRole,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            return {
+                                returnCode: RETURN_CODE_UPDATED,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while changing the role of family member ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Update family settings. Only the settings given are changed.
+ * The low battery threshold (percent) and the offline period (minutes) tune the alerts of checkDeviceStatus
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage settings, i.e. is the family owner;
+ * - updating the settings attribute of the family document;
+ * - on a time zone change, making the family check-ins due, so runCheckIns finds their next times in the new time zone
+ */
+exports.updateFamilySettings = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        membersCanLocateAdults: {type: 'boolean'},
+        timeZone: {type: 'timeZone'},
+        sosContactEmails: {type: 'array'},
+        locationRetentionDays: {type: 'integer', min: LOCATION_RETENTION_DAYS_MIN, max: LOCATION_RETENTION_DAYS_MAX},
+        lowBatteryThreshold: {type: 'integer', min: 0, max: LOW_BATTERY_THRESHOLD_MAX},
+        offlineAfterMinutes: {type: 'integer', min: OFFLINE_AFTER_MINUTES_MIN, max: OFFLINE_AFTER_MINUTES_MAX},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_SETTINGS);
+            const settingsUpdate = {};
+            if (data.membersCanLocateAdults !== undefined) {
+                settingsUpdate['settings.membersCanLocateAdults'] = data.membersCanLocateAdults;
+            }
+            if (data.timeZone !== undefined) {
+                settingsUpdate['settings.timeZone'] = data.timeZone;
+            }
+            if (data.sosContactEmails !== undefined) {
+                if (!data.sosContactEmails.every( (email) => EMAIL_PATTERN.test(email) )) {
+                    throw newInvalidArgumentError('sosContactEmails', 'should hold emails');
+                }
+                settingsUpdate['settings.sosContactEmails'] = data.sosContactEmails;
+            }
+            if (data.locationRetentionDays !== undefined) {
+                settingsUpdate['settings.locationRetentionDays'] = data.locationRetentionDays;
+            }
+            if (data.lowBatteryThreshold !== undefined) {
+                settingsUpdate['settings.lowBatteryThreshold'] = data.lowBatteryThreshold;
+            }
+            if (data.offlineAfterMinutes !== undefined) {
+                settingsUpdate['settings.offlineAfterMinutes'] = data.offlineAfterMinutes;
+            }
+            if (Object.keys(settingsUpdate).length === 0) {                                                             // nothing to update
+                return {
+                    returnCode: RETURN_CODE_OK,
+                }
+            }
+            return familySnapshot.ref.update(settingsUpdate)
+                .then( (writeResult) => {
+                    if (data.timeZone === undefined) return 0;
+                    const now = Timestamp.now();                                                                        // the next run reschedules them in the new time zone
+                    return updateQueryResults(familySnapshot.ref.collection('checkIns').where('nextRunAt', '>', now), {nextRunAt: now});
+                })
+                .then( (updatedCount) => {
+                    return logActivity(familySnapshot.id, ACTIVITY_TYPE_SETTINGS_UPDATED, callerUid, [], {              // the names only, as the values may be contact emails
+                        settings: Object.keys(settingsUpdate).map( (path) => path.replace('settings.', '') ),
+                    });
+                })
+                .then( (activityUid) => {
+                    return {
+                        returnCode: RETURN_CODE_UPDATED,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while updating family settings: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Delete a family. Only the owner is allowed to
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage the family, i.e. is the family owner;
+ * - deleting the family document with its geofences, shared locations, location requests and SOS alerts,
+ *   and revoking pending invites to the family;
+ * - sending each other member a family deletion message
+ */
+exports.deleteFamily = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, ACTION_MANAGE_FAMILY);
+            return deleteFamilyData(familySnapshot.ref)
+                .then( () => {
+                    const memberUids = family.members.filter( (memberUid) => memberUid !== callerUid );
+                    return sendToMembers(memberUids, (memberDeviceToken) => {
+                        return {
+                            token: memberDeviceToken,
+                            data: {
+                                messageType: MESSAGE_TYPE_FAMILY_DELETED,
+                                familyUid: familySnapshot.id,
+                                senderEmail: callerEmail,
+                            }
+                        };
+                    });
+                })
+                .then( (memberResults) => {
+                    return {
+                        returnCode: RETURN_CODE_DELETED,
+                        members: memberResults,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while deleting a family: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Leave a family. The owner is not allowed to, and should transfer the ownership or delete the family instead
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - removing the caller and the caller role from the family document, and the caller shared location;
+ *   pending invites sent by the caller to the family are revoked;
+ * - sending each remaining member a message telling the caller has left
+ */
+exports.leaveFamily = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            if (getFamilyRole(family, callerUid) === ROLE_OWNER) {                                                      // a family should not be left without an owner
+                throw newHttpsError(RETURN_CODE_OWNER_CANNOT_LEAVE, 'The owner should transfer the ownership or delete the family');
+            }
+            return removeFamilyMember(familySnapshot.ref, callerUid)
+                .then( () => logActivity(familySnapshot.id, ACTIVITY_TYPE_MEMBER_LEFT, callerUid) )
+                .then( (activityUid) => {
+                    const memberUids = family.members.filter( (memberUid) => memberUid !== callerUid );
+                    return sendToMembers(memberUids, (memberDeviceToken) => {
+                        return {
+                            token: memberDeviceToken,
+                            data: {
+                                messageType: MESSAGE_TYPE_MEMBER_LEFT,
+                                familyUid: familySnapshot.id,
+                                senderEmail: callerEmail,
+                            }
+                        };
+                    });
+                })
+                .then( (memberResults) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        members: memberResults,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while leaving a family: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Transfer the family ownership to another family member. The former owner becomes a guardian
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage the family, i.e. is the family owner;
+ * - getting a user UID by the email, who should be an adult family member, i.e. a guardian;
+ * - updating the creator and the roles attributes of the family document;
+ * - sending each other member a message telling who the new owner is
+ */
+exports.transferFamilyOwnership = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email', required: true},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, ACTION_MANAGE_FAMILY);
+            return admin.auth().getUserByEmail(familyMemberEmail)                                                       // get a member user record by a given email
+                .then( (userRecord) => {
+                    if (userRecord.uid === callerUid || !getFamilyRole(family, userRecord.uid)) {
+                        throw newHttpsError(RETURN_CODE_NO_USER, `${familyMemberEmail} is not another family member`);
+                    }
+                    if (!isAdultRole(getFamilyRole(family, userRecord.uid))) {
+                        throw newHttpsError(RETURN_CODE_NOT_PERMITTED, `${familyMemberEmail} is not an adult family member`);
+                    }
+                    return familySnapshot.ref.update({
+                        creator: userRecord.uid,                                                                        // families are found by the creator, so it follows the owner
+                        [`roles.${userRecord.uid}`]: ROLE_OWNER,
+                        [`roles.${callerUid}`]: ROLE_GUARDIAN,
+                    })
+                        .then( (writeResult) => logActivity(familySnapshot.id, ACTIVITY_TYPE_OWNERSHIP_TRANSFERRED, callerUid, [userRecord.uid]) )
+                        .then( (activityUid) => {
+                            const memberUids = family.members.filter( (memberUid) => memberUid !== callerUid );
+                            return sendToMembers(memberUids, (memberDeviceToken) => {
+                                return {
+                                    token: memberDeviceToken,
+                                    data: {
+                                        messageType: MESSAGE_TYPE_OWNERSHIP_TRANSFERRED,
+                                        familyUid: familySnapshot.id,
+                                        ownerEmail: userRecord.email,
+                                        senderEmail: callerEmail,
+                                    }
+                                };
+                            });
+                        })
+                        .then( (memberResults) => {
+                            return {
+                                returnCode: RETURN_CODE_UPDATED,
+                                members: memberResults,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while transferring the ownership to ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Get the activity log of a family, newest first, page by page: who added, removed or located whom, and when, and
+ * other changes made through the callables. Adults see every event; a minor sees the family-wide events, such as
+ * membership changes, and the events the minor took part in. A page token returned is to be passed to get the next page
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - querying the activity collection of the family document, limited to the events the caller is allowed to see;
+ * - resolving the actor and subject emails
+ */
+exports.getFamilyActivity = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        pageSize: {type: 'integer', min: 1, max: ACTIVITY_PAGE_SIZE_MAX},
+        pageToken: {type: 'string'},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const pageSize = data.pageSize || ACTIVITY_PAGE_SIZE_DEFAULT;
+    const pageToken = data.pageToken;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            const family = familySnapshot.data();
+            authorize(family, callerUid, ACTION_VIEW_FAMILY);
+            const activityRef = familySnapshot.ref.collection('activity');
+            let query = isAdultRole(getFamilyRole(family, callerUid))
+                ? activityRef
+                : activityRef.where('audience', 'array-contains-any', [ACTIVITY_AUDIENCE_ALL, callerUid])
+            ;
+            query = query
+                .orderBy('createdAt', 'desc')
+                .limit(pageSize)
+            ;
+            const cursorPromise = pageToken ? activityRef.doc(pageToken).get() : Promise.resolve(null);
+            return cursorPromise
+                .then( (cursorSnapshot) => {
+                    if (cursorSnapshot && !cursorSnapshot.exists) {
+                        throw newInvalidArgumentError('pageToken', 'should be a token of a page returned before');
+                    }
+                    if (cursorSnapshot) query = query.startAfter(cursorSnapshot);
+                    return query.get();
+                })
+            ;
+        })
+        .then( (querySnapshot) => {
+            const uids = new Set();
+            querySnapshot.docs.forEach( (activitySnapshot) => {
+                if (activitySnapshot.data().actorUid) uids.add(activitySnapshot.data().actorUid);                       // no actor of a deleted user
+                activitySnapshot.data().subjectUids.forEach( (subjectUid) => uids.add(subjectUid) );
+            });
+            return getUserEmails(Array.from(uids))
+                .then( (emailsByUid) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        events: querySnapshot.docs.map( (activitySnapshot) => toActivityResult(activitySnapshot, emailsByUid) ),
+                        nextPageToken: querySnapshot.size === pageSize ? querySnapshot.docs[pageSize - 1].id : null,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while getting the family activity: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+// --------------------------- Model CRUD: Geofence
+
+/**
+ * Create a geofence in a family.
+ * A geofence is a circle given by a center (latitude, longitude) and a radius in meters, and has a name.
+ * An optional schedule {days, startTime, endTime} limits the geofence to week days (0 is Sunday) and a time span
+ * ('HH:MM', in the family time zone)
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage geofences;
+ * - inserting a document into the family geofences collection
+ */
+exports.createGeofence = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validateGeofence(data, true);
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_GEOFENCES);
+            return familySnapshot.ref.collection('geofences').add(getGeofenceAttributes(data))
+                .then( (geofenceRef) => {
+                    return logActivity(familySnapshot.id, ACTIVITY_TYPE_GEOFENCE_CREATED, callerUid, [], {
+                        geofenceUid: geofenceRef.id,
+                        name: data.name,
+                    })
+                        .then( (activityUid) => {
+                            return {
+                                returnCode: RETURN_CODE_CREATED,
+                                geofenceUid: geofenceRef.id,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while creating a geofence: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Update a geofence in a family. Only the attributes given are changed; a null schedule removes the schedule
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage geofences;
+ * - updating the geofence document
+ */
+exports.updateGeofence = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validateGeofence(data, false);
+    const familyId = data.familyId;
+    const geofenceUid = data.geofenceUid;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_GEOFENCES);
+            const geofenceRef = familySnapshot.ref.collection('geofences').doc(geofenceUid);
+            return geofenceRef.get()
+                .then( (geofenceSnapshot) => {
+                    if (!geofenceSnapshot.exists) {
+                        throw newHttpsError(RETURN_CODE_NO_GEOFENCE, `No geofence ${geofenceUid}`);
+                    }
+                    const geofenceUpdate = getGeofenceAttributes(data);
+                    if (Object.keys(geofenceUpdate).length === 0) {                                                     // nothing to update
+                        return {
+                            returnCode: RETURN_CODE_OK,
+                        }
+                    }
+                    return geofenceRef.update(geofenceUpdate)
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_GEOFENCE_UPDATED, callerUid, [], {
+                                geofenceUid: geofenceUid,
+                                name: data.name !== undefined ? data.name : geofenceSnapshot.data().name,
+                            });
+                        })
+                        .then( (activityUid) => {
+                            return {
+                                returnCode: RETURN_CODE_UPDATED,
+                            }
+                        })
+                    ;
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while updating geofence ${geofenceUid}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Delete a geofence from a family
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage geofences;
+ * - deleting the geofence document
+ */
+exports.deleteGeofence = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        geofenceUid: {type: 'string', required: true},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const geofenceUid = data.geofenceUid;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_GEOFENCES);
+            return familySnapshot.ref.collection('geofences').doc(geofenceUid).delete()
+                .then( (writeResult) => {
+                    return logActivity(familySnapshot.id, ACTIVITY_TYPE_GEOFENCE_DELETED, callerUid, [], {
+                        geofenceUid: geofenceUid,
+                    });
+                })
+                .then( (activityUid) => {
+                    return {
+                        returnCode: RETURN_CODE_DELETED,
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while deleting geofence ${geofenceUid}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * List geofences of a family
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - reading the family geofences collection
+ */
+exports.listGeofences = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_VIEW_FAMILY);
+            return familySnapshot.ref.collection('geofences').get()
+                .then( (querySnapshot) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        geofences: querySnapshot.docs.map( (geofenceSnapshot) => {
+                            return Object.assign({
+                                geofenceUid: geofenceSnapshot.id,
+                            }, geofenceSnapshot.data());
+                        }),
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while listing geofences: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+// --------------------------- Model CRUD: Check-in
+
+/**
+ * Create a check-in schedule for a family member: at each given time ('HH:MM') of each given week day (every day
+ * by default) in the family time zone, the member is asked for a location by runCheckIns, and the family adults get
+ * a summary of who checked in and who missed. Only owners and guardians are allowed to
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - getting a member user record by the email;
+ * - checking the caller is allowed to manage check-ins of the member;
+ * - inserting a document into the check-ins collection of the family document, with the moment of its next time
+ */
+exports.createCheckIn = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyMemberEmail: {type: 'email', required: true},
+        times: {type: 'array', required: true, min: 1, max: CHECK_IN_TIMES_MAX},
+        familyId: {type: 'string'},
+    });
+    if (!data.times.every( (time) => TIME_PATTERN.test(time) )) {
+        throw newInvalidArgumentError('times', 'should hold times as HH:MM');
+    }
+    const days = data.days;                                                                                             // checked here, as validate() knows arrays of strings only
+    if (days !== undefined && days !== null && !(Array.isArray(days) && days.length > 0 && days.every( (day) => Number.isInteger(day) && day >= 0 && day <= 6 ))) {
+        throw newInvalidArgumentError('days', 'should hold week days from 0 to 6');
+    }
+    const familyId = data.familyId;
+    const familyMemberEmail = data.familyMemberEmail;
+    let memberUid;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            return admin.auth().getUserByEmail(familyMemberEmail)                                                       // get a member user record by a given email
+                .then( (userRecord) => {
+                    if (!getFamilyRole(familySnapshot.data(), userRecord.uid)) {
+                        throw newHttpsError(RETURN_CODE_NO_USER, `${familyMemberEmail} is not a family member`);
+                    }
+                    authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_CHECK_INS, userRecord.uid);
+                    memberUid = userRecord.uid;
+                    const settings = familySnapshot.data().settings;
+                    const checkIn = {
+                        memberUid: userRecord.uid,
+                        times: Array.from(new Set(data.times)).sort(),
+                        days: days ? Array.from(new Set(days)).sort( (a, b) => a - b ) : null,
+                        createdBy: callerUid,
+                        createdAt: FieldValue.serverTimestamp(),
+                        lastRunAt: null,
+                        lastRunSlot: null,
+                    };
+                    // From a minute back, as the next run covers the minute passed since the previous one
+                    checkIn.nextRunAt = toNextRunAt(checkIn, Date.now() - 60 * 1000, (settings && settings.timeZone) || TIME_ZONE_DEFAULT);
+                    return familySnapshot.ref.collection('checkIns').add(checkIn);
+                })
+                .then( (checkInRef) => {
+                    return logActivity(familySnapshot.id, ACTIVITY_TYPE_CHECK_IN_CREATED, callerUid, [memberUid], {
+                        checkInUid: checkInRef.id,
+                    })
+                        .then( (activityUid) => checkInRef.get() )
+                    ;
+                })
+                .then( (checkInSnapshot) => {
+                    return Object.assign({
+                        returnCode: RETURN_CODE_CREATED,
+                    }, toCheckInResult(checkInSnapshot, {[checkInSnapshot.data().memberUid]: familyMemberEmail}));
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while creating a check-in for ${familyMemberEmail}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * List the check-in schedules of a family
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - reading the check-ins collection of the family document;
+ * - resolving the member emails
+ */
+exports.listCheckIns = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_VIEW_FAMILY);
+            return familySnapshot.ref.collection('checkIns').get();
+        })
+        .then( (querySnapshot) => {
+            const memberUids = Array.from(new Set(querySnapshot.docs.map( (checkInSnapshot) => checkInSnapshot.data().memberUid )));
+            return getUserEmails(memberUids)
+                .then( (emailsByUid) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        checkIns: querySnapshot.docs.map( (checkInSnapshot) => toCheckInResult(checkInSnapshot, emailsByUid) ),
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while listing check-ins: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Delete a check-in schedule. Only owners and guardians are allowed to
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - finding the given family or the single family which the caller belongs to;
+ * - checking the caller is allowed to manage check-ins;
+ * - deleting the document from the check-ins collection of the family document, if there is one
+ */
+exports.deleteCheckIn = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        checkInUid: {type: 'string', required: true},
+        familyId: {type: 'string'},
+    });
+    const familyId = data.familyId;
+    const checkInUid = data.checkInUid;
+
+    return findFamily(callerUid, familyId)                                                                              // the given family or the single one which the user belongs to
+        .then( (familySnapshot) => {
+            authorize(familySnapshot.data(), callerUid, ACTION_MANAGE_CHECK_INS);
+            const checkInRef = familySnapshot.ref.collection('checkIns').doc(checkInUid);
+            return checkInRef.get()
+                .then( (checkInSnapshot) => {
+                    if (!checkInSnapshot.exists) throw newHttpsError(RETURN_CODE_NO_CHECK_IN, `No check-in ${checkInUid}`);
+                    return checkInRef.delete()
+                        .then( (writeResult) => {
+                            return logActivity(familySnapshot.id, ACTIVITY_TYPE_CHECK_IN_DELETED, callerUid, [checkInSnapshot.data().memberUid], {
+                                checkInUid: checkInUid,
+                            });
+                        })
+                    ;
+                })
+            ;
+        })
+        .then( (activityUid) => {
+            return {
+                returnCode: RETURN_CODE_DELETED,
+            }
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while deleting check-in ${checkInUid}: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+// --------------------------- Account
+
+/**
+ * Update the caller member profile, which the families the caller belongs to see in the roster (see getFamily):
+ * a nickname and an avatar image URL. Only the attributes given are changed; an empty string removes one
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - inserting or updating the caller document in the profiles collection;
+ * - logging the change in the activity of each family which the caller belongs to
+ */
+exports.updateMemberProfile = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    data = validate(data, {
+        nickname: {type: 'string', max: NICKNAME_LENGTH_MAX, empty: true},
+        avatarUrl: {type: 'string', max: AVATAR_URL_LENGTH_MAX, empty: true},
+    });
+    if (data.avatarUrl && !isHttpsUrl(data.avatarUrl)) {
+        throw newInvalidArgumentError('avatarUrl', 'should be an HTTPS URL');
+    }
+    const profileRef = admin.firestore().collection('profiles').doc(callerUid);
+    const profileUpdate = {};
+    for (let attribute of PROFILE_ATTRIBUTES) {
+        if (data[attribute] !== undefined) profileUpdate[attribute] = data[attribute].trim() || null;
+    }
+    if (Object.keys(profileUpdate).length === 0) {                                                                      // nothing to update
+        return profileRef.get()
+            .then( (profileSnapshot) => Object.assign({returnCode: RETURN_CODE_OK}, toProfile(profileSnapshot)) )
+            .catch((error) => {
+                console.log(`User ${callerEmail} error while getting the member profile: ${error}`);
+                throw toHttpsError(error);
+            })
+        ;
+    }
+    profileUpdate.updatedAt = FieldValue.serverTimestamp();
+
+    return profileRef.set(profileUpdate, {merge: true})
+        .then( (writeResult) => admin.firestore().collection('families').where('members', 'array-contains', callerUid).get() )
+        .then( (querySnapshot) => {
+            return Promise.all(querySnapshot.docs.map( (familySnapshot) => {
+                return logActivity(familySnapshot.id, ACTIVITY_TYPE_PROFILE_UPDATED, callerUid, [], {
+                    attributes: Object.keys(profileUpdate).filter( (attribute) => PROFILE_ATTRIBUTES.includes(attribute) ),
+                });
+            }));
+        })
+        .then( (activityUids) => profileRef.get() )
+        .then( (profileSnapshot) => {
+            return Object.assign({
+                returnCode: RETURN_CODE_UPDATED,
+            }, toProfile(profileSnapshot));
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while updating the member profile: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Export everything the backend stores about the caller, as a JSON document. Timestamps are returned as epoch milliseconds
+ * Implemented as a HTTPS callable function f(data, context) which is
+ * - reading the caller user record, the user document with the device registry and the location history,
+ *   the location sharing settings and the member profile;
+ * - reading the families which the caller belongs to, with the caller role and shared location in each;
+ * - reading the invites sent and received by the caller, the invite codes created, the location requests and the SOS alerts
+ *   sent by the caller
+ */
+exports.exportMyData = functions.https.onCall((data, context) => {
+    if (!context.auth) throw new functions.https.HttpsError('unauthenticated', "Not authenticated");
+
+    const callerUid = context.auth.uid;
+    const callerEmail = context.auth.token.email || null;
+    const firestore = admin.firestore();
+    const userRef = firestore.collection('users').doc(callerUid);
+
+    return Promise.all([
+        admin.auth().getUser(callerUid),
+        userRef.get(),
+        userRef.collection('devices').get(),
+        userRef.collection('locations').orderBy('timestamp').get(),
+        firestore.collection('families').where('members', 'array-contains', callerUid).get(),
+        firestore.collection('invites').where('inviterUid', '==', callerUid).get(),
+        firestore.collection('invites').where('inviteeUid', '==', callerUid).get(),
+        firestore.collection('locationRequests').where('requesterUid', '==', callerUid).get(),
+        firestore.collection('sosAlerts').where('senderUid', '==', callerUid).get(),
+        firestore.collection('sharingSettings').doc(callerUid).get(),
+        firestore.collection('inviteCodes').where('inviterUid', '==', callerUid).get(),
+        firestore.collection('profiles').doc(callerUid).get(),
+    ])
+        .then( (results) => {
+            const userRecord = results[0];
+            const userSnapshot = results[1];
+            const familySnapshots = results[4].docs;
+            return Promise.all(familySnapshots.map( (familySnapshot) => {                                               // the caller location as shared with each family
+                return familySnapshot.ref.collection('locations').doc(callerUid).get();
+            }))
+                .then( (sharedLocationSnapshots) => {
+                    return {
+                        returnCode: RETURN_CODE_OK,
+                        exportedAt: Date.now(),
+                        account: {
+                            uid: userRecord.uid,
+                            email: userRecord.email || null,
+                            displayName: userRecord.displayName || null,
+                            createdAt: userRecord.metadata.creationTime,
+                            lastSignedInAt: userRecord.metadata.lastSignInTime,
+                        },
+                        user: userSnapshot.exists ? toPlainData(userSnapshot.data()) : null,
+                        devices: results[2].docs.map( (deviceSnapshot) => {
+                            return Object.assign({installationId: deviceSnapshot.id}, toPlainData(deviceSnapshot.data()));
+                        }),
+                        locationHistory: results[3].docs.map( (locationSnapshot) => toPlainData(locationSnapshot.data()) ),
+                        sharingSettings: results[9].exists ? toPlainData(results[9].data()) : null,
+                        profile: results[11].exists ? toPlainData(results[11].data()) : null,
+                        families: familySnapshots.map( (familySnapshot, index) => {
+                            return {
+                                familyUid: familySnapshot.id,
+                                role: getFamilyRole(familySnapshot.data(), callerUid),
+                                sharedLocation: sharedLocationSnapshots[index].exists ? toPlainData(sharedLocationSnapshots[index].data()) : null,
+                            };
+                        }),
+                        sentInvites: results[5].docs.map( (inviteSnapshot) => toInviteResult(inviteSnapshot, false) ),
+                        receivedInvites: results[6].docs.map( (inviteSnapshot) => toInviteResult(inviteSnapshot, false) ),
+                        inviteCodes: results[10].docs.map(toInviteCodeResult),
+                        locationRequests: results[7].docs.map( (requestSnapshot) => {
+                            return Object.assign({requestUid: requestSnapshot.id}, toPlainData(requestSnapshot.data()));
+                        }),
+                        sosAlerts: results[8].docs.map( (alertSnapshot) => {
+                            return Object.assign({alertUid: alertSnapshot.id}, toPlainData(alertSnapshot.data()));
+                        }),
+                    }
+                })
+            ;
+        })
+        .catch((error) => {
+            console.log(`User ${callerEmail} error while exporting the user data: ${error}`);
+            throw toHttpsError(error);
+        })
+    ;
+});
+
+
+/**
+ * Delete the data of a deleted user account
+ * Implemented as an Auth user deletion trigger which is
+ * - removing the user from each family which the user belongs to, and notifying the remaining members;
+ *   a family the user owned is handed over to a guardian with an account, or deleted if there is no such guardian;
+ * - deleting the user document with the device registry and the location history, the location sharing settings
+ *   and the member profile;
+ * - deleting the invites sent and received by the user, the invites to the user email not claimed yet, the invite
+ *   codes, the location requests and the SOS alerts sent by the user;
+ * - removing the user from location requests sent to the user, from SOS alerts the user acknowledged and from
+ *   invite codes the user redeemed;
+ * - anonymizing the activity entries of the user left in families the user left before
+ */
+exports.deleteUserData = functions.auth.user().onDelete((userRecord, context) => {
+    const uid = userRecord.uid;
+    const email = userRecord.email || null;
+    const firestore = admin.firestore();
+
+    return firestore.collection('families').where('members', 'array-contains', uid).get()
+        .then( (querySnapshot) => {
+            return Promise.all(querySnapshot.docs.map( (familySnapshot) => removeDeletedMember(familySnapshot, uid, email) ));
+        })
+        .then( () => {
+            return Promise.all([
+                anonymizeActivity(firestore.collectionGroup('activity'), uid, email),
+                deleteUserDocument(firestore.collection('users').doc(uid)),
+                firestore.collection('sharingSettings').doc(uid).delete(),
+                firestore.collection('profiles').doc(uid).delete(),
+                deleteRateLimits(uid),
+                deleteQueryResults(firestore.collection('invites').where('inviterUid', '==', uid)),
+                deleteQueryResults(firestore.collection('invites').where('inviteeUid', '==', uid)),
+                email
+                    ? deleteQueryResults(firestore.collection('invites').where('inviteeUid', '==', null).where('inviteeEmail', '==', email.toLowerCase()))
+                    : 0,
+                deleteQueryResults(firestore.collection('inviteCodes').where('inviterUid', '==', uid)),
+                updateQueryResults(firestore.collection('inviteCodes').where('redeemedBy', 'array-contains', uid), {
+                    redeemedBy: FieldValue.arrayRemove(uid),
+                }),
+                deleteQueryResults(firestore.collection('locationRequests').where('requesterUid', '==', uid)),
+                deleteQueryResults(firestore.collection('sosAlerts').where('senderUid', '==', uid)),
+                updateQueryResults(firestore.collection('locationRequests').where('memberUids', 'array-contains', uid), {
+                    memberUids: FieldValue.arrayRemove(uid),
+                    [`responses.${uid}`]: FieldValue.delete(),
+                }),
+                updateQueryResults(firestore.collection('sosAlerts').where('acknowledgedBy', '==', uid), {
+                    acknowledgedBy: null,
+                    acknowledgedByEmail: null,
+                }),
+            ]);
+        })
+        .then( (results) => {
+            console.log(`User ${uid} data deleted`);                                                                    // no email in the log, as the account is gone
+            return null;
+        })
+        .catch((error) => {
+            console.log(`User ${uid} error while deleting the user data: ${error}`);
+            throw error;
+        })
+    ;
+});
+
+
+// --------------------------- Scheduled jobs
+
+/**
+ * Prune location history entries older than the retention period.
+ * A user may belong to many families; the longest retention period of them is applied, the default one for a user
+ * in no family.
+ * Implemented as a scheduled function which is
+ * - querying the history entries of all users older than the shortest retention period possible, page by page;
+ * - getting the retention period of the users the entries belong to;
+ * - deleting the entries older than the user retention period in batches
+ */
+exports.pruneLocationHistory = functions.pubsub.schedule('every 24 hours').onRun((context) => {
+    const cutoff = Timestamp.fromMillis(Date.now() - LOCATION_RETENTION_DAYS_MIN * DAY_MILLIS);
+    const query = admin.firestore().collectionGroup('locations').where('timestamp', '<', cutoff).orderBy('timestamp');
+
+    return pruneLocationHistoryPage(query, {})
+        .then( (deletedCount) => {
+            console.log(`Location history pruned: ${deletedCount} entries deleted`);
+            return null;
+        })
+    ;
+});
+
+
+/**
+ * Delete rate limit counters which windows are over
+ * Implemented as a scheduled function which is
+ * - deleting the rateLimits documents which expiry time passed, in batches
+ */
+exports.pruneRateLimits = functions.pubsub.schedule('every 24 hours').onRun((context) => {
+    const query = admin.firestore().collection('rateLimits').where('expiresAt', '<', Timestamp.now());
+
+    return deleteQueryResults(query)
+        .then( (deletedCount) => {
+            console.log(`Rate limits pruned: ${deletedCount} counters deleted`);
+            return null;
+        })
+    ;
+});
+
+
+/**
+ * Expire location requests not completed in time and notify the requesters about the members who did not respond
+ * Implemented as a scheduled function which is
+ * - querying open location requests which expiry time passed;
+ * - closing in a transaction each request still open with the expired status;
+ * - sending the requester of each request closed a message with the emails of the pending members
+ */
+exports.expireLocationRequests = functions.pubsub.schedule('every 1 minutes').onRun((context) => {
+    const locationRequestsRef = admin.firestore().collection('locationRequests');
+
+    return locationRequestsRef
+        .where('status', '==', LOCATION_REQUEST_STATUS_OPEN)
+        .where('expiresAt', '<=', Timestamp.now())
+        .get()
+        .then( (querySnapshot) => {
+            return Promise.all(querySnapshot.docs.map( (requestSnapshot) => {
+                let locationRequest;
+                let pendingUids;
+                return admin.firestore().runTransaction((transaction) => {
+                    return transaction.get(requestSnapshot.ref)
+                        .then( (currentSnapshot) => {
+                            locationRequest = currentSnapshot.exists ? currentSnapshot.data() : null;
+                            if (!locationRequest || locationRequest.status !== LOCATION_REQUEST_STATUS_OPEN) {
+                                return false;                                                                           // completed or expired meanwhile
+                            }
+                            transaction.update(requestSnapshot.ref, {
+                                status: LOCATION_REQUEST_STATUS_EXPIRED,
+                            });
+                            return true;
+                        })
+                    ;
+                })
+                    .then( (isExpired) => {
+                        if (!isExpired) return null;
+                        pendingUids = locationRequest.memberUids.filter( (memberUid) => !locationRequest.responses[memberUid] );
+                        return getUserEmails(pendingUids);
+                    })
+                    .then( (emailsByUid) => {
+                        if (!emailsByUid) return null;
+                        if (!locationRequest.requesterUid) return [];                                                   // a check-in; see summarizeCheckIns
+                        const pendingEmails = pendingUids.map( (pendingUid) => emailsByUid[pendingUid] || null );
+                        return sendToUser(locationRequest.requesterUid, (deviceToken) => {
+                            return {
+                                token: deviceToken,
+                                data: {
+                                    messageType: MESSAGE_TYPE_LOCATION_REQUEST_EXPIRED,
+                                    requestUid: requestSnapshot.id,
+                                    pendingEmails: JSON.stringify(pendingEmails),                                       // data message values should be strings
+                                }
+                            };
+                        });
+                    })
+                    .catch((error) => {
+                        console.log(`Location request ${requestSnapshot.id} not expired: ${error}`);
+                    })
+                ;
+            }));
+        })
+        .then( (results) => {
+            console.log(`Location requests expired: ${results.filter( (result) => result ).length}`);
+            return null;
+        })
+    ;
+});
+
+
+/**
+ * Escalate open SOS alerts: re-send them to family members at increasing intervals, and once the intervals are
+ * exhausted notify the family secondary contacts and stop. Secondary contacts without an account are recorded
+ * on the alert as undeliverable
+ * Implemented as a scheduled function which is
+ * - querying open SOS alerts which escalation time passed;
+ * - claiming in a transaction the next escalation level of each alert still open and due, storing the next escalation time;
+ * - re-sending each claimed alert to the family members or sending it to the secondary contacts
+ */
+exports.escalateSosAlerts = functions.pubsub.schedule('every 1 minutes').onRun((context) => {
+    const alertsRef = admin.firestore().collection('sosAlerts');
+    const familiesRef = admin.firestore().collection('families');
+
+    return alertsRef
+        .where('status', '==', SOS_STATUS_OPEN)
+        .where('nextEscalationAt', '<=', Timestamp.now())
+        .get()
+        .then( (querySnapshot) => {
+            return Promise.all(querySnapshot.docs.map( (alertSnapshot) => {
+                const escalationLevel = alertSnapshot.data().escalationLevel + 1;
+                const nextInterval = SOS_ESCALATION_INTERVALS_MINUTES[escalationLevel];
+                return admin.firestore().runTransaction((transaction) => {
+                    return transaction.get(alertSnapshot.ref)
+                        .then( (currentSnapshot) => {
+                            const alert = currentSnapshot.exists ? currentSnapshot.data() : null;
+                            if (!alert || alert.status !== SOS_STATUS_OPEN || alert.escalationLevel !== escalationLevel - 1
+                                || !alert.nextEscalationAt || alert.nextEscalationAt.toMillis() > Date.now()) {
+                                return null;                                                                            // acknowledged or escalated meanwhile
+                            }
+                            transaction.update(alertSnapshot.ref, {
+                                escalationLevel: escalationLevel,
+                                nextEscalationAt: nextInterval ? Timestamp.fromMillis(Date.now() + nextInterval * 60 * 1000) : null,
+                                secondaryContactsNotifiedAt: nextInterval ? null : FieldValue.serverTimestamp(),
+                            });
+                            return Object.assign(alert, {escalationLevel: escalationLevel});
+                        })
+                    ;
+                })
+                    .then( (alert) => {
+                        if (!alert) return null;
+                        return familiesRef.doc(alert.familyUid).get()
+                            .then( (familySnapshot) => {
+                                if (!familySnapshot.exists) return [];
+                                const family = familySnapshot.data();
+                                if (nextInterval) {                                                                     // re-send to the family
+                                    const memberUids = family.members.filter( (memberUid) => memberUid !== alert.senderUid );
+                                    return sendSosMessages(alertSnapshot.id, alert, memberUids);
+                                }
+                                const contactEmails = (family.settings && family.settings.sosContactEmails) || [];      // escalate to the secondary contacts
+                                return sendSosToContacts(alertSnapshot, alert, contactEmails);
+                            })
+                        ;
+                    })
+                    .catch((error) => {
+                        console.log(`SOS alert ${alertSnapshot.id} not escalated: ${error}`);
+                    })
+                ;
+            }));
+        })
+        .then( (results) => {
+            console.log(`SOS alerts escalated: ${results.filter( (result) => result ).length}`);
+            return null;
+        })
+    ;
+});
+
+
+/**
+ * Alert family adults when a member device battery gets low, or when a member has not been seen for the family
+ * offline period. An alert is sent once per crossing: it is sent again only after the member battery has recovered
+ * or the member has been seen again. The alert state is kept in the statusAlerts attribute of the family document,
+ * and the statusAlerted attribute of the user document tells if any family has an alert about the user.
+ * The statusCheckAt attribute of the user document holds when the user status should be checked next: sendLocation
+ * sets it to the time the user may go offline, or to at once if the battery is low or the user is alerted about,
+ * and each check sets it to the next time the user may go offline for some family, or removes it. So a run reads
+ * the users which status may have changed only, rather than every user seen recently or with a battery not full
+ * Implemented as a scheduled function which is
+ * - querying the users which status check time has come;
+ * - querying the families of these users;
+ * - sending the other adults of a family a low battery or a went offline message per member newly crossing a limit;
+ * - storing the alert state of the members whose state has changed in the families;
+ * - storing the alert state and the next status check time of the users, unless they have been seen meanwhile
+ */
+exports.checkDeviceStatus = functions.pubsub.schedule(`every ${OFFLINE_AFTER_MINUTES_MIN} minutes`).onRun((context) => {
+    const usersRef = admin.firestore().collection('users');
+    const familiesRef = admin.firestore().collection('families');
+    const now = Date.now();
+    const usersByUid = {};
+    const userSnapshotsByUid = {};
+
+    return usersRef.where('statusCheckAt', '<=', Timestamp.fromMillis(now)).get()
+        .then( (querySnapshot) => {
+            querySnapshot.docs.forEach( (userSnapshot) => {
+                usersByUid[userSnapshot.id] = userSnapshot.data();
+                userSnapshotsByUid[userSnapshot.id] = userSnapshot;
+            });
+            const uids = Object.keys(usersByUid);
+            const batches = [];
+            for (let index = 0; index < uids.length; index += ARRAY_CONTAINS_ANY_SIZE_MAX) {
+                batches.push(uids.slice(index, index + ARRAY_CONTAINS_ANY_SIZE_MAX));
+            }
+            return Promise.all(batches.map( (batch) => familiesRef.where('members', 'array-contains-any', batch).get() ));
+        })
+        .then( (familyQuerySnapshots) => {
+            const familySnapshotsById = new Map();
+            familyQuerySnapshots.forEach( (querySnapshot) => querySnapshot.docs.forEach( (familySnapshot) => familySnapshotsById.set(familySnapshot.id, familySnapshot) ));
+            const alertedUids = new Set();
+            const nextCheckMillisByUid = {};                                                                            // when a user may go offline next for some family
+
+            // Make up an array of promises
+            let alertPromises = [];
+            for (let familySnapshot of familySnapshotsById.values()) {
+                const family = familySnapshot.data();
+                const lowBatteryThreshold = getLowBatteryThreshold(family);
+                const offlineAfterMillis = getOfflineAfterMinutes(family) * 60 * 1000;
+                const alertsUpdate = {};
+                for (let memberUid of (family.members || []).filter( (uid) => usersByUid[uid] )) {                      // the other members cannot have crossed a limit
+                    const user = usersByUid[memberUid];
+                    const deviceStatus = toDeviceStatus(user.deviceStatus);
+                    const previousAlerts = (family.statusAlerts && family.statusAlerts[memberUid]) || {};
+                    const alerts = {
+                        lowBattery: deviceStatus.batteryLevel !== null && deviceStatus.batteryLevel <= lowBatteryThreshold && !deviceStatus.isCharging,
+                        wentOffline: Boolean(user.lastSeen) && now - user.lastSeen.toMillis() > offlineAfterMillis,     // never seen is not gone
+                    };
+                    if (alerts.lowBattery || alerts.wentOffline) alertedUids.add(memberUid);
+                    if (!alerts.wentOffline && user.lastSeen) {
+                        const offlineMillis = user.lastSeen.toMillis() + offlineAfterMillis;
+                        nextCheckMillisByUid[memberUid] = Math.min(nextCheckMillisByUid[memberUid] || Infinity, offlineMillis);
+                    }
+                    if (alerts.lowBattery === Boolean(previousAlerts.lowBattery) && alerts.wentOffline === Boolean(previousAlerts.wentOffline)) continue;
+                    alertsUpdate[`statusAlerts.${memberUid}`] = alerts;
+                    const adultUids = family.members.filter( (uid) => uid !== memberUid && isAdultRole(getFamilyRole(family, uid)) );
+                    const newMessageTypes = [];
+                    if (alerts.lowBattery && !previousAlerts.lowBattery) newMessageTypes.push(MESSAGE_TYPE_LOW_BATTERY);
+                    if (alerts.wentOffline && !previousAlerts.wentOffline) newMessageTypes.push(MESSAGE_TYPE_WENT_OFFLINE);
+                    for (let messageType of newMessageTypes) {
+                        let alertPromise = sendToMembers(adultUids, (adultDeviceToken) => {
+                            const message = {
+                                token: adultDeviceToken,
+                                data: {
+                                    messageType: messageType,
+                                    familyUid: familySnapshot.id,
+                                    memberUid: memberUid,
+                                }
+                            };
+                            if (deviceStatus.batteryLevel !== null) message.data.batteryLevel = String(deviceStatus.batteryLevel); // data message values should be strings
+                            if (user.lastSeen) message.data.lastSeen = String(user.lastSeen.toMillis());
+                            return message;
+                        })
+                            .catch((error) => {
+                                console.log(`Device status alert ${messageType} about ${memberUid} not sent: ${error}`);
+                            })
+                        ;
+                        alertPromises.push(alertPromise);
+                    }
+                }
+                if (Object.keys(alertsUpdate).length > 0) {
+                    alertPromises.push(familySnapshot.ref.update(alertsUpdate)
+                        .catch((error) => {
+                            console.log(`Device status alerts of family ${familySnapshot.id} not stored: ${error}`);
+                        })
+                    );
+                }
+            }
+            for (let uid of Object.keys(usersByUid)) {
+                const userUpdate = {
+                    statusAlerted: alertedUids.has(uid),
+                    statusCheckAt: nextCheckMillisByUid[uid] ? Timestamp.fromMillis(nextCheckMillisByUid[uid]) : FieldValue.delete(),
+                };
+                // A user seen meanwhile has got a new check time from sendLocation, so is left as is
+                alertPromises.push(usersRef.doc(uid).update(userUpdate, {lastUpdateTime: userSnapshotsByUid[uid].updateTime})
+                    .catch((error) => {
+                        console.log(`Device status alert state of ${uid} not stored: ${error}`);
+                    })
+                );
+            }
+            return Promise.all(alertPromises);
+        })
+        .then( (results) => {
+            console.log(`Device status checked: ${results.length} alerts and updates`);
+            return null;
+        })
+    ;
+});
+
+
+/**
+ * Run the check-ins due: ask the members for locations, one location request per family and check-in time, which
+ * responses are collected by sendLocation as usual. Members who paused their location sharing are not asked.
+ * The family adults get a summary once the request expires (see summarizeCheckIns).
+ * Each check-in keeps the moment of its next time in nextRunAt, so a run reads the check-ins due only.
+ * A run catches up on the check-in times passed since the previous run, up to CHECK_IN_CATCH_UP_MINUTES_MAX back,
+ * so a late or skipped scheduler run does not lose a check-in; each check-in keeps the last local time it ran at,
+ * so a time is never run twice. The time of a run is stored only if every family was run, so a family which failed
+ * is caught up on by the next run
+ * Implemented as a scheduled function which is
+ * - reading the time of the previous run, the check-ins which next time has come, and the families they belong to;
+ * - listing the minutes since the previous run in the family time zone, and picking the check-ins which times and
+ *   week days match any, and which have not run at that time yet;
+ * - marking the check-ins picked as run and storing the next time of each check-in read in a transaction, and sending
+ *   a location request to the family members of the check-ins for each time;
+ * - storing the time of this run, if every family was run
+ */
+exports.runCheckIns = functions.pubsub.schedule('every 1 minutes').onRun((context) => {
+    const now = Date.now();
+    const runStateRef = admin.firestore().doc('jobs/runCheckIns');
+    let isEveryFamilyRun = true;
+
+    return Promise.all([
+        runStateRef.get(),
+        admin.firestore().collectionGroup('checkIns')                                                                   // see firestore.indexes.json
+            .where('nextRunAt', '<=', Timestamp.fromMillis(now))
+            .get(),
+    ])
+        .then( (results) => {
+            const lastRunAt = results[0].exists && results[0].data().lastRunAt;
+            const fromMillis = Math.max(lastRunAt ? lastRunAt.toMillis() : now - 60 * 1000, now - CHECK_IN_CATCH_UP_MINUTES_MAX * 60 * 1000);
+            const checkInSnapshotsByFamily = new Map();
+            for (let checkInSnapshot of results[1].docs) {
+                const familyRef = checkInSnapshot.ref.parent.parent;
+                if (!checkInSnapshotsByFamily.has(familyRef.path)) checkInSnapshotsByFamily.set(familyRef.path, {familyRef: familyRef, checkInSnapshots: []});
+                checkInSnapshotsByFamily.get(familyRef.path).checkInSnapshots.push(checkInSnapshot);
+            }
+            return Promise.all(Array.from(checkInSnapshotsByFamily.values()).map( (familyCheckIns) => {
+                return familyCheckIns.familyRef.get()
+                    .then( (familySnapshot) => {
+                        if (!familySnapshot.exists) return 0;
+                        const family = familySnapshot.data();
+                        const timeZone = (family.settings && family.settings.timeZone) || TIME_ZONE_DEFAULT;
+                        const slots = getCheckInSlots(fromMillis, now, timeZone);
+                        const getDueSlots = (checkIn) => slots.filter( (slot) => {
+                            return (!checkIn.days || checkIn.days.includes(slot.day))
+                                && checkIn.times.some( (time) => toMinutes(time) === slot.minutes )
+                                && (!checkIn.lastRunSlot || slot.key > checkIn.lastRunSlot);
+                        });
+                        return admin.firestore().runTransaction((transaction) => {
+                            return transaction.getAll(...familyCheckIns.checkInSnapshots.map( (checkInSnapshot) => checkInSnapshot.ref ))
+                                .then( (checkInSnapshots) => {
+                                    const memberUidsBySlotKey = new Map();
+                                    for (let checkInSnapshot of checkInSnapshots) {
+                                        if (!checkInSnapshot.exists) continue;                                          // deleted meanwhile
+                                        const checkIn = checkInSnapshot.data();
+                                        if (!checkIn.nextRunAt || checkIn.nextRunAt.toMillis() > now) continue;         // run by a concurrent run meanwhile
+                                        const checkInUpdate = {
+                                            nextRunAt: toNextRunAt(checkIn, now, timeZone),
+                                        };
+                                        const dueSlots = family.members.includes(checkIn.memberUid) ? getDueSlots(checkIn) : [];
+                                        if (dueSlots.length > 0) {
+                                            checkInUpdate.lastRunAt = Timestamp.fromMillis(now);
+                                            checkInUpdate.lastRunSlot = dueSlots[dueSlots.length - 1].key;
+                                        }
+                                        transaction.update(checkInSnapshot.ref, checkInUpdate);
+                                        for (let slot of dueSlots) {
+                                            if (!memberUidsBySlotKey.has(slot.key)) memberUidsBySlotKey.set(slot.key, {slot: slot, memberUids: new Set()});
+                                            memberUidsBySlotKey.get(slot.key).memberUids.add(checkIn.memberUid);
+                                        }
+                                    }
+                                    return Array.from(memberUidsBySlotKey.values());
+                                })
+                            ;
+                        })
+                            .then( (slotRuns) => {
+                                return Promise.all(slotRuns.map( (slotRun) => {
+                                    const memberUids = Array.from(slotRun.memberUids);
+                                    return getSharingSettings(memberUids)
+                                        .then( (sharingSettingsByUid) => {
+                                            const pausedUids = memberUids.filter( (memberUid) => sharingSettingsByUid[memberUid].mode === SHARING_MODE_PAUSED );
+                                            const requestedUids = memberUids.filter( (memberUid) => !pausedUids.includes(memberUid) );
+                                            return sendLocationRequest(familySnapshot.id, null, null, requestedUids, {
+                                                checkInTime: slotRun.slot.time,
+                                                pausedUids: pausedUids,
+                                                checkInSummaryAt: Timestamp.fromMillis(now + LOCATION_REQUEST_TIMEOUT_MILLIS),
+                                            });
+                                        })
+                                    ;
+                                }));
+                            })
+                            .then( (reports) => reports.length )
+                        ;
+                    })
+                    .catch((error) => {
+                        console.log(`Check-ins of ${familyCheckIns.familyRef.path} not run: ${error}`);
+                        isEveryFamilyRun = false;
+                        return 0;
+                    })
+                ;
+            }));
+        })
+        .then( (arrayOfRunCounts) => {
+            const runCount = arrayOfRunCounts.reduce( (sum, count) => sum + count, 0);
+            console.log(`Check-in times run: ${runCount}`);
+            if (!isEveryFamilyRun) return null;                                                                         // the next run catches up from the previous one
+            return runStateRef.set({lastRunAt: Timestamp.fromMillis(now)});
+        })
+        .then( (writeResult) => null )
+    ;
+});
+
+
+/**
+ * Send the family adults a summary of each check-in which time for responses is over: who checked in, who missed
+ * and who had the location sharing paused
+ * Implemented as a scheduled function which is
+ * - querying the location requests of check-ins which summary time passed;
+ * - marking in a transaction the summary of each request still due as sent;
+ * - resolving the member emails and sending each adult of the family a check-in summary message per summary marked
+ */
+exports.summarizeCheckIns = functions.pubsub.schedule('every 1 minutes').onRun((context) => {
+    const locationRequestsRef = admin.firestore().collection('locationRequests');
+    const familiesRef = admin.firestore().collection('families');
+
+    return locationRequestsRef
+        .where('checkInSummaryAt', '<=', Timestamp.now())
+        .get()
+        .then( (querySnapshot) => {
+            return Promise.all(querySnapshot.docs.map( (requestSnapshot) => {
+                let locationRequest;
+                return admin.firestore().runTransaction((transaction) => {
+                    return transaction.get(requestSnapshot.ref)
+                        .then( (currentSnapshot) => {
+                            locationRequest = currentSnapshot.exists ? currentSnapshot.data() : null;
+                            if (!locationRequest || !locationRequest.checkInSummaryAt || locationRequest.checkInSummaryAt.toMillis() > Date.now()) {
+                                return false;                                                                           // summarized by a concurrent run meanwhile
+                            }
+                            transaction.update(requestSnapshot.ref, {
+                                checkInSummaryAt: null,
+                            });
+                            return true;
+                        })
+                    ;
+                })
+                    .then( (isClaimed) => {
+                        if (!isClaimed) return null;
+                        return Promise.all([
+                            familiesRef.doc(locationRequest.familyUid).get(),
+                            getUserEmails(locationRequest.memberUids.concat(locationRequest.pausedUids || [])),
+                        ]);
+                    })
+                    .then( (results) => {
+                        if (!results) return null;
+                        if (!results[0].exists) return [];
+                        const checkedInUids = locationRequest.memberUids.filter( (memberUid) => locationRequest.responses[memberUid] );
+                        const missedUids = locationRequest.memberUids.filter( (memberUid) => !locationRequest.responses[memberUid] );
+                        const pausedUids = locationRequest.pausedUids || [];
+                        const family = results[0].data();
+                        const emailsByUid = results[1];
+                        const toEmails = (uids) => JSON.stringify(uids.map( (uid) => emailsByUid[uid] || null ));       // data message values should be strings
+                        const adultUids = family.members.filter( (memberUid) => isAdultRole(getFamilyRole(family, memberUid)) );
+                        return sendToMembers(adultUids, (adultDeviceToken) => {
+                            return {
+                                token: adultDeviceToken,
+                                data: {
+                                    messageType: MESSAGE_TYPE_CHECK_IN_SUMMARY,
+                                    familyUid: locationRequest.familyUid,
+                                    requestUid: requestSnapshot.id,
+                                    checkInTime: locationRequest.checkInTime,
+                                    checkedInEmails: toEmails(checkedInUids),
+                                    missedEmails: toEmails(missedUids),
+                                    pausedEmails: toEmails(pausedUids),
+                                }
+                            };
+                        });
+                    })
+                    .catch((error) => {
+                        console.log(`Check-in ${requestSnapshot.id} not summarized: ${error}`);
+                    })
+                ;
+            }));
+        })
+        .then( (results) => {
+            console.log(`Check-ins summarized: ${results.filter( (result) => result ).length}`);
+            return null;
+        })
+    ;
+});
+
+
+// --------------------------- Helpers: Invite
+
+/**
+ * Generate a random hard-to-guess invite token
+ */
+function generateInviteToken() {
+    return crypto.randomBytes(INVITE_TOKEN_BYTES).toString('hex');
+}
+
+
+/**
+ * Generate a random invite code, short enough to type
+ */
+function generateInviteCode() {
+    return Array.from(crypto.randomBytes(INVITE_CODE_LENGTH), (byte) => INVITE_CODE_ALPHABET[byte % INVITE_CODE_ALPHABET.length]).join('');
+}
+
+
+/**
+ * Normalize an invite code as shown or typed, maybe in lower case and grouped with spaces or dashes, to the stored form.
+ * Throw an invalid argument error if nothing is left of it
+ */
+function normalizeInviteCode(inviteCode) {
+    const normalizedCode = inviteCode.toUpperCase().replace(/[\s-]/g, '');
+    if (!normalizedCode) throw newInvalidArgumentError('inviteCode', 'should have code characters');
+    return normalizedCode;
+}
+
+
+/**
+ * Convert an invite code document to a callable result. Timestamps are returned as epoch milliseconds
+ */
+function toInviteCodeResult(inviteCodeSnapshot) {
+    const invite = inviteCodeSnapshot.data();
+    return {
+        inviteCode: inviteCodeSnapshot.id,
+        familyUid: invite.familyUid,
+        role: invite.role,
+        maxUses: invite.maxUses,
+        uses: invite.redeemedBy.length,
+        status: getInviteStatus(invite),
+        createdAt: invite.createdAt ? invite.createdAt.toMillis() : null,
+        expiresAt: invite.expiresAt.toMillis(),
+    };
+}
+
+
+/**
+ * Get an effective invite status, i.e. the stored one or expired for a pending invite which expiry time passed
+ */
+function getInviteStatus(invite) {
+    if (invite.status === INVITE_STATUS_PENDING && invite.expiresAt.toMillis() <= Date.now()) return INVITE_STATUS_EXPIRED;
+    return invite.status;
+}
+
+
+/**
+ * Convert an invite document to a callable result. Timestamps are returned as epoch milliseconds
+ */
+function toInviteResult(inviteSnapshot, withToken) {
+    const invite = inviteSnapshot.data();
+    const result = {
+        inviteUid: inviteSnapshot.id,
+        familyUid: invite.familyUid,
+        inviterEmail: invite.inviterEmail,
+        inviteeEmail: invite.inviteeEmail,
+        status: getInviteStatus(invite),
+        createdAt: invite.createdAt ? invite.createdAt.toMillis() : null,
+        expiresAt: invite.expiresAt.toMillis(),
+    };
+    if (withToken) result.inviteToken = invite.token;
+    return result;
+}
+
+
+/**
+ * Address to a user the invites sent to the user email before the user signed up, which have no invitee uid.
+ * The email should be verified, as anybody can sign up with an email which is not theirs.
+ * Resolve to the number of invites claimed
+ */
+function claimInvites(uid, token) {
+    if (!token.email || !token.email_verified) return Promise.resolve(0);
+    const firestore = admin.firestore();
+
+    return firestore.collection('invites')
+        .where('inviteeUid', '==', null)
+        .where('inviteeEmail', '==', token.email.toLowerCase())
+        .get()
+        .then( (querySnapshot) => {
+            if (querySnapshot.empty) return 0;
+            const batch = firestore.batch();
+            for (let inviteSnapshot of querySnapshot.docs) {
+                batch.update(inviteSnapshot.ref, {
+                    inviteeUid: uid,
+                });
+            }
+            return batch.commit()
+                .then( (writeResults) => querySnapshot.size )
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Close a pending invite, or an invite code, with a given status in a transaction.
+ * The invite party attribute (inviterUid or inviteeUid) should hold the caller uid, otherwise the invite is treated as absent.
+ * Resolve to a return code; reject with an HTTPS error if there is no such invite or it is not pending
+ */
+function closeInvite(inviteRef, partyAttribute, callerUid, newStatus) {
+    const inviteUid = inviteRef.id;
+
+    return admin.firestore().runTransaction((transaction) => {
+        return transaction.get(inviteRef)
+            .then( (inviteSnapshot) => {
+                if (!inviteSnapshot.exists || inviteSnapshot.data()[partyAttribute] !== callerUid) {
+                    throw newHttpsError(RETURN_CODE_NO_INVITE, `No invite ${inviteUid}`);
+                }
+                const inviteStatus = getInviteStatus(inviteSnapshot.data());
+                if (inviteStatus !== INVITE_STATUS_PENDING) {
+                    throw newHttpsError(RETURN_CODE_INVITE_CLOSED, `The invite is ${inviteStatus}`, {inviteStatus: inviteStatus});
+                }
+                transaction.update(inviteRef, {
+                    status: newStatus,
+                    closedAt: FieldValue.serverTimestamp(),
+                });
+                const invite = inviteSnapshot.data();
+                const activityRef = admin.firestore().collection('families').doc(invite.familyUid).collection('activity').doc();
+                transaction.set(activityRef, toActivityRecord(getCloseInviteActivityType(inviteRef, newStatus), callerUid, [], Object.assign({
+                    role: invite.role || ROLE_MEMBER,
+                }, invite.inviteeEmail ? {inviteUid: inviteUid, inviteeEmail: invite.inviteeEmail} : {})));             // an invite code has no invitee, and is not shown
+                return newStatus === INVITE_STATUS_REVOKED ? RETURN_CODE_REVOKED : RETURN_CODE_DECLINED;
+            })
+        ;
+    });
+}
+
+
+/**
+ * Get a type of the activity event of closing an invite or an invite code with a given status
+ */
+function getCloseInviteActivityType(inviteRef, newStatus) {
+    if (inviteRef.parent.id === 'inviteCodes') return ACTIVITY_TYPE_INVITE_CODE_REVOKED;
+    return newStatus === INVITE_STATUS_REVOKED ? ACTIVITY_TYPE_INVITE_REVOKED : ACTIVITY_TYPE_INVITE_DECLINED;
+}
+
+
+/**
+ * Revoke the pending invites found by a query. Resolve to the number of invites revoked
+ */
+function revokeInvites(query) {
+    return query.where('status', '==', INVITE_STATUS_PENDING).get()
+        .then( (querySnapshot) => {
+            if (querySnapshot.empty) return 0;
+            const batch = admin.firestore().batch();
+            querySnapshot.docs.forEach( (inviteSnapshot) => {
+                batch.update(inviteSnapshot.ref, {
+                    status: INVITE_STATUS_REVOKED,
+                    closedAt: FieldValue.serverTimestamp(),
+                });
+            });
+            return batch.commit()
+                .then( (writeResults) => querySnapshot.size )
+            ;
+        })
+    ;
+}
+
+
+// --------------------------- Helpers: Authorization
+
+/**
+ * Get a role of a user in a family, or null if the user is not a family member.
+ * Families created before the roles were introduced have no roles map; their creator is treated as an owner,
+ * other members as plain members
+ */
+function getFamilyRole(family, uid) {
+    if (!(family.members || []).includes(uid)) return null;
+    if (family.roles && family.roles[uid]) return family.roles[uid];
+    return uid === family.creator ? ROLE_OWNER : ROLE_MEMBER;
+}
+
+
+/**
+ * Check if a role is an adult one, i.e. an owner or a guardian
+ */
+function isAdultRole(role) {
+    return role === ROLE_OWNER || role === ROLE_GUARDIAN;
+}
+
+
+/**
+ * Get a role to assign from a requested one. Only a guardian or a member role may be assigned; a member is the default
+ */
+function getRequestedRole(requestedRole) {
+    return requestedRole === ROLE_GUARDIAN ? ROLE_GUARDIAN : ROLE_MEMBER;
+}
+
+
+/**
+ * Get an action needed to add or remove a family member with a given role
+ */
+function getMembershipAction(role) {
+    return role === ROLE_MEMBER ? ACTION_MANAGE_MEMBERS : ACTION_MANAGE_GUARDIANS;
+}
+
+
+/**
+ * Decide if an actor may perform an action in a family, optionally on a subject, i.e. another family member.
+ * Every callable dealing with family data asks this function, so the whole access policy is here:
+ * - non-members may do nothing;
+ * - any member may view the family and send an SOS alert to it;
+ * - owners and guardians may add and remove plain members;
+ * - the owner only may add, remove and assign guardians, change the family settings, delete the family and transfer
+ *   its ownership; the owner cannot be removed;
+ * - owners and guardians may manage geofences, and check-in schedules of any member;
+ * - adults may locate anybody; minors may locate minors, and adults only if the owner allows it in the settings
+ */
+function isAuthorized(family, actorUid, action, subjectUid) {
+    const actorRole = getFamilyRole(family, actorUid);
+    if (!actorRole) return false;
+    const subjectRole = subjectUid ? getFamilyRole(family, subjectUid) : null;
+
+    switch (action) {
+        case ACTION_VIEW_FAMILY:
+        case ACTION_SEND_SOS:
+            return true;
+        case ACTION_MANAGE_MEMBERS:
+            return isAdultRole(actorRole) && (!subjectRole || subjectRole === ROLE_MEMBER);
+        case ACTION_MANAGE_GUARDIANS:
+            return actorRole === ROLE_OWNER && subjectRole !== ROLE_OWNER;
+        case ACTION_MANAGE_SETTINGS:
+        case ACTION_MANAGE_FAMILY:
+            return actorRole === ROLE_OWNER;
+        case ACTION_MANAGE_GEOFENCES:
+            return isAdultRole(actorRole);
+        case ACTION_MANAGE_CHECK_INS:
+            return isAdultRole(actorRole) && (!subjectUid || Boolean(subjectRole));
+        case ACTION_LOCATE:
+            if (!subjectRole || subjectUid === actorUid) return false;
+            if (isAdultRole(actorRole) || !isAdultRole(subjectRole)) return true;
+            return Boolean(family.settings && family.settings.membersCanLocateAdults);
+        default:
+            return false;
+    }
+}
+
+
+/**
+ * Ensure an actor may perform an action in a family, optionally on a subject. Throw a permission denied error otherwise
+ */
+function authorize(family, actorUid, action, subjectUid) {
+    if (!isAuthorized(family, actorUid, action, subjectUid)) {
+        throw newHttpsError(RETURN_CODE_NOT_PERMITTED, `Not allowed to ${action}`, {action: action});
+    }
+}
+
+
+// --------------------------- Helpers: Messaging
+
+/**
+ * Send a message to each of family members, to every member device.
+ * The message is built by a given function from a device token.
+ * Resolve to an array of delivery results {uid, email, status, messageId, errorCode}, one per member.
+ * The status is sent, not sent, no user (no user document) or no device (no device token)
+ */
+function sendToMembers(memberUids, buildMessage) {
+    // Make up an array of promises
+    let sendPromises = [];
+    for (let memberUid of memberUids) {
+        let sendPromise = sendToUser(memberUid, buildMessage)
+            .then( (sendResult) => {
+                return Promise.resolve({                                                                                // then() returns a promise to make sendPromise be a promise in the end of the chain
+                    uid: memberUid,
+                    status: sendResult.returnCode,
+                    messageId: sendResult.messageIds[0] || null,
+                    errorCode: sendResult.errorCode,
+                });
+            })
+        ;
+        sendPromises.push(sendPromise);
+    }
+    return Promise.all([Promise.all(sendPromises), getUserEmails(memberUids)])
+        .then( (results) => {
+            const emailsByUid = results[1];
+            return results[0].map( (memberResult) => Object.assign(memberResult, {email: emailsByUid[memberResult.uid] || null}) );
+        })
+    ;
+}
+
+
+/**
+ * Send a message to every device of a user. The message is built by a given function from a device token,
+ * and, unless the app handles it in the background, gets a notification the user sees, localized for the device
+ * (see addNotification).
+ * Tokens FCM reports as not registered or invalid are removed from the user device registry.
+ * Resolve to an object with a return code, message ids, and the last error code and message.
+ * The return code is sent if delivered to at least one device; no user or no device if there was nowhere to send
+ */
+function sendToUser(uid, buildMessage) {
+    return getDeviceTokens(uid)
+        .then( (deviceTokens) => {
+            if (deviceTokens.devices.length === 0) {
+                return {
+                    returnCode: deviceTokens.userExists ? RETURN_CODE_NO_DEVICE : RETURN_CODE_NO_USER,
+                    messageIds: [],
+                    errorCode: null,
+                    errorMessage: null,
+                }
+            }
+            return Promise.all(deviceTokens.devices.map( (device) => {
+                return admin.messaging().send(addNotification(buildMessage(device.token), device))
+                    .then( (messageId) => {
+                        return {
+                            messageId: messageId,
+                        }
+                    })
+                    .catch( (error) => {
+                        console.log(`Message to ${uid} not sent: ${error}`);
+                        const cleanupPromise = isStaleTokenError(error)
+                            ? removeDeviceToken(device)
+                            : Promise.resolve()
+                        ;
+                        return cleanupPromise
+                            .then( () => {
+                                return {
+                                    error: error,
+                                }
+                            })
+                        ;
+                    })
+                ;
+            }))
+                .then( (deviceResults) => {
+                    const messageIds = deviceResults.filter( (deviceResult) => deviceResult.messageId ).map( (deviceResult) => deviceResult.messageId );
+                    const errors = deviceResults.filter( (deviceResult) => deviceResult.error ).map( (deviceResult) => deviceResult.error );
+                    const lastError = errors.length > 0 ? errors[errors.length - 1] : null;
+                    return {
+                        returnCode: messageIds.length > 0 ? RETURN_CODE_SENT : RETURN_CODE_NOT_SENT,
+                        messageIds: messageIds,
+                        errorCode: lastError ? lastError.code || null : null,
+                        errorMessage: lastError ? String(lastError) : null,
+                    }
+                })
+            ;
+        })
+        .catch( (error) => {
+            console.log(`Messages to ${uid} not sent: ${error}`);
+            return {
+                returnCode: RETURN_CODE_NOT_SENT,
+                messageIds: [],
+                errorCode: error.code || null,
+                errorMessage: String(error),
+            }
+        })
+    ;
+}
+
+
+/**
+ * Add to a data message a notification the user sees even when the app is not running, made from the template
+ * of the message type in the device language (see NOTIFICATION_TEMPLATES). The block is chosen by the device
+ * platform: apns for iOS, android for Android.
+ * Messages the app handles in the background (see MESSAGE_TYPES_BACKGROUND) and messages to devices which did not
+ * register a platform stay data-only: on Android, a message with a notification reaches a background app only when
+ * the user taps the notification. The data stays as is, so apps handle the message as before. Return the message
+ */
+function addNotification(message, device) {
+    const platform = (device.platform || '').toLowerCase();
+    if (![PLATFORM_IOS, PLATFORM_ANDROID].includes(platform)) return message;                                           // a legacy token, or a platform with no notification block
+    if (MESSAGE_TYPES_BACKGROUND.includes(message.data.messageType)) return message;
+    const notification = buildNotification(message.data, device.language);
+    if (!notification) return message;
+    if (platform === PLATFORM_IOS) {
+        message.apns = Object.assign({}, message.apns, {
+            payload: {
+                aps: {
+                    alert: notification,
+                    sound: 'default',
+                    'content-available': 1,                                                                             // the app still gets the data in the background
+                },
+            },
+        });
+    } else {
+        message.android = Object.assign({}, message.android, {
+            notification: Object.assign({
+                tag: message.data.messageType,                                                                          // a newer notification of a type replaces the older one
+            }, notification),
+        });
+    }
+    return message;
+}
+
+
+/**
+ * Get a notification {title, body} for message data in a language: the template of the message type, or of the type
+ * and the transition for a geofence event, with the data attributes filled in. A missing name is filled in with someone;
+ * a template missing any other value gives way to its plain version, which leaves the values out. The template is taken
+ * in the language, the base language (en for en-GB), or the default one. Return null if there is no template
+ */
+function buildNotification(data, language) {
+    const tag = (language || LANGUAGE_DEFAULT).toLowerCase();
+    const templates = NOTIFICATION_TEMPLATES[tag] || NOTIFICATION_TEMPLATES[tag.split('-')[0]] || NOTIFICATION_TEMPLATES[LANGUAGE_DEFAULT];
+    let template = templates[`${data.messageType}.${data.transition}`] || templates[data.messageType];
+    if (!template) return null;
+    const isMissing = (attribute) => !data[attribute] && !NOTIFICATION_NAME_ATTRIBUTES.includes(attribute);
+    const placeholders = `${template.title} ${template.body}`.match(/\{(\w+)\}/g) || [];
+    if (placeholders.some( (placeholder) => isMissing(placeholder.slice(1, -1)) )) {
+        if (!template.plain) throw new Error(`No plain notification template for ${data.messageType}`);
+        template = template.plain;
+    }
+    const fill = (text) => text.replace(/\{(\w+)\}/g, (placeholder, attribute) => data[attribute] || templates.someone);
+    return {
+        title: fill(template.title),
+        body: fill(template.body),
+    };
+}
+
+
+/**
+ * Get device tokens of a user: the ones from the device registry, and the legacy single token if it is not there.
+ * Resolve to an object with an array of devices {token, ref, legacy, platform, language}, where ref is a document holding the token,
+ * and a flag telling if the user is known, i.e. has a user document or registered devices
+ */
+function getDeviceTokens(uid) {
+    const userRef = admin.firestore().collection('users').doc(uid);
+
+    return Promise.all([userRef.get(), userRef.collection('devices').get()])
+        .then( (snapshots) => {
+            const userSnapshot = snapshots[0];
+            const devicesSnapshot = snapshots[1];
+            const devices = devicesSnapshot.docs
+                .filter( (deviceSnapshot) => deviceSnapshot.data().token )
+                .map( (deviceSnapshot) => {
+                    return {
+                        token: deviceSnapshot.data().token,
+                        ref: deviceSnapshot.ref,
+                        legacy: false,
+                        platform: deviceSnapshot.data().platform || null,
+                        language: deviceSnapshot.data().language || null,
+                    }
+                })
+            ;
+            const legacyToken = userSnapshot.exists ? userSnapshot.data().deviceToken : null;
+            if (legacyToken && !devices.some( (device) => device.token === legacyToken )) {
+                devices.push({
+                    token: legacyToken,
+                    ref: userRef,
+                    legacy: true,
+                    platform: null,
+                    language: null,
+                });
+            }
+            return {
+                devices: devices,
+                userExists: userSnapshot.exists || !devicesSnapshot.empty,
+            }
+        })
+    ;
+}
+
+
+/**
+ * Check if an FCM send error tells the device token is stale. An invalid argument error is about the token
+ * only if it says so, as it is returned for a bad payload too, with a perfectly valid token
+ */
+function isStaleTokenError(error) {
+    if (STALE_TOKEN_ERROR_CODES.includes(error.code)) return true;
+    return error.code === 'messaging/invalid-argument' && /registration token/i.test(error.message || '');
+}
+
+
+/**
+ * Remove a stale device token from the user device registry or from the legacy attribute
+ */
+function removeDeviceToken(device) {
+    const removePromise = device.legacy
+        ? device.ref.update({
+            deviceToken: FieldValue.delete(),
+        })
+        : device.ref.delete()
+    ;
+    return removePromise
+        .catch( (error) => {
+            console.log(`Stale device token not removed from ${device.ref.path}: ${error}`);
+        })
+    ;
+}
+
+
+/**
+ * Summarize return codes of atomic send promises as a composite return. Any code but sent means not sent
+ */
+function summarizeSendReturnCodes(arrayOfReturnCodes) {
+    const sentCount = arrayOfReturnCodes.filter( (returnCode) => returnCode === RETURN_CODE_SENT ).length;
+    if (sentCount > 0 && sentCount < arrayOfReturnCodes.length) {
+        return {
+            returnCode: RETURN_CODE_SOME_SENT,
+        }
+    } else if (sentCount > 0) {
+        return {
+            returnCode: RETURN_CODE_ALL_SENT,
+        }
+    } else {
+        return {
+            returnCode: RETURN_CODE_NONE_SENT,
+        }
+    }
+}
+
+
+/**
+ * Make a delivery report from per member delivery results: a composite return code and the results themselves
+ */
+function toDeliveryReport(memberResults) {
+    return Object.assign(summarizeSendReturnCodes(memberResults.map( (memberResult) => memberResult.status )), {
+        members: memberResults,
+    });
+}
+
+
+// --------------------------- Helpers: Family
+
+/**
+ * Find a family to work with for a user.
+ * If a family id is given, the family is used provided the user belongs to it; otherwise the single family
+ * which the user belongs to is used. Resolve to the family document snapshot; reject with an HTTPS error
+ * if there is no such family, or if the user belongs to many families and no family id is given
+ */
+function findFamily(uid, familyId) {
+    const familiesRef = admin.firestore().collection('families');
+
+    if (familyId) {
+        return familiesRef.doc(familyId).get()
+            .then( (familySnapshot) => {
+                if (!familySnapshot.exists || !getFamilyRole(familySnapshot.data(), uid)) {                             // a stranger is told there is no such family
+                    throw newHttpsError(RETURN_CODE_NO_FAMILY, `No family ${familyId}`);
+                }
+                return familySnapshot;
+            })
+        ;
+    }
+    return familiesRef.where('members', 'array-contains', uid).get()                                                    // query for families which the user belongs to
+        .then(querySnapshot => {
+            if (querySnapshot.empty) {                                                                                  // no such families; error
+                throw newHttpsError(RETURN_CODE_NO_FAMILY, 'Belongs to no family');
+            } else if (querySnapshot.size !== 1) {                                                                      // many such families; the family id is needed
+                throw newHttpsError(RETURN_CODE_MORE_THAN_ONE_FAMILY, 'Belongs to more than one family; a family id is needed');
+            } else {
+                return querySnapshot.docs[0];
+            }
+        })
+    ;
+}
+
+
+/**
+ * Remove a member from a family: the membership, the role, the shared location and the check-ins of the member.
+ * Pending invites and invite codes the member has sent to the family are revoked
+ */
+function removeFamilyMember(familyRef, uid) {
+    const batch = admin.firestore().batch();
+    batch.update(familyRef, {
+        members: FieldValue.arrayRemove(uid),
+        [`roles.${uid}`]: FieldValue.delete(),
+        [`statusAlerts.${uid}`]: FieldValue.delete(),
+    });
+    batch.delete(familyRef.collection('locations').doc(uid));                                                           // the shared location is not the family business anymore
+    return batch.commit()
+        .then( (writeResults) => {
+            return Promise.all(['invites', 'inviteCodes'].map( (collectionName) => {
+                const invitesQuery = admin.firestore().collection(collectionName)
+                    .where('familyUid', '==', familyRef.id)
+                    .where('inviterUid', '==', uid)
+                ;
+                return revokeInvites(invitesQuery);
+            }).concat(deleteQueryResults(familyRef.collection('checkIns').where('memberUid', '==', uid))));
+        })
+    ;
+}
+
+
+/**
+ * Delete a family document with the family data: the geofences, the check-ins, the activity log, the shared locations,
+ * the location requests and the SOS alerts. Pending invites and invite codes to the family are revoked
+ */
+function deleteFamilyData(familyRef) {
+    const firestore = admin.firestore();
+
+    return Promise.all([
+        deleteQueryResults(familyRef.collection('geofences')),
+        deleteQueryResults(familyRef.collection('checkIns')),
+        deleteQueryResults(familyRef.collection('activity')),
+        deleteQueryResults(familyRef.collection('locations')),
+        deleteQueryResults(firestore.collection('locationRequests').where('familyUid', '==', familyRef.id)),
+        deleteQueryResults(firestore.collection('sosAlerts').where('familyUid', '==', familyRef.id)),
+        revokeInvites(firestore.collection('invites').where('familyUid', '==', familyRef.id)),
+        revokeInvites(firestore.collection('inviteCodes').where('familyUid', '==', familyRef.id)),
+    ])
+        .then( (results) => familyRef.delete() )
+    ;
+}
+
+
+/**
+ * Remove a deleted user from a family, anonymize the user activity entries in it, and notify the remaining members.
+ * A family the user owned is handed over to a guardian with an account; if there is no such guardian, minors are
+ * not left alone in the family, and it is deleted
+ */
+function removeDeletedMember(familySnapshot, uid, email) {
+    const family = familySnapshot.data();
+    const memberUids = family.members.filter( (memberUid) => memberUid !== uid );
+    const isOwner = getFamilyRole(family, uid) === ROLE_OWNER;
+    const guardianUids = isOwner ? memberUids.filter( (memberUid) => getFamilyRole(family, memberUid) === ROLE_GUARDIAN ) : [];
+
+    return getUserRecords(guardianUids)
+        .then( (guardianRecordsByUid) => {
+            const heirUid = guardianUids.find( (guardianUid) => guardianRecordsByUid[guardianUid] ) || null;
+            if (isOwner && !heirUid) {
+                return deleteFamilyData(familySnapshot.ref)
+                    .then( () => {
+                        return sendToMembers(memberUids, (memberDeviceToken) => {
+                            return {
+                                token: memberDeviceToken,
+                                data: {
+                                    messageType: MESSAGE_TYPE_FAMILY_DELETED,
+                                    familyUid: familySnapshot.id,
+                                    senderEmail: email,
+                                }
+                            };
+                        });
+                    })
+                ;
+            }
+            const ownerEmail = heirUid ? guardianRecordsByUid[heirUid].email || null : null;
+            const handOverPromise = heirUid
+                ? familySnapshot.ref.update({
+                    creator: heirUid,                                                                                   // families are found by the creator, so it follows the owner
+                    [`roles.${heirUid}`]: ROLE_OWNER,
+                })
+                : Promise.resolve()
+            ;
+            return handOverPromise
+                .then( () => removeFamilyMember(familySnapshot.ref, uid) )
+                .then( () => anonymizeActivity(familySnapshot.ref.collection('activity'), uid, email) )
+                .then( (updatedCount) => {
+                    return sendToMembers(memberUids, (memberDeviceToken) => {
+                        const message = {
+                            token: memberDeviceToken,
+                            data: {
+                                messageType: heirUid ? MESSAGE_TYPE_OWNERSHIP_TRANSFERRED : MESSAGE_TYPE_MEMBER_LEFT,
+                                familyUid: familySnapshot.id,
+                                senderEmail: email,
+                            }
+                        };
+                        if (ownerEmail) message.data.ownerEmail = ownerEmail;
+                        return message;
+                    });
+                })
+            ;
+        })
+    ;
+}
+
+
+// --------------------------- Helpers: Location
+
+/**
+ * Delete the outdated entries of a page of a location history query (see pruneLocationHistory), then of the next pages.
+ * The query also returns the last shared locations of the families, which are left as they are. The retention days
+ * are cached per user in retentionDaysPromises. Resolve to the number of deleted entries
+ */
+function pruneLocationHistoryPage(query, retentionDaysPromises, cursorSnapshot) {
+    const familiesRef = admin.firestore().collection('families');
+    const pageQuery = cursorSnapshot ? query.startAfter(cursorSnapshot) : query;
+
+    return pageQuery.limit(BATCH_SIZE_MAX).get()
+        .then( (querySnapshot) => {
+            if (querySnapshot.empty) return 0;
+            const entrySnapshots = querySnapshot.docs.filter( (entrySnapshot) => {
+                const userRef = entrySnapshot.ref.parent.parent;
+                return userRef && userRef.parent.id === 'users';                                                        // not a family shared location
+            });
+            for (let entrySnapshot of entrySnapshots) {
+                const uid = entrySnapshot.ref.parent.parent.id;
+                if (retentionDaysPromises[uid]) continue;
+                retentionDaysPromises[uid] = familiesRef.where('members', 'array-contains', uid).get()
+                    .then( (familiesSnapshot) => {
+                        if (familiesSnapshot.empty) return LOCATION_RETENTION_DAYS_DEFAULT;
+                        return Math.max(...familiesSnapshot.docs.map( (familySnapshot) => getLocationRetentionDays(familySnapshot.data()) ));
+                    })
+                ;
+            }
+            const uids = Object.keys(retentionDaysPromises);
+            return Promise.all(uids.map( (uid) => retentionDaysPromises[uid] ))
+                .then( (arrayOfRetentionDays) => {
+                    const now = Date.now();
+                    const batch = admin.firestore().batch();
+                    let deletedCount = 0;
+                    for (let entrySnapshot of entrySnapshots) {
+                        const retentionDays = arrayOfRetentionDays[uids.indexOf(entrySnapshot.ref.parent.parent.id)];
+                        if (entrySnapshot.get('timestamp').toMillis() >= now - retentionDays * DAY_MILLIS) continue;
+                        batch.delete(entrySnapshot.ref);
+                        deletedCount++;
+                    }
+                    return deletedCount > 0 ? batch.commit().then( () => deletedCount ) : deletedCount;
+                })
+                .then( (deletedCount) => {
+                    if (querySnapshot.size < BATCH_SIZE_MAX) return deletedCount;
+                    const lastSnapshot = querySnapshot.docs[querySnapshot.size - 1];
+                    return pruneLocationHistoryPage(query, retentionDaysPromises, lastSnapshot)                         // there may be more
+                        .then( (nextDeletedCount) => deletedCount + nextDeletedCount )
+                    ;
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Get a location history retention period of a family in days
+ */
+function getLocationRetentionDays(family) {
+    return (family.settings && family.settings.locationRetentionDays) || LOCATION_RETENTION_DAYS_DEFAULT;
+}
+
+
+/**
+ * Get the location sharing settings of users. Resolve to a map from a uid to the settings {mode, pausedUntil,
+ * privateZones}; the pause end is in epoch milliseconds. Users with no settings share their locations as is
+ */
+function getSharingSettings(uids) {
+    if (uids.length === 0) return Promise.resolve({});
+    const settingsRef = admin.firestore().collection('sharingSettings');
+
+    return admin.firestore().getAll(...uids.map( (uid) => settingsRef.doc(uid) ))
+        .then( (settingsSnapshots) => {
+            const sharingSettingsByUid = {};
+            settingsSnapshots.forEach( (settingsSnapshot, index) => {
+                const stored = settingsSnapshot.exists ? settingsSnapshot.data() : {};
+                const pausedUntil = stored.pausedUntil ? stored.pausedUntil.toMillis() : null;
+                const isPaused = stored.mode === SHARING_MODE_PAUSED && pausedUntil > Date.now();
+                sharingSettingsByUid[uids[index]] = {
+                    mode: isPaused ? SHARING_MODE_PAUSED : (stored.mode === SHARING_MODE_COARSE ? SHARING_MODE_COARSE : SHARING_MODE_ON),
+                    pausedUntil: isPaused ? pausedUntil : null,
+                    privateZones: stored.privateZones || [],
+                };
+            });
+            return sharingSettingsByUid;
+        })
+    ;
+}
+
+
+/**
+ * Validate private zones given to a callable. Return the zones with only their attributes {name, latitude, longitude, radius}
+ */
+function validatePrivateZones(privateZones) {
+    if (!Array.isArray(privateZones) || privateZones.length > PRIVATE_ZONES_MAX) {
+        throw newInvalidArgumentError('privateZones', `should be an array of at most ${PRIVATE_ZONES_MAX} zones`);
+    }
+    return privateZones.map( (privateZone) => {
+        privateZone = validate(privateZone, {
+            name: {type: 'string', required: true},
+            latitude: {type: 'number', required: true, min: -90, max: 90},
+            longitude: {type: 'number', required: true, min: -180, max: 180},
+            radius: {type: 'number', required: true, min: 0},
+        });
+        return {
+            name: privateZone.name,
+            latitude: privateZone.latitude,
+            longitude: privateZone.longitude,
+            radius: privateZone.radius,
+        };
+    });
+}
+
+
+/**
+ * Get a precision a location is shared with according to sharing settings: paused; private if the location is
+ * within a private zone; coarse or exact. A location with no coordinates cannot be found in a private zone
+ */
+function getLocationPrecision(location, sharingSettings) {
+    if (sharingSettings.mode === SHARING_MODE_PAUSED) return LOCATION_PRECISION_PAUSED;
+    const point = parseLocation(location);
+    if (point && sharingSettings.privateZones.some( (privateZone) => getDistanceMeters(point, privateZone) <= privateZone.radius )) {
+        return LOCATION_PRECISION_PRIVATE;
+    }
+    return sharingSettings.mode === SHARING_MODE_COARSE ? LOCATION_PRECISION_COARSE : LOCATION_PRECISION_EXACT;
+}
+
+
+/**
+ * Get the most restrictive of two precisions
+ */
+function getMostRestrictivePrecision(precision1, precision2) {
+    return LOCATION_PRECISIONS[Math.max(LOCATION_PRECISIONS.indexOf(precision1), LOCATION_PRECISIONS.indexOf(precision2))];
+}
+
+
+/**
+ * Get a precision a location history entry is shown with to other members: the precision it was shared with,
+ * restricted by the current settings, so new private zones and coarse sharing hide the past too.
+ * A current pause does not hide what was shared before it
+ */
+function getHistoryPrecision(entry, sharingSettings) {
+    const currentSettings = sharingSettings.mode === SHARING_MODE_PAUSED
+        ? Object.assign({}, sharingSettings, {mode: SHARING_MODE_ON})
+        : sharingSettings
+    ;
+    return getMostRestrictivePrecision(entry.precision || LOCATION_PRECISION_EXACT, getLocationPrecision(entry.location, currentSettings));
+}
+
+
+/**
+ * Get a location as shared with a precision: the location itself if exact; if coarse, the coordinates rounded
+ * to about 1 km, in the form of the location, a JSON string or an object; otherwise null.
+ * A coarse location with no coordinates is not shared, as it cannot be rounded
+ */
+function toSharedLocation(location, precision) {
+    if (precision === LOCATION_PRECISION_EXACT) return location;
+    const point = precision === LOCATION_PRECISION_COARSE ? parseLocation(location) : null;
+    if (!point) return null;
+    const factor = Math.pow(10, COARSE_LOCATION_DECIMALS);
+    const coarsePoint = {
+        latitude: Math.round(point.latitude * factor) / factor,
+        longitude: Math.round(point.longitude * factor) / factor,
+    };
+    return typeof location === 'string' ? JSON.stringify(coarsePoint) : coarsePoint;
+}
+
+
+/**
+ * Get a location as a data message value, which should be a string: an object location is sent as a JSON string
+ */
+function toMessageLocation(location) {
+    return typeof location === 'string' ? location : JSON.stringify(location);
+}
+
+
+/**
+ * Hide a user location already shared with the families as much as the user sharing settings require.
+ * Settings only hide more here; sharing more starts with the next location sent
+ */
+function restrictSharedLocations(uid, sharingSettings) {
+    const firestore = admin.firestore();
+
+    return Promise.all([
+        firestore.collection('users').doc(uid).get(),
+        firestore.collection('families').where('members', 'array-contains', uid).get(),
+    ])
+        .then( (results) => {
+            const location = results[0].exists ? results[0].data().location || null : null;                             // the shared location is this one, unless it was recorded while paused
+            const precision = getLocationPrecision(location, sharingSettings);
+            return Promise.all(results[1].docs.map( (familySnapshot) => {
+                const sharedLocationRef = familySnapshot.ref.collection('locations').doc(uid);
+                return sharedLocationRef.get()
+                    .then( (sharedLocationSnapshot) => {
+                        if (!sharedLocationSnapshot.exists) return null;
+                        const sharedPrecision = sharedLocationSnapshot.data().precision || LOCATION_PRECISION_EXACT;
+                        const newPrecision = getMostRestrictivePrecision(sharedPrecision, precision);
+                        if (newPrecision === sharedPrecision) return null;
+                        return sharedLocationRef.update({
+                            location: toSharedLocation(location, newPrecision),
+                            accuracy: null,
+                            precision: newPrecision,
+                            pausedUntil: newPrecision === LOCATION_PRECISION_PAUSED ? Timestamp.fromMillis(sharingSettings.pausedUntil) : null,
+                        });
+                    })
+                ;
+            }));
+        })
+    ;
+}
+
+
+/**
+ * Get a low battery threshold of a family in percent
+ */
+function getLowBatteryThreshold(family) {
+    const threshold = family.settings && family.settings.lowBatteryThreshold;
+    return threshold === undefined || threshold === null ? LOW_BATTERY_THRESHOLD_DEFAULT : threshold;
+}
+
+
+/**
+ * Get a period of a family in minutes after which a member not seen is considered offline
+ */
+function getOfflineAfterMinutes(family) {
+    return (family.settings && family.settings.offlineAfterMinutes) || OFFLINE_AFTER_MINUTES_DEFAULT;
+}
+
+
+/**
+ * Get a device status with every attribute, null if unknown, from a stored one
+ */
+function toDeviceStatus(storedDeviceStatus) {
+    const deviceStatus = {};
+    for (let attribute of DEVICE_STATUS_ATTRIBUTES) {
+        const value = storedDeviceStatus ? storedDeviceStatus[attribute] : undefined;
+        deviceStatus[attribute] = value === undefined ? null : value;
+    }
+    return deviceStatus;
+}
+
+
+/**
+ * Get the time the status of a user who has just been seen should be checked at (see checkDeviceStatus): at once
+ * if the battery is low for some family or an alert about the user may be over, otherwise when the user may go
+ * offline for a family with the shortest offline period
+ */
+function getStatusCheckTime(user, storedDeviceStatus) {
+    const deviceStatus = toDeviceStatus(storedDeviceStatus);
+    const isBatteryLow = deviceStatus.batteryLevel !== null && deviceStatus.batteryLevel <= LOW_BATTERY_THRESHOLD_MAX && !deviceStatus.isCharging;
+    if (isBatteryLow || user.statusAlerted) return Timestamp.now();
+    return Timestamp.fromMillis(Date.now() + OFFLINE_AFTER_MINUTES_MIN * 60 * 1000);
+}
+
+
+// --------------------------- Helpers: Location request
+
+/**
+ * Store a location request record and send each of given members a location request message holding its id.
+ * Optional attributes are stored in the record too. Resolve to a delivery report with the location request id
+ */
+function sendLocationRequest(familyUid, requesterUid, requesterEmail, memberUids, attributes) {
+    const requestRef = admin.firestore().collection('locationRequests').doc();                                          // a new document with an auto-generated id
+
+    return requestRef.set(Object.assign({
+        familyUid: familyUid,
+        requesterUid: requesterUid,
+        requesterEmail: requesterEmail,
+        memberUids: memberUids,
+        responses: {},
+        status: LOCATION_REQUEST_STATUS_OPEN,
+        createdAt: FieldValue.serverTimestamp(),
+        expiresAt: Timestamp.fromMillis(Date.now() + LOCATION_REQUEST_TIMEOUT_MILLIS),
+    }, attributes || {}))
+        .then( (writeResult) => {
+            return sendToMembers(memberUids, (memberDeviceToken) => {
+                return {
+                    token: memberDeviceToken,
+                    data: Object.assign({
+                        messageType: MESSAGE_TYPE_LOCATION_REQUEST,
+                        requestUid: requestRef.id,
+                    }, requesterEmail ? {senderEmail: requesterEmail} : {}),                                            // a check-in has no requester
+                    android: {
+                        priority: 'high',
+                    }
+                };
+            });
+        })
+        .then( (memberResults) => {
+            return Object.assign(toDeliveryReport(memberResults), {
+                requestUid: requestRef.id,
+            });
+        })
+    ;
+}
+
+
+/**
+ * Mark a member as responded to an open location request, in a transaction.
+ * The request is completed when every member has responded. Resolve to true if the response is recorded
+ */
+function markLocationRequestResponse(requestUid, memberUid) {
+    const requestRef = admin.firestore().collection('locationRequests').doc(requestUid);
+
+    return admin.firestore().runTransaction((transaction) => {
+        return transaction.get(requestRef)
+            .then( (requestSnapshot) => {
+                if (!requestSnapshot.exists) return false;
+                const locationRequest = requestSnapshot.data();
+                if (getLocationRequestStatus(locationRequest) !== LOCATION_REQUEST_STATUS_OPEN) return false;
+                if (!locationRequest.memberUids.includes(memberUid) || locationRequest.responses[memberUid]) return false;
+                const pendingUids = locationRequest.memberUids
+                    .filter( (uid) => uid !== memberUid && !locationRequest.responses[uid] )
+                ;
+                const requestUpdate = {
+                    [`responses.${memberUid}`]: FieldValue.serverTimestamp(),
+                };
+                if (pendingUids.length === 0) requestUpdate.status = LOCATION_REQUEST_STATUS_COMPLETED;
+                transaction.update(requestRef, requestUpdate);
+                return true;
+            })
+        ;
+    });
+}
+
+
+/**
+ * Get an effective location request status, i.e. the stored one or expired for an open request which expiry time passed
+ */
+function getLocationRequestStatus(locationRequest) {
+    if (locationRequest.status === LOCATION_REQUEST_STATUS_OPEN && locationRequest.expiresAt.toMillis() <= Date.now()) {
+        return LOCATION_REQUEST_STATUS_EXPIRED;
+    }
+    return locationRequest.status;
+}
+
+
+// --------------------------- Helpers: Activity
+
+/**
+ * Get an activity event record: who (the actor) did what (the type) to whom (the subjects), with some details.
+ * The audience is who besides the adults is allowed to see the event: every member for a family-wide event,
+ * or else the actor and the subjects
+ */
+function toActivityRecord(type, actorUid, subjectUids, details) {
+    subjectUids = subjectUids || [];
+    return {
+        type: type,
+        actorUid: actorUid,
+        subjectUids: subjectUids,
+        audience: ACTIVITY_TYPES_PUBLIC.includes(type) ? [ACTIVITY_AUDIENCE_ALL] : Array.from(new Set([actorUid].concat(subjectUids))),
+        details: details || {},
+        createdAt: FieldValue.serverTimestamp(),
+    };
+}
+
+
+/**
+ * Record an event in the activity collection of a family document. The action logged is done already,
+ * so a failure is only logged to the console. Resolve to the event id, or null if not recorded
+ */
+function logActivity(familyUid, type, actorUid, subjectUids, details) {
+    const activityRef = admin.firestore().collection('families').doc(familyUid).collection('activity').doc();           // a new document with an auto-generated id
+
+    return activityRef.set(toActivityRecord(type, actorUid, subjectUids, details))
+        .then( (writeResult) => activityRef.id )
+        .catch((error) => {
+            console.log(`Activity ${type} of ${actorUid} not logged in family ${familyUid}: ${error}`);
+            return null;
+        })
+    ;
+}
+
+
+/**
+ * Convert an activity event document to a callable result, with the emails taken from a map of emails by uid.
+ * Timestamps are returned as epoch milliseconds
+ */
+function toActivityResult(activitySnapshot, emailsByUid) {
+    const activity = activitySnapshot.data();
+    return {
+        activityUid: activitySnapshot.id,
+        type: activity.type,
+        actorUid: activity.actorUid,
+        actorEmail: emailsByUid[activity.actorUid] || null,
+        subjectUids: activity.subjectUids,
+        subjectEmails: activity.subjectUids.map( (subjectUid) => emailsByUid[subjectUid] || null ),
+        details: toPlainData(activity.details),
+        createdAt: activity.createdAt ? activity.createdAt.toMillis() : null,
+    };
+}
+
+
+/**
+ * Anonymize the activity entries of a deleted user in a family activity collection, or in the activity collection
+ * group: the user is no longer the actor, a subject or in the audience, and the invites to the user email lose
+ * the email. The entries themselves stay, as the family history is not the user own data.
+ * Resolve to the number of the entry updates
+ */
+function anonymizeActivity(activityQuery, uid, email) {
+    const emails = email ? Array.from(new Set([email, email.toLowerCase()])) : [];                                      // entries older than the lower-casing kept it as typed
+
+    return Promise.all([
+        updateQueryResults(activityQuery.where('actorUid', '==', uid), {
+            actorUid: null,
+            audience: FieldValue.arrayRemove(uid),
+        }),
+        updateQueryResults(activityQuery.where('subjectUids', 'array-contains', uid), {
+            subjectUids: FieldValue.arrayRemove(uid),
+            audience: FieldValue.arrayRemove(uid),
+        }),
+        emails.length > 0
+            ? updateQueryResults(activityQuery.where('details.inviteeEmail', 'in', emails), {'details.inviteeEmail': null})
+            : Promise.resolve(0)
+        ,
+    ])
+        .then( (updatedCounts) => updatedCounts.reduce( (sum, count) => sum + count, 0) )
+    ;
+}
+
+
+// --------------------------- Helpers: Check-in
+
+/**
+ * Convert a check-in document to a callable result, with the member email taken from a map of emails by uid.
+ * Timestamps are returned as epoch milliseconds
+ */
+function toCheckInResult(checkInSnapshot, emailsByUid) {
+    const checkIn = checkInSnapshot.data();
+    return {
+        checkInUid: checkInSnapshot.id,
+        familyMemberEmail: emailsByUid[checkIn.memberUid] || null,
+        times: checkIn.times,
+        days: checkIn.days,
+        createdAt: checkIn.createdAt ? checkIn.createdAt.toMillis() : null,
+        lastRunAt: checkIn.lastRunAt ? checkIn.lastRunAt.toMillis() : null,
+        nextRunAt: checkIn.nextRunAt ? checkIn.nextRunAt.toMillis() : null,
+    };
+}
+
+
+// --------------------------- Helpers: SOS
+
+/**
+ * Send a high priority SOS message about an alert to given users. Resolve to per user delivery results
+ */
+function sendSosMessages(alertUid, alert, uids) {
+    return sendToMembers(uids, (deviceToken) => {
+        return {
+            token: deviceToken,
+            data: {
+                messageType: MESSAGE_TYPE_SOS,
+                alertUid: alertUid,
+                senderEmail: alert.senderEmail,
+                location: toMessageLocation(alert.location),
+                escalationLevel: String(alert.escalationLevel),
+            },
+            android: {
+                priority: 'high',
+            }
+        };
+    });
+}
+
+
+/**
+ * Send an SOS alert to the secondary contacts of its family, which are given by emails. The contacts without
+ * an account are added to the undeliverableContactEmails attribute of the alert. Resolve to the contact results
+ */
+function sendSosToContacts(alertSnapshot, alert, contactEmails) {
+    return Promise.all(contactEmails.map( (email) => {
+        return admin.auth().getUserByEmail(email)
+            .then( (userRecord) => userRecord.uid )
+            .catch( (error) => {
+                if (error.code !== 'auth/user-not-found') throw error;
+                console.log(`SOS secondary contact ${email} not found: ${error}`);
+                return null;
+            })
+        ;
+    }))
+        .then( (contactUids) => {
+            const undeliverableEmails = contactEmails.filter( (email, index) => !contactUids[index] );
+            const updatePromise = undeliverableEmails.length > 0
+                ? alertSnapshot.ref.update({undeliverableContactEmails: FieldValue.arrayUnion(...undeliverableEmails)})
+                : Promise.resolve()
+            ;
+            return updatePromise
+                .then( () => sendSosMessages(alertSnapshot.id, alert, contactUids.filter( (contactUid) => contactUid )) )
+            ;
+        })
+    ;
+}
+
+
+// --------------------------- Helpers: Rate limiting
+
+/**
+ * Count a call of a callable against its rate limits (see getRateLimit): the one per caller and, if the callable has it,
+ * the one per each target, e.g. an invitee. Each limit is a counter of calls in a fixed window, stored in the rateLimits
+ * collection; target keys are hashed, so no emails are stored. Reject with a resource exhausted error telling when
+ * to retry if a limit is exceeded, counting nothing then. If targets are skippable, a target over its limit
+ * does not fail the call: it is left out and not counted. Resolve to a map from the target keys left out
+ * to the times they may be retried after
+ */
+function checkRateLimits(callableName, uid, targetKeys, areTargetsSkippable) {
+    const userLimit = getRateLimit(callableName, 'user');
+    const targetLimit = getRateLimit(callableName, 'target');
+    const counters = [{
+        ref: getRateLimitRef(callableName, 'user', uid),
+        limit: userLimit,
+        targetKey: null,
+    }];
+    if (targetLimit) {
+        for (let targetKey of targetKeys || []) {
+            counters.push({
+                ref: getRateLimitRef(callableName, 'target', crypto.createHash('sha256').update(targetKey).digest('hex')),
+                limit: targetLimit,
+                targetKey: targetKey,
+            });
+        }
+    }
+
+    return admin.firestore().runTransaction((transaction) => {
+        return transaction.getAll(...counters.map( (counter) => counter.ref ))
+            .then( (counterSnapshots) => {
+                const now = Date.now();
+                const retryAfterByTargetKey = {};
+                const updates = counterSnapshots.map( (counterSnapshot, index) => {
+                    const limit = counters[index].limit;
+                    const stored = counterSnapshot.exists ? counterSnapshot.data() : null;
+                    if (!stored || stored.expiresAt.toMillis() <= now) {                                                // a new window
+                        return {
+                            count: 1,
+                            expiresAt: Timestamp.fromMillis(now + limit.windowMinutes * 60 * 1000),
+                        };
+                    }
+                    if (stored.count >= limit.limit && counters[index].targetKey !== null && areTargetsSkippable) {
+                        retryAfterByTargetKey[counters[index].targetKey] = stored.expiresAt.toMillis();
+                        return null;                                                                                    // left out, not counted
+                    }
+                    if (stored.count >= limit.limit) {
+                        throw newHttpsError(RETURN_CODE_RATE_LIMITED, `Too many ${callableName} calls; retry later`, {
+                            retryAfter: stored.expiresAt.toMillis(),
+                        });
+                    }
+                    return {
+                        count: stored.count + 1,
+                        expiresAt: stored.expiresAt,
+                    };
+                });
+                updates.forEach( (update, index) => {
+                    if (update) transaction.set(counters[index].ref, update);
+                });
+                return retryAfterByTargetKey;
+            })
+        ;
+    });
+}
+
+
+/**
+ * Get a rate limit {limit, windowMinutes} of a callable, per user or per target. It is configured by an environment
+ * variable, e.g. RATE_LIMIT_SEND_INVITE_PER_TARGET=3/1440 for 3 calls in 1440 minutes, set in the functions .env file;
+ * otherwise it is the default from RATE_LIMITS. Return null if the callable has no such limit
+ */
+function getRateLimit(callableName, kind) {
+    const defaults = RATE_LIMITS[callableName] || {};
+    const defaultLimit = (kind === 'user' ? defaults.perUser : defaults.perTarget) || null;
+    const variableName = `RATE_LIMIT_${callableName.replace(/([A-Z])/g, '_$1').toUpperCase()}_PER_${kind.toUpperCase()}`;
+    const value = process.env[variableName];
+    if (value === undefined || value === '') return defaultLimit;
+    const match = /^(\d+)\/(\d+)$/.exec(value.trim());
+    if (!match || Number(match[2]) === 0) {
+        console.log(`${variableName}=${value} ignored: it should be <calls>/<window minutes>`);
+        return defaultLimit;
+    }
+    return {
+        limit: Number(match[1]),
+        windowMinutes: Number(match[2]),
+    };
+}
+
+
+/**
+ * Get a reference to a rate limit counter document of a callable, per user or per target
+ */
+function getRateLimitRef(callableName, kind, key) {
+    return admin.firestore().collection('rateLimits').doc(`${callableName}:${kind}:${key}`);
+}
+
+
+/**
+ * Delete the rate limit counters of a user, i.e. the ones per user. Counters per target are hashed and just expire
+ */
+function deleteRateLimits(uid) {
+    return Promise.all(Object.keys(RATE_LIMITS).map( (callableName) => getRateLimitRef(callableName, 'user', uid).delete() ));
+}
+
+
+// --------------------------- Helpers: Firestore
+
+/**
+ * Delete all the documents a query returns, in batches. Resolve to the number of deleted documents
+ */
+function deleteQueryResults(query) {
+    return query.limit(BATCH_SIZE_MAX).get()
+        .then( (querySnapshot) => {
+            if (querySnapshot.empty) return 0;
+            const batch = admin.firestore().batch();
+            querySnapshot.docs.forEach( (documentSnapshot) => batch.delete(documentSnapshot.ref) );
+            return batch.commit()
+                .then( (writeResults) => {
+                    if (querySnapshot.size < BATCH_SIZE_MAX) return querySnapshot.size;
+                    return deleteQueryResults(query)                                                                    // there may be more
+                        .then( (deletedCount) => querySnapshot.size + deletedCount )
+                    ;
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Update all the documents a query returns, in batches. The update should take a document out of the query results,
+ * otherwise the documents are updated again and again. Resolve to the number of updated documents
+ */
+function updateQueryResults(query, update) {
+    return query.limit(BATCH_SIZE_MAX).get()
+        .then( (querySnapshot) => {
+            if (querySnapshot.empty) return 0;
+            const batch = admin.firestore().batch();
+            querySnapshot.docs.forEach( (documentSnapshot) => batch.update(documentSnapshot.ref, update) );
+            return batch.commit()
+                .then( (writeResults) => {
+                    if (querySnapshot.size < BATCH_SIZE_MAX) return querySnapshot.size;
+                    return updateQueryResults(query, update)                                                            // there may be more
+                        .then( (updatedCount) => querySnapshot.size + updatedCount )
+                    ;
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Convert a document data to plain JSON values: timestamps become epoch milliseconds
+ */
+function toPlainData(value) {
+    if (value instanceof Timestamp) return value.toMillis();
+    if (Array.isArray(value)) return value.map(toPlainData);
+    if (value && typeof value === 'object') {
+        const result = {};
+        Object.keys(value).forEach( (key) => { result[key] = toPlainData(value[key]); });
+        return result;
+    }
+    return value;
+}
+
+
+// --------------------------- Helpers: Geofence
+
+/**
+ * Pick geofence attributes from callable data. A null schedule is picked as a removal
+ */
+function getGeofenceAttributes(data) {
+    const attributes = {};
+    for (let attribute of GEOFENCE_ATTRIBUTES) {
+        if (data[attribute] !== undefined) attributes[attribute] = data[attribute] === null ? FieldValue.delete() : data[attribute];
+    }
+    return attributes;
+}
+
+
+/**
+ * Validate callable data holding geofence attributes. On creation, the name, the center and the radius are required.
+ * On update, a null schedule is kept, as it removes the schedule. Return the data, with the schedule attributes only
+ */
+function validateGeofence(data, isNew) {
+    const isScheduleRemoved = !isNew && Boolean(data) && data.schedule === null;
+    data = validate(data, {
+        geofenceUid: {type: 'string', required: !isNew},
+        name: {type: 'string', required: isNew},
+        latitude: {type: 'number', required: isNew, min: -90, max: 90},
+        longitude: {type: 'number', required: isNew, min: -180, max: 180},
+        radius: {type: 'number', required: isNew, min: 0},
+        schedule: {type: 'object'},
+        familyId: {type: 'string'},
+    });
+    if (data.schedule) {
+        validate(data.schedule, {
+            startTime: {type: 'time'},
+            endTime: {type: 'time'},
+        });
+        const days = data.schedule.days;
+        if (days && !(Array.isArray(days) && days.every( (day) => Number.isInteger(day) && day >= 0 && day <= 6 ))) {
+            throw newInvalidArgumentError('schedule.days', 'should hold week days from 0 to 6');
+        }
+        const schedule = {};
+        for (let attribute of GEOFENCE_SCHEDULE_ATTRIBUTES) {
+            if (data.schedule[attribute] !== undefined && data.schedule[attribute] !== null) schedule[attribute] = data.schedule[attribute];
+        }
+        data.schedule = schedule;
+    }
+    if (isScheduleRemoved) data.schedule = null;
+    return data;
+}
+
+
+/**
+ * Get coordinates from a location, which is either an object or a JSON string with latitude and longitude attributes.
+ * Return null if the location has no coordinates
+ */
+function parseLocation(location) {
+    if (typeof location === 'string') {
+        try {
+            location = JSON.parse(location);
+        } catch (error) {
+            return null;
+        }
+    }
+    if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') return null;
+    return {
+        latitude: location.latitude,
+        longitude: location.longitude,
+    };
+}
+
+
+/**
+ * Get a great-circle distance in meters between two points, using the haversine formula
+ */
+function getDistanceMeters(point1, point2) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const latitudeDelta = toRadians(point2.latitude - point1.latitude);
+    const longitudeDelta = toRadians(point2.longitude - point1.longitude);
+    const a = Math.sin(latitudeDelta / 2) * Math.sin(latitudeDelta / 2)
+        + Math.cos(toRadians(point1.latitude)) * Math.cos(toRadians(point2.latitude))
+        * Math.sin(longitudeDelta / 2) * Math.sin(longitudeDelta / 2)
+    ;
+    return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+
+/**
+ * Check if a time zone name is known to the runtime
+ */
+function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', {timeZone: timeZone});
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+
+/**
+ * Get a date as 'YYYY-MM-DD', a week day (0 is Sunday) and minutes since midnight of a moment in a time zone
+ */
+function getLocalTime(millis, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false,
+    }).formatToParts(new Date(millis));
+    const getPart = (type) => parts.find( (part) => part.type === type ).value;
+    return {
+        date: `${getPart('year')}-${getPart('month')}-${getPart('day')}`,
+        day: WEEKDAYS.indexOf(getPart('weekday')),
+        minutes: (Number(getPart('hour')) % 24) * 60 + Number(getPart('minute')),                                       // some runtimes render midnight as 24
+    };
+}
+
+
+/**
+ * Get the check-in slots after one moment up to another in a time zone: a slot {key, day, minutes, time} for every
+ * minute started, oldest first. The key is the local 'YYYY-MM-DD HH:MM', so the keys sort as the time goes
+ */
+function getCheckInSlots(fromMillis, toMillis, timeZone) {
+    const slots = [];
+    for (let millis = toMillis - toMillis % (60 * 1000); millis > fromMillis; millis -= 60 * 1000) {
+        const localTime = getLocalTime(millis, timeZone);
+        const time = `${String(Math.floor(localTime.minutes / 60)).padStart(2, '0')}:${String(localTime.minutes % 60).padStart(2, '0')}`;
+        slots.unshift({key: `${localTime.date} ${time}`, day: localTime.day, minutes: localTime.minutes, time: time});
+    }
+    return slots;
+}
+
+
+/**
+ * Get the first moment after a given one at which a check-in time comes in a time zone, as epoch milliseconds,
+ * or null if there is none within a week
+ */
+function getNextCheckInTime(checkIn, afterMillis, timeZone) {
+    const firstDateMillis = Date.parse(`${getLocalTime(afterMillis, timeZone).date}T00:00:00Z`);
+    for (let dayIndex = 0; dayIndex <= 7; dayIndex++) {
+        const date = new Date(firstDateMillis + dayIndex * DAY_MILLIS);                                                 // a local date, held as a UTC one
+        if (checkIn.days && !checkIn.days.includes(date.getUTCDay())) continue;
+        const moments = checkIn.times
+            .map( (time) => getMomentOfLocalTime(date.toISOString().slice(0, 10), toMinutes(time), timeZone) )
+            .filter( (millis) => millis > afterMillis )
+        ;
+        if (moments.length > 0) return Math.min(...moments);
+    }
+    return null;
+}
+
+
+/**
+ * Get the nextRunAt attribute of a check-in: the timestamp of its first time after a given moment, if any
+ */
+function toNextRunAt(checkIn, afterMillis, timeZone) {
+    const nextMillis = getNextCheckInTime(checkIn, afterMillis, timeZone);
+    return nextMillis !== null ? Timestamp.fromMillis(nextMillis) : null;
+}
+
+
+/**
+ * Get the moment of a local date ('YYYY-MM-DD') and minutes since midnight in a time zone, as epoch milliseconds.
+ * A local time skipped by a daylight saving shift gives a moment an hour off, which no check-in slot matches
+ */
+function getMomentOfLocalTime(date, minutes, timeZone) {
+    const wallMillis = Date.parse(`${date}T00:00:00Z`) + minutes * 60 * 1000;                                           // as if the time zone were UTC
+    let millis = wallMillis;
+    for (let iteration = 0; iteration < 2; iteration++) {                                                               // the offset may differ at the moment found
+        const localTime = getLocalTime(millis, timeZone);
+        millis += wallMillis - (Date.parse(`${localTime.date}T00:00:00Z`) + localTime.minutes * 60 * 1000);
+    }
+    return millis;
+}
+
+
+/**
+ * Convert a 'HH:MM' time to minutes since midnight
+ */
+function toMinutes(time) {
+    const hoursAndMinutes = String(time).split(':');
+    return Number(hoursAndMinutes[0]) * 60 + Number(hoursAndMinutes[1] || 0);
+}
+
+
+/**
+ * Check if a geofence schedule, if any, is active at a moment. A time span ending before it starts spans midnight
+ */
+function isGeofenceActive(geofence, millis, timeZone) {
+    const schedule = geofence.schedule;
+    if (!schedule) return true;
+    const localTime = getLocalTime(millis, timeZone);
+    if (Array.isArray(schedule.days) && !schedule.days.includes(localTime.day)) return false;
+    if (!schedule.startTime || !schedule.endTime) return true;
+    const startMinutes = toMinutes(schedule.startTime);
+    const endMinutes = toMinutes(schedule.endTime);
+    if (startMinutes <= endMinutes) return localTime.minutes >= startMinutes && localTime.minutes < endMinutes;
+    return localTime.minutes >= startMinutes || localTime.minutes < endMinutes;
+}
+
+
+/**
+ * Detect geofences of a family entered or left when moving from a previous location to a current one.
+ * Resolve to an array of transitions {geofenceUid, geofenceName, transition}
+ */
+function detectGeofenceTransitions(familySnapshot, previousLocation, location) {
+    const previousPoint = parseLocation(previousLocation);
+    const point = parseLocation(location);
+    if (!previousPoint || !point) return Promise.resolve([]);                                                           // nothing to compare
+    const family = familySnapshot.data();
+    const timeZone = (family.settings && family.settings.timeZone) || TIME_ZONE_DEFAULT;
+    const now = Date.now();
+
+    return familySnapshot.ref.collection('geofences').get()
+        .then( (querySnapshot) => {
+            const transitions = [];
+            for (let geofenceSnapshot of querySnapshot.docs) {
+                const geofence = geofenceSnapshot.data();
+                if (!isGeofenceActive(geofence, now, timeZone)) continue;
+                const center = {
+                    latitude: geofence.latitude,
+                    longitude: geofence.longitude,
+                };
+                const wasInside = getDistanceMeters(previousPoint, center) <= geofence.radius;
+                const isInside = getDistanceMeters(point, center) <= geofence.radius;
+                if (wasInside === isInside) continue;
+                transitions.push({
+                    geofenceUid: geofenceSnapshot.id,
+                    geofenceName: geofence.name,
+                    transition: isInside ? GEOFENCE_TRANSITION_ENTER : GEOFENCE_TRANSITION_EXIT,
+                });
+            }
+            return transitions;
+        })
+    ;
+}
+
+
+// --------------------------- Helpers: User
+
+/**
+ * Get user records by their uids, in batches as large as Auth allows. Resolve to a map from a uid to a user record;
+ * unknown users are omitted
+ */
+function getUserRecords(uids) {
+    const batches = [];
+    for (let index = 0; index < uids.length; index += GET_USERS_SIZE_MAX) {
+        batches.push(uids.slice(index, index + GET_USERS_SIZE_MAX));
+    }
+    return Promise.all(batches.map( (batch) => admin.auth().getUsers(batch.map( (uid) => ({uid: uid}) )) ))
+        .then( (getUsersResults) => {
+            const userRecordsByUid = {};
+            for (let getUsersResult of getUsersResults) {
+                getUsersResult.users.forEach( (userRecord) => userRecordsByUid[userRecord.uid] = userRecord );
+            }
+            return userRecordsByUid;
+        })
+    ;
+}
+
+
+/**
+ * Get emails of users by their uids. Resolve to a map from a uid to an email; unknown users are omitted
+ */
+function getUserEmails(uids) {
+    return getUserRecords(uids)
+        .then( (userRecordsByUid) => {
+            const emailsByUid = {};
+            for (let uid of Object.keys(userRecordsByUid)) {
+                if (userRecordsByUid[uid].email) emailsByUid[uid] = userRecordsByUid[uid].email;
+            }
+            return emailsByUid;
+        })
+    ;
+}
+
+
+/**
+ * Convert a member profile document, which may not exist, to the profile attributes, absent ones being null
+ */
+function toProfile(profileSnapshot) {
+    const profile = profileSnapshot.exists ? profileSnapshot.data() : {};
+    return {
+        nickname: profile.nickname || null,
+        avatarUrl: profile.avatarUrl || null,
+    };
+}
+
+
+/**
+ * Delete a user document with the device registry and the location history
+ */
+function deleteUserDocument(userRef) {
+    return Promise.all([
+        deleteQueryResults(userRef.collection('devices')),
+        deleteQueryResults(userRef.collection('locations')),
+    ])
+        .then( (deletedCounts) => userRef.delete() )
+    ;
+}
+
+
+// --------------------------- Helpers: Validation and errors
+
+/**
+ * Make an HTTPS error for a reason, i.e. a return code a client is able to handle.
+ * The error code is chosen by the reason; the details hold the reason and optional extras
+ */
+function newHttpsError(reason, message, details) {
+    const code = ERROR_CODES_BY_REASON[reason] || 'internal';
+    return new functions.https.HttpsError(code, message, Object.assign({reason: reason}, details || {}));
+}
+
+
+/**
+ * Convert an error caught in a callable to an HTTPS error to throw.
+ * HTTPS errors are passed as is, known Admin SDK errors are mapped to the matching codes, others are internal errors
+ */
+function toHttpsError(error) {
+    if (error instanceof functions.https.HttpsError) return error;
+    switch (error && error.code) {
+        case 'auth/user-not-found':
+            return newHttpsError(RETURN_CODE_NO_USER, 'No such user');
+        case 'auth/invalid-email':
+            return newHttpsError(RETURN_CODE_INVALID_ARGUMENT, 'Invalid email');
+        case FIRESTORE_ERROR_CODE_NOT_FOUND:
+            return new functions.https.HttpsError('not-found', String(error));
+        case FIRESTORE_ERROR_CODE_ALREADY_EXISTS:
+            return new functions.https.HttpsError('already-exists', String(error));
+        default:
+            return new functions.https.HttpsError('internal', String(error));
+    }
+}
+
+
+/**
+ * Validate callable data against a schema, which maps an attribute name to a rule {type, required, values, min, max,
+ * empty}. Types are string, email, number, integer, boolean, object, array (of strings), location, time ('HH:MM') and
+ * timeZone; min and max limit numbers, and lengths of strings and arrays. Strings should not be empty unless empty is set.
+ * Null attributes are removed, so treated as absent.
+ * Return the data, or an empty object if there is none; throw an invalid argument error naming the first bad attribute
+ */
+function validate(data, schema) {
+    if (data === null || data === undefined) data = {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw newHttpsError(RETURN_CODE_INVALID_ARGUMENT, 'The data should be an object');
+    }
+    for (let name of Object.keys(schema)) {
+        const rule = schema[name];
+        const value = data[name];
+        if (value === undefined || value === null) {
+            if (rule.required) throw newInvalidArgumentError(name, 'is required');
+            delete data[name];                                                                                          // null is treated as absent
+            continue;
+        }
+        if (value === '' && rule.empty) continue;
+        if (!isOfType(value, rule.type)) throw newInvalidArgumentError(name, `should be of type ${rule.type}`);
+        if (rule.values && !rule.values.includes(value)) throw newInvalidArgumentError(name, `should be one of ${rule.values.join(', ')}`);
+        const size = typeof value === 'number' ? value : value.length;
+        if (rule.min !== undefined && size < rule.min) throw newInvalidArgumentError(name, `should be at least ${rule.min}`);
+        if (rule.max !== undefined && size > rule.max) throw newInvalidArgumentError(name, `should be at most ${rule.max}`);
+    }
+    return data;
+}
+
+
+/**
+ * Check if a value is an absolute HTTPS URL
+ */
+function isHttpsUrl(value) {
+    try {
+        return new URL(value).protocol === 'https:';
+    } catch (error) {
+        return false;
+    }
+}
+
+
+/**
+ * Check if a value is of a validation type
+ */
+function isOfType(value, type) {
+    switch (type) {
+        case 'string':
+            return typeof value === 'string' && value.length > 0;
+        case 'email':
+            return typeof value === 'string' && EMAIL_PATTERN.test(value);
+        case 'number':
+            return typeof value === 'number' && isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'boolean':
+            return typeof value === 'boolean';
+        case 'object':
+            return typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value) && value.every( (item) => typeof item === 'string' );
+        case 'location':
+            return isValidLocation(value);
+        case 'time':
+            return typeof value === 'string' && TIME_PATTERN.test(value);
+        case 'timeZone':
+            return isValidTimeZone(value);
+        default:
+            return false;
+    }
+}
+
+
+/**
+ * Check if a location is valid: a non-empty string or an object; coordinates, if any, should be within their ranges
+ */
+function isValidLocation(location) {
+    if (!(typeof location === 'string' && location.length > 0) && !(typeof location === 'object' && !Array.isArray(location))) return false;
+    const point = parseLocation(location);
+    if (!point) return typeof location === 'string';                                                                    // an opaque string is accepted as is
+    return Math.abs(point.latitude) <= 90 && Math.abs(point.longitude) <= 180;
+}
+
+
+/**
+ * Make an invalid argument error about a callable data attribute
+ */
+function newInvalidArgumentError(name, problem) {
+    return newHttpsError(RETURN_CODE_INVALID_ARGUMENT, `${name} ${problem}`, {attribute: name});
+}
\ No newline at end of file
@@ -0,0 +1,225 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+
+
+/**
+ * Store a location history entry and a shared location of a member, as sendLocation does
+ */
+function storeLocation(user) {
+    const firestore = helper.admin.firestore();
+    return Promise.all([
+        firestore.collection(`users/${user.uid}/locations`).add({location: 'school', timestamp: helper.admin.firestore.Timestamp.now()}),
+        firestore.doc(`users/${user.uid}`).set({location: 'school'}, {merge: true}),
+        firestore.doc(`families/${FAMILY_UID}/locations/${user.uid}`).set({location: 'school'}),
+    ]);
+}
+
+
+describe('exportMyData', () => {
+    const exportMyData = helper.wrap('exportMyData');
+
+    it('returns the caller data as plain JSON', () => {
+        return storeLocation(USERS.child)
+            .then( () => exportMyData({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.account.email).to.equal(USERS.child.email);
+                expect(result.user.location).to.equal('school');
+                expect(result.devices.map( (device) => device.installationId )).to.deep.equal(['phone']);
+                expect(result.locationHistory).to.have.lengthOf(1);
+                expect(result.locationHistory[0].timestamp).to.be.a('number');
+                expect(result.families).to.deep.equal([{familyUid: FAMILY_UID, role: 'member', sharedLocation: {location: 'school'}}]);
+                expect(JSON.parse(JSON.stringify(result))).to.deep.equal(result);
+            })
+        ;
+    });
+
+    it('does not return other members data', () => {
+        return storeLocation(USERS.sibling)
+            .then( () => exportMyData({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.locationHistory).to.be.empty;
+                expect(result.families[0].sharedLocation).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects an unauthenticated caller', () => {
+        return helper.expectHttpsError(exportMyData({}, {}), 'unauthenticated');
+    });
+});
+
+
+describe('deleteUserData', () => {
+    const deleteUserData = helper.wrap('deleteUserData');
+
+    it('deletes the user data and removes the user from the family', () => {
+        const firestore = helper.admin.firestore();
+        return Promise.all([
+            storeLocation(USERS.child),
+            firestore.doc('invites/invite').set({familyUid: FAMILY_UID, inviterUid: USERS.child.uid, status: 'pending'}),
+            firestore.doc('sosAlerts/alert').set({familyUid: FAMILY_UID, senderUid: USERS.child.uid, location: 'school'}),
+            firestore.doc('locationRequests/request').set({
+                familyUid: FAMILY_UID,
+                requesterUid: USERS.owner.uid,
+                memberUids: [USERS.child.uid, USERS.sibling.uid],
+                responses: {[USERS.child.uid]: 'now'},
+            }),
+        ])
+            .then( () => deleteUserData(USERS.child) )
+            .then( () => {
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.owner), 'memberLeft')).to.have.lengthOf(1);
+                return Promise.all([
+                    helper.readDocument(`users/${USERS.child.uid}`),
+                    firestore.collection(`users/${USERS.child.uid}/devices`).get(),
+                    firestore.collection(`users/${USERS.child.uid}/locations`).get(),
+                    helper.readDocument(`families/${FAMILY_UID}/locations/${USERS.child.uid}`),
+                    helper.readDocument(`families/${FAMILY_UID}`),
+                    helper.readDocument('invites/invite'),
+                    helper.readDocument('sosAlerts/alert'),
+                    helper.readDocument('locationRequests/request'),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0]).to.equal(null);
+                expect(results[1].empty).to.equal(true);
+                expect(results[2].empty).to.equal(true);
+                expect(results[3]).to.equal(null);
+                expect(results[4].members).not.to.include(USERS.child.uid);
+                expect(results[4].roles).not.to.have.property(USERS.child.uid);
+                expect(results[5]).to.equal(null);
+                expect(results[6]).to.equal(null);
+                expect(results[7].memberUids).to.deep.equal([USERS.sibling.uid]);
+                expect(results[7].responses).to.deep.equal({});
+            })
+        ;
+    });
+
+    it('anonymizes the user activity entries in the family and in families the user left', () => {
+        const firestore = helper.admin.firestore();
+        const activityOf = (familyUid) => firestore.collection(`families/${familyUid}/activity`);
+        return helper.fixtures.createFamily(helper.fixtures.OTHER_FAMILY_UID, [{user: USERS.stranger, role: 'owner'}])
+            .then( () => Promise.all([
+                activityOf(FAMILY_UID).doc('added').set({
+                    type: 'memberAdded', actorUid: USERS.owner.uid, subjectUids: [USERS.child.uid], audience: [USERS.owner.uid, USERS.child.uid], details: {role: 'member'},
+                }),
+                activityOf(FAMILY_UID).doc('sharing').set({
+                    type: 'sharingUpdated', actorUid: USERS.child.uid, subjectUids: [], audience: [USERS.child.uid], details: {mode: 'paused'},
+                }),
+                activityOf(FAMILY_UID).doc('invited').set({
+                    type: 'inviteSent', actorUid: USERS.owner.uid, subjectUids: [], audience: [USERS.owner.uid], details: {inviteeEmail: USERS.child.email},
+                }),
+                activityOf(helper.fixtures.OTHER_FAMILY_UID).doc('left').set({
+                    type: 'memberLeft', actorUid: USERS.child.uid, subjectUids: [], audience: ['*'], details: {},
+                }),
+            ]) )
+            .then( () => deleteUserData(USERS.child) )
+            .then( () => Promise.all([
+                helper.readDocument(`families/${FAMILY_UID}/activity/added`),
+                helper.readDocument(`families/${FAMILY_UID}/activity/sharing`),
+                helper.readDocument(`families/${FAMILY_UID}/activity/invited`),
+                helper.readDocument(`families/${helper.fixtures.OTHER_FAMILY_UID}/activity/left`),
+            ]) )
+            .then( (results) => {
+                expect(results[0].subjectUids).to.be.empty;
+                expect(results[0].audience).to.deep.equal([USERS.owner.uid]);
+                expect(results[1].actorUid).to.equal(null);
+                expect(results[1].audience).to.be.empty;
+                expect(results[2].details.inviteeEmail).to.equal(null);
+                expect(results[2].actorUid).to.equal(USERS.owner.uid);
+                expect(results[3].actorUid).to.equal(null);
+                expect(results[3].audience).to.deep.equal(['*']);
+            })
+        ;
+    });
+
+    it('hands a family of a deleted owner over to a guardian', () => {
+        return deleteUserData(USERS.owner)
+            .then( () => helper.readDocument(`families/${FAMILY_UID}`) )
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.guardian.uid);
+                expect(family.roles[USERS.guardian.uid]).to.equal('owner');
+                expect(family.members).not.to.include(USERS.owner.uid);
+                const messages = helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'ownershipTransferred');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.ownerEmail).to.equal(USERS.guardian.email);
+            })
+        ;
+    });
+
+    it('deletes a family of a deleted owner with no guardian', () => {
+        return helper.fixtures.createFamily(helper.fixtures.OTHER_FAMILY_UID, [
+            {user: USERS.stranger, role: 'owner'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => deleteUserData(USERS.stranger) )
+            .then( () => {
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'familyDeleted')).to.have.lengthOf(1);
+                return Promise.all([
+                    helper.readDocument(`families/${helper.fixtures.OTHER_FAMILY_UID}`),
+                    helper.readDocument(`families/${FAMILY_UID}`),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0]).to.equal(null);
+                expect(results[1].members).to.include(USERS.child.uid);
+            })
+        ;
+    });
+
+    it('hands a family of a deleted owner over to the next guardian when a guardian has no account', () => {
+        const ghost = {uid: 'ghost-uid', email: 'ghost@example.com'};                                                   // no Auth account
+        return helper.fixtures.createFamily(FAMILY_UID, [
+            {user: USERS.owner, role: 'owner'},
+            {user: ghost, role: 'guardian'},
+            {user: USERS.guardian, role: 'guardian'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => deleteUserData(USERS.owner) )
+            .then( () => helper.readDocument(`families/${FAMILY_UID}`) )
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.guardian.uid);
+                expect(family.roles[USERS.guardian.uid]).to.equal('owner');
+                expect(family.roles[ghost.uid]).to.equal('guardian');
+            })
+        ;
+    });
+
+    it('deletes a family of a deleted owner whose guardians have no account', () => {
+        return helper.fixtures.createFamily(FAMILY_UID, [
+            {user: USERS.owner, role: 'owner'},
+            {user: {uid: 'ghost-uid', email: 'ghost@example.com'}, role: 'guardian'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => deleteUserData(USERS.owner) )
+            .then( () => {
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'familyDeleted')).to.have.lengthOf(1);
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family).to.equal(null);
+            })
+        ;
+    });
+
+    it('deletes the invites to the user email not claimed yet', () => {
+        const firestore = helper.admin.firestore();
+        const storeInvite = (inviteUid, inviteeEmail) => firestore.doc(`invites/${inviteUid}`).set({
+            familyUid: FAMILY_UID, inviterUid: USERS.owner.uid, inviteeUid: null, inviteeEmail: inviteeEmail, status: 'pending',
+        });
+        return Promise.all([storeInvite('unclaimed', USERS.stranger.email), storeInvite('other', 'other@example.com')])
+            .then( () => deleteUserData(USERS.stranger) )
+            .then( () => Promise.all([helper.readDocument('invites/unclaimed'), helper.readDocument('invites/other')]) )
+            .then( (results) => {
+                expect(results[0]).to.equal(null);
+                expect(results[1]).not.to.equal(null);
+            })
+        ;
+    });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+const deviceTokenOf = helper.fixtures.deviceTokenOf;
+
+const LOCATION = JSON.stringify({latitude: 55.7558, longitude: 37.6173});
+const MINUTE_MILLIS = 60 * 1000;
+
+
+/**
+ * Get a UTC time of a given moment as 'HH:MM', the fixture family time zone being UTC
+ */
+function toTime(millis) {
+    return new Date(millis).toISOString().substr(11, 5);
+}
+
+
+/**
+ * Set the moment a check-in of the fixture family is due to run at next
+ */
+function setNextRunAt(checkInUid, millis) {
+    return helper.admin.firestore().doc(`families/${FAMILY_UID}/checkIns/${checkInUid}`).update({
+        nextRunAt: helper.admin.firestore.Timestamp.fromMillis(millis),
+    });
+}
+
+
+describe('createCheckIn, listCheckIns and deleteCheckIn', () => {
+    const createCheckIn = helper.wrap('createCheckIn');
+    const listCheckIns = helper.wrap('listCheckIns');
+    const deleteCheckIn = helper.wrap('deleteCheckIn');
+
+    it('creates, lists and deletes a check-in', () => {
+        let checkInUid;
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: ['15:30', '08:15'], days: [5, 1, 2, 3, 4]}, contextOf(USERS.guardian))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                expect(result.times).to.deep.equal(['08:15', '15:30']);
+                expect(result.days).to.deep.equal([1, 2, 3, 4, 5]);
+                checkInUid = result.checkInUid;
+                return listCheckIns({}, contextOf(USERS.child));
+            })
+            .then( (result) => {
+                expect(result.checkIns).to.have.lengthOf(1);
+                expect(result.checkIns[0].checkInUid).to.equal(checkInUid);
+                expect(result.checkIns[0].familyMemberEmail).to.equal(USERS.child.email);
+                return deleteCheckIn({checkInUid: checkInUid}, contextOf(USERS.owner));
+            })
+            .then( (result) => {
+                expect(result.returnCode).to.equal('deleted');
+                return helper.readDocument(`families/${FAMILY_UID}/checkIns/${checkInUid}`);
+            })
+            .then( (checkIn) => {
+                expect(checkIn).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects a member managing check-ins', () => {
+        const promise = createCheckIn({familyMemberEmail: USERS.child.email, times: ['08:15']}, contextOf(USERS.sibling));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('rejects a check-in for a non-member', () => {
+        const promise = createCheckIn({familyMemberEmail: USERS.stranger.email, times: ['08:15']}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'not-found', 'no_user');
+    });
+
+    it('rejects bad times and days', () => {
+        return Promise.all([
+            helper.expectHttpsError(createCheckIn({familyMemberEmail: USERS.child.email, times: ['8:15']}, contextOf(USERS.owner)), 'invalid-argument'),
+            helper.expectHttpsError(createCheckIn({familyMemberEmail: USERS.child.email, times: []}, contextOf(USERS.owner)), 'invalid-argument'),
+            helper.expectHttpsError(createCheckIn({familyMemberEmail: USERS.child.email, times: ['08:15'], days: [7]}, contextOf(USERS.owner)), 'invalid-argument'),
+        ]);
+    });
+
+    it('rejects deleting an unknown check-in', () => {
+        return helper.expectHttpsError(deleteCheckIn({checkInUid: 'unknown'}, contextOf(USERS.owner)), 'not-found', 'no_check_in');
+    });
+
+    it('does not tell a minor whether a check-in exists', () => {
+        return helper.expectHttpsError(deleteCheckIn({checkInUid: 'unknown'}, contextOf(USERS.child)), 'permission-denied', 'not_permitted');
+    });
+});
+
+
+describe('runCheckIns and summarizeCheckIns', () => {
+    const createCheckIn = helper.wrap('createCheckIn');
+    const runCheckIns = helper.wrap('runCheckIns');
+    const summarizeCheckIns = helper.wrap('summarizeCheckIns');
+    const sendLocation = helper.wrap('sendLocation');
+
+    it('asks the member for a location once at a check-in time', () => {
+        const now = Date.now();
+        const times = [toTime(now), toTime(now + MINUTE_MILLIS)];                                                       // not to miss at a minute boundary
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: times}, contextOf(USERS.owner))
+            .then( () => runCheckIns({}) )
+            .then( () => runCheckIns({}) )
+            .then( () => {
+                const messages = helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data).not.to.have.property('senderEmail');
+            })
+        ;
+    });
+
+    it('catches up on a check-in time passed since the previous run, once', () => {
+        const now = Date.now();
+        const runStateRef = helper.admin.firestore().doc('jobs/runCheckIns');
+        const setLastRunAt = () => runStateRef.set({lastRunAt: helper.admin.firestore.Timestamp.fromMillis(now - 10 * MINUTE_MILLIS)});
+        return setLastRunAt()
+            .then( () => createCheckIn({familyMemberEmail: USERS.child.email, times: [toTime(now - 5 * MINUTE_MILLIS)]}, contextOf(USERS.owner)) )
+            .then( (result) => setNextRunAt(result.checkInUid, now - 5 * MINUTE_MILLIS) )                               // as if created before the time
+            .then( () => runCheckIns({}) )
+            .then( () => setLastRunAt() )                                                                               // as if the run did not store its time
+            .then( () => runCheckIns({}) )
+            .then( () => {
+                const messages = helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest');
+                expect(messages).to.have.lengthOf(1);
+                return helper.readDocument('jobs/runCheckIns');
+            })
+            .then( (runState) => {
+                expect(runState.lastRunAt.toMillis()).to.be.at.least(now);
+            })
+        ;
+    });
+
+    it('does not ask on other week days', () => {
+        const now = Date.now();
+        const otherDays = [0, 1, 2, 3, 4, 5, 6].filter( (day) => day !== new Date(now).getUTCDay() && day !== new Date(now + MINUTE_MILLIS).getUTCDay() );
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: [toTime(now), toTime(now + MINUTE_MILLIS)], days: otherDays}, contextOf(USERS.owner))
+            .then( () => runCheckIns({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('sends the adults a summary of who checked in and who missed', () => {
+        return helper.admin.firestore().doc('locationRequests/checkIn').set({
+            familyUid: FAMILY_UID,
+            requesterUid: null,
+            requesterEmail: null,
+            memberUids: [USERS.child.uid, USERS.sibling.uid],
+            responses: {},
+            status: 'open',
+            expiresAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() + MINUTE_MILLIS),
+            checkInTime: '08:15',
+            pausedUids: [],
+            checkInSummaryAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() - 1),
+        })
+            .then( () => sendLocation({location: LOCATION, requestUid: 'checkIn'}, contextOf(USERS.child)) )
+            .then( () => Promise.all([summarizeCheckIns({}), summarizeCheckIns({})]) )
+            .then( () => {
+                for (let user of [USERS.owner, USERS.guardian]) {
+                    const messages = helper.messagesTo(deviceTokenOf(user), 'checkInSummary');
+                    expect(messages).to.have.lengthOf(1);
+                    expect(messages[0].data.checkInTime).to.equal('08:15');
+                    expect(JSON.parse(messages[0].data.checkedInEmails)).to.deep.equal([USERS.child.email]);
+                    expect(JSON.parse(messages[0].data.missedEmails)).to.deep.equal([USERS.sibling.email]);
+                }
+                expect(helper.messagesTo(deviceTokenOf(USERS.sibling), 'checkInSummary')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('stores the next time of a check-in, and runs it only once it has come', () => {
+        const now = Date.now();
+        const time = toTime(now + 2 * 60 * MINUTE_MILLIS);
+        let checkInUid;
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: [time]}, contextOf(USERS.owner))
+            .then( (result) => {
+                checkInUid = result.checkInUid;
+                expect(toTime(result.nextRunAt)).to.equal(time);
+                expect(result.nextRunAt).to.be.above(now);
+                return runCheckIns({});
+            })
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest')).to.have.lengthOf(0);
+                return helper.readDocument(`families/${FAMILY_UID}/checkIns/${checkInUid}`);
+            })
+            .then( (checkIn) => {
+                expect(toTime(checkIn.nextRunAt.toMillis())).to.equal(time);
+                expect(checkIn.lastRunAt).to.equal(null);
+            })
+        ;
+    });
+
+    it('moves the next time of a check-in run to the day after', () => {
+        const now = Date.now();
+        let checkInUid;
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: [toTime(now)]}, contextOf(USERS.owner))
+            .then( (result) => checkInUid = result.checkInUid )
+            .then( () => runCheckIns({}) )
+            .then( () => helper.readDocument(`families/${FAMILY_UID}/checkIns/${checkInUid}`) )
+            .then( (checkIn) => {
+                expect(checkIn.nextRunAt.toMillis() - (now - now % MINUTE_MILLIS)).to.equal(24 * 60 * MINUTE_MILLIS);
+            })
+        ;
+    });
+
+    it('keeps the time of the previous run when a family fails', () => {
+        const now = Date.now();
+        const lastRunAt = helper.admin.firestore.Timestamp.fromMillis(now - 10 * MINUTE_MILLIS);
+        return helper.admin.firestore().doc('jobs/runCheckIns').set({lastRunAt: lastRunAt})
+            .then( () => createCheckIn({familyMemberEmail: USERS.child.email, times: [toTime(now)]}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                return helper.admin.firestore().doc(`families/${FAMILY_UID}/checkIns/${result.checkInUid}`).update({
+                    times: 'not times',                                                                                 // breaks the run of the family
+                });
+            })
+            .then( () => runCheckIns({}) )
+            .then( () => helper.readDocument('jobs/runCheckIns') )
+            .then( (runState) => {
+                expect(runState.lastRunAt.toMillis()).to.equal(lastRunAt.toMillis());
+            })
+        ;
+    });
+
+    it('makes the check-ins due on a time zone change, to find their next times in the new time zone', () => {
+        const updateFamilySettings = helper.wrap('updateFamilySettings');
+        const now = Date.now();
+        let checkInUid;
+        return createCheckIn({familyMemberEmail: USERS.child.email, times: ['12:00']}, contextOf(USERS.owner))
+            .then( (result) => checkInUid = result.checkInUid )
+            .then( () => updateFamilySettings({timeZone: 'Asia/Tokyo'}, contextOf(USERS.owner)) )
+            .then( () => helper.readDocument(`families/${FAMILY_UID}/checkIns/${checkInUid}`) )
+            .then( (checkIn) => {
+                expect(checkIn.nextRunAt.toMillis()).to.be.at.most(Date.now());
+                return runCheckIns({});
+            })
+            .then( () => helper.readDocument(`families/${FAMILY_UID}/checkIns/${checkInUid}`) )
+            .then( (checkIn) => {
+                expect(checkIn.nextRunAt.toMillis()).to.be.above(now);
+                expect(toTime(checkIn.nextRunAt.toMillis())).to.equal('03:00');                                         // noon in Tokyo
+            })
+        ;
+    });
+});
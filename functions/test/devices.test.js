@@ -0,0 +1,169 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const contextOf = helper.fixtures.contextOf;
+
+const LOCATION = JSON.stringify({latitude: 55.7558, longitude: 37.6173});
+
+
+describe('updateDeviceToken', () => {
+    const updateDeviceToken = helper.wrap('updateDeviceToken');
+
+    it('registers a device by its installation id', () => {
+        const data = {deviceToken: 'tablet-token', installationId: 'tablet', platform: 'ios', appVersion: '2.0.0'};
+        return updateDeviceToken(data, contextOf(USERS.child))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                return helper.readDocument(`users/${USERS.child.uid}/devices/tablet`);
+            })
+            .then( (device) => {
+                expect(device.token).to.equal('tablet-token');
+                expect(device.platform).to.equal('ios');
+                expect(device.appVersion).to.equal('2.0.0');
+                expect(device.lastSeen).to.be.an('object');
+            })
+        ;
+    });
+
+    it('updates the token of a registered device', () => {
+        return updateDeviceToken({deviceToken: 'new-token', installationId: 'phone'}, contextOf(USERS.child))
+            .then( () => helper.admin.firestore().collection(`users/${USERS.child.uid}/devices`).get() )
+            .then( (querySnapshot) => {
+                expect(querySnapshot.size).to.equal(1);
+                expect(querySnapshot.docs[0].data().token).to.equal('new-token');
+            })
+        ;
+    });
+
+    it('stores the legacy token of an app not aware of installations', () => {
+        return updateDeviceToken({deviceToken: 'legacy-token'}, contextOf(USERS.stranger))
+            .then( () => helper.readDocument(`users/${USERS.stranger.uid}`) )
+            .then( (user) => {
+                expect(user.deviceToken).to.equal('legacy-token');
+            })
+        ;
+    });
+
+    it('sends messages to every registered device', () => {
+        const sendLocation = helper.wrap('sendLocation');
+        return updateDeviceToken({deviceToken: 'tablet-token', installationId: 'tablet'}, contextOf(USERS.owner))
+            .then( () => sendLocation({location: '{"latitude": 0, "longitude": 0}'}, contextOf(USERS.child)) )
+            .then( (result) => {
+                const owner = result.members.find( (member) => member.uid === USERS.owner.uid );
+                expect(owner.status).to.equal('sent');
+                expect(helper.messagesTo('tablet-token', 'location')).to.have.lengthOf(1);
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.owner), 'location')).to.have.lengthOf(1);
+            })
+        ;
+    });
+
+    it('drops a malformed token, and keeps a token rejected for a bad payload', () => {
+        const sendLocation = helper.wrap('sendLocation');
+        // the helper stub, restored after the test
+        helper.admin.messaging.Messaging.prototype.send.callsFake( (message) => {
+            const error = new Error(message.token === 'malformed-token'
+                ? 'The registration token is not a valid FCM registration token'
+                : 'Invalid value at \'message.data[0].value\''
+            );
+            error.code = 'messaging/invalid-argument';
+            return Promise.reject(error);
+        });
+        return Promise.all([
+            helper.fixtures.registerDevice(USERS.owner, 'phone', 'malformed-token'),
+            helper.fixtures.registerDevice(USERS.guardian, 'phone'),
+        ])
+            .then( () => sendLocation({location: 'school'}, contextOf(USERS.child)) )
+            .then( () => {
+                return Promise.all([
+                    helper.readDocument(`users/${USERS.owner.uid}/devices/phone`),
+                    helper.readDocument(`users/${USERS.guardian.uid}/devices/phone`),
+                ]);
+            })
+            .then( (devices) => {
+                expect(devices[0]).to.equal(null);
+                expect(devices[1].token).to.equal(helper.fixtures.deviceTokenOf(USERS.guardian));
+            })
+        ;
+    });
+
+    it('requires the token', () => {
+        return helper.expectHttpsError(updateDeviceToken({installationId: 'phone'}, contextOf(USERS.child)), 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects a language which is not a language tag', () => {
+        const data = {deviceToken: 'token', installationId: 'phone', language: 'english please'};
+        return helper.expectHttpsError(updateDeviceToken(data, contextOf(USERS.child)), 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects an unauthenticated caller', () => {
+        return helper.expectHttpsError(updateDeviceToken({deviceToken: 'token'}, {}), 'unauthenticated');
+    });
+});
+
+
+describe('notifications', () => {
+    const updateDeviceToken = helper.wrap('updateDeviceToken');
+    const sendInvite = helper.wrap('sendInvite');
+    const requestLocations = helper.wrap('requestLocations');
+    const sendSos = helper.wrap('sendSos');
+
+    it('adds an apns alert in the device language to a message for iOS, keeping the data', () => {
+        const data = {deviceToken: 'iphone-token', installationId: 'phone', platform: 'ios', language: 'ru-RU'};
+        return updateDeviceToken(data, contextOf(USERS.stranger))
+            .then( () => sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner)) )
+            .then( () => {
+                const messages = helper.messagesTo('iphone-token', 'invite');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.invitingEmail).to.equal(USERS.owner.email);
+                expect(messages[0].data.inviteToken).to.be.a('string');
+                expect(messages[0].apns.payload.aps.alert).to.deep.equal({
+                    title: 'Приглашение в семью',
+                    body: `${USERS.owner.email} приглашает вас в семью`,
+                });
+                expect(messages[0]).not.to.have.property('notification');
+            })
+        ;
+    });
+
+    it('adds an android notification in the default language, keeping the priority', () => {
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( () => {
+                const messages = helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.owner), 'sos');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].android.priority).to.equal('high');
+                expect(messages[0].android.notification).to.include({
+                    title: 'SOS',
+                    body: `${USERS.child.email} needs help`,
+                });
+            })
+        ;
+    });
+
+    it('keeps a location request a data message, as the app handles it in the background', () => {
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( () => {
+                const messages = helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'locationRequest');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].android.priority).to.equal('high');
+                expect(messages[0].android).not.to.have.property('notification');
+                expect(messages[0]).not.to.have.property('notification');
+            })
+        ;
+    });
+
+    it('adds no notification for a device of an unknown platform', () => {
+        return updateDeviceToken({deviceToken: 'legacy-token'}, contextOf(USERS.stranger))
+            .then( () => sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner)) )
+            .then( () => {
+                const messages = helper.messagesTo('legacy-token', 'invite');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0]).not.to.have.property('notification');
+                expect(messages[0]).not.to.have.property('android');
+                expect(messages[0]).not.to.have.property('apns');
+            })
+        ;
+    });
+});
@@ -0,0 +1,458 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+
+
+describe('createFamily', () => {
+    const createFamily = helper.wrap('createFamily');
+
+    it('creates a family owned by the caller', () => {
+        return createFamily({}, contextOf(USERS.stranger))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                return helper.readDocument(`families/${result.familyUid}`);
+            })
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.stranger.uid);
+                expect(family.members).to.deep.equal([USERS.stranger.uid]);
+                expect(family.roles[USERS.stranger.uid]).to.equal('owner');
+                expect(family.settings.timeZone).to.equal('UTC');
+            })
+        ;
+    });
+
+    it('returns the existing family of its creator', () => {
+        return createFamily({}, contextOf(USERS.owner))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('exist');
+                expect(result.familyUid).to.equal(FAMILY_UID);
+            })
+        ;
+    });
+
+    it('rejects an unauthenticated caller', () => {
+        return helper.expectHttpsError(createFamily({}, {}), 'unauthenticated');
+    });
+});
+
+
+describe('createFamilyMember', () => {
+    const createFamilyMember = helper.wrap('createFamilyMember');
+
+    it('lets a guardian add a member', () => {
+        return createFamilyMember({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.guardian))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.members).to.include(USERS.stranger.uid);
+                expect(family.roles[USERS.stranger.uid]).to.equal('member');
+            })
+        ;
+    });
+
+    it('lets the owner add a guardian', () => {
+        return createFamilyMember({familyMemberEmail: USERS.stranger.email, role: 'guardian'}, contextOf(USERS.owner))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.roles[USERS.stranger.uid]).to.equal('guardian');
+            })
+        ;
+    });
+
+    it('does not let a guardian add a guardian', () => {
+        const promise = createFamilyMember({familyMemberEmail: USERS.stranger.email, role: 'guardian'}, contextOf(USERS.guardian));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('does not let a minor add anybody', () => {
+        const promise = createFamilyMember({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('does not tell a minor who is a member or a user already', () => {
+        return Promise.all([
+            helper.expectHttpsError(createFamilyMember({familyMemberEmail: USERS.sibling.email}, contextOf(USERS.child)), 'permission-denied', 'not_permitted'),
+            helper.expectHttpsError(createFamilyMember({familyMemberEmail: 'nobody@example.com'}, contextOf(USERS.child)), 'permission-denied', 'not_permitted'),
+        ]);
+    });
+
+    it('reports an existing member', () => {
+        const promise = createFamilyMember({familyMemberEmail: USERS.child.email}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'already-exists', 'exist');
+    });
+
+    it('reports an unknown user', () => {
+        const promise = createFamilyMember({familyMemberEmail: 'nobody@example.com'}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'not-found', 'no_user');
+    });
+
+    it('rejects a malformed email', () => {
+        return helper.expectHttpsError(createFamilyMember({familyMemberEmail: 'nobody'}, contextOf(USERS.owner)), 'invalid-argument')
+            .then( (error) => {
+                expect(error.details.attribute).to.equal('familyMemberEmail');
+            })
+        ;
+    });
+
+    it('reports a caller with no family', () => {
+        const promise = createFamilyMember({familyMemberEmail: USERS.child.email}, contextOf(USERS.stranger));
+        return helper.expectHttpsError(promise, 'not-found', 'no_family');
+    });
+});
+
+
+describe('deleteFamilyMember', () => {
+    const deleteFamilyMember = helper.wrap('deleteFamilyMember');
+
+    it('lets a guardian remove a member with the role', () => {
+        return deleteFamilyMember({familyMemberEmail: USERS.child.email}, contextOf(USERS.guardian))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('deleted');
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.members).not.to.include(USERS.child.uid);
+                expect(family.roles).not.to.have.property(USERS.child.uid);
+            })
+        ;
+    });
+
+    it('does not let a guardian remove the owner', () => {
+        const promise = deleteFamilyMember({familyMemberEmail: USERS.owner.email}, contextOf(USERS.guardian));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('reports a user who is not a member', () => {
+        const promise = deleteFamilyMember({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'not-found', 'no_user');
+    });
+
+    it('requires the member email', () => {
+        return helper.expectHttpsError(deleteFamilyMember({}, contextOf(USERS.owner)), 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('getFamily', () => {
+    const getFamily = helper.wrap('getFamily');
+    const updateMemberProfile = helper.wrap('updateMemberProfile');
+    const sendLocation = helper.wrap('sendLocation');
+    const LOCATION = JSON.stringify({latitude: 55.7558, longitude: 37.6173});
+
+    it('returns the roster with the member accounts, profiles and devices', () => {
+        return Promise.all([
+            helper.admin.auth().updateUser(USERS.child.uid, {displayName: 'Child', photoURL: 'https://example.com/child.png'}),
+            updateMemberProfile({nickname: ' Kiddo ', avatarUrl: 'https://example.com/kiddo.png'}, contextOf(USERS.child)),
+            helper.admin.firestore().doc(`users/${USERS.sibling.uid}/devices/phone`).delete(),
+        ])
+            .then( () => getFamily({}, contextOf(USERS.guardian)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.familyUid).to.equal(FAMILY_UID);
+                expect(result.ownerUid).to.equal(USERS.owner.uid);
+                expect(result.ownerEmail).to.equal(USERS.owner.email);
+                expect(result.role).to.equal('guardian');
+                expect(result.members.map( (member) => member.email )).to.have.members([USERS.owner.email, USERS.guardian.email, USERS.child.email, USERS.sibling.email]);
+                const child = result.members.find( (member) => member.uid === USERS.child.uid );
+                expect(child).to.include({
+                    displayName: 'Child',
+                    photoUrl: 'https://example.com/child.png',
+                    nickname: 'Kiddo',
+                    avatarUrl: 'https://example.com/kiddo.png',
+                    role: 'member',
+                    hasDevice: true,
+                });
+                expect(result.members.find( (member) => member.uid === USERS.sibling.uid ).hasDevice).to.equal(false);
+            })
+        ;
+    });
+
+    it('returns locations of the members the caller is allowed to locate only', () => {
+        return Promise.all([
+            sendLocation({location: LOCATION}, contextOf(USERS.owner)),
+            sendLocation({location: LOCATION}, contextOf(USERS.sibling)),
+        ])
+            .then( () => getFamily({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                const owner = result.members.find( (member) => member.uid === USERS.owner.uid );
+                expect(owner.location).to.equal(null);
+                expect(owner.lastSeen).to.equal(null);
+                const sibling = result.members.find( (member) => member.uid === USERS.sibling.uid );
+                expect(sibling.location).to.equal(LOCATION);
+                expect(sibling.lastSeen).to.be.a('number');
+            })
+        ;
+    });
+
+    it('rejects a stranger', () => {
+        return helper.expectHttpsError(getFamily({familyId: FAMILY_UID}, contextOf(USERS.stranger)), 'not-found', 'no_family');
+    });
+});
+
+
+describe('updateMemberProfile', () => {
+    const updateMemberProfile = helper.wrap('updateMemberProfile');
+
+    it('changes the attributes given only, and removes ones given empty', () => {
+        return updateMemberProfile({nickname: 'Kiddo', avatarUrl: 'https://example.com/kiddo.png'}, contextOf(USERS.child))
+            .then( () => updateMemberProfile({avatarUrl: ''}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('updated');
+                expect(result.nickname).to.equal('Kiddo');
+                expect(result.avatarUrl).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects an avatar URL which is not HTTPS', () => {
+        const promise = updateMemberProfile({avatarUrl: 'javascript:alert(1)'}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects a nickname too long', () => {
+        const promise = updateMemberProfile({nickname: 'x'.repeat(41)}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('checkFamilyMembership', () => {
+    const checkFamilyMembership = helper.wrap('checkFamilyMembership');
+
+    it('returns the single family with its owner and the caller role', () => {
+        return checkFamilyMembership({}, contextOf(USERS.child))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('exist');
+                expect(result.creatorEmail).to.equal(USERS.owner.email);
+                expect(result.role).to.equal('member');
+                expect(result.families).to.deep.equal([{
+                    familyUid: FAMILY_UID,
+                    creatorEmail: USERS.owner.email,
+                    role: 'member',
+                }]);
+            })
+        ;
+    });
+
+    it('returns every family of a member of many families', () => {
+        return helper.fixtures.createFamily(helper.fixtures.OTHER_FAMILY_UID, [
+            {user: USERS.stranger, role: 'owner'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => checkFamilyMembership({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.families.map( (family) => family.familyUid )).to.have.members([FAMILY_UID, helper.fixtures.OTHER_FAMILY_UID]);
+                expect(result).not.to.have.property('creatorEmail');
+            })
+        ;
+    });
+
+    it('reports a caller with no family', () => {
+        return helper.expectHttpsError(checkFamilyMembership({}, contextOf(USERS.stranger)), 'not-found', 'no_family');
+    });
+
+    it('does not disclose a family to a stranger', () => {
+        const promise = checkFamilyMembership({familyId: FAMILY_UID}, contextOf(USERS.stranger));
+        return helper.expectHttpsError(promise, 'not-found', 'no_family');
+    });
+});
+
+
+describe('deleteFamily', () => {
+    const deleteFamily = helper.wrap('deleteFamily');
+
+    it('deletes the family with its data, revokes invites and notifies the members', () => {
+        const firestore = helper.admin.firestore();
+        return Promise.all([
+            firestore.collection(`families/${FAMILY_UID}/geofences`).add({name: 'School', latitude: 0, longitude: 0, radius: 100}),
+            firestore.doc(`families/${FAMILY_UID}/locations/${USERS.child.uid}`).set({location: 'home'}),
+            firestore.doc('invites/invite').set({familyUid: FAMILY_UID, inviterUid: USERS.owner.uid, status: 'pending'}),
+            firestore.doc('locationRequests/request').set({familyUid: FAMILY_UID, requesterUid: USERS.owner.uid}),
+        ])
+            .then( () => deleteFamily({}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('deleted');
+                expect(result.members.map( (member) => member.uid )).to.have.members([USERS.guardian.uid, USERS.child.uid, USERS.sibling.uid]);
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'familyDeleted')).to.have.lengthOf(1);
+                return Promise.all([
+                    helper.readDocument(`families/${FAMILY_UID}`),
+                    firestore.collection(`families/${FAMILY_UID}/geofences`).get(),
+                    firestore.collection(`families/${FAMILY_UID}/locations`).get(),
+                    helper.readDocument('invites/invite'),
+                    helper.readDocument('locationRequests/request'),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0]).to.equal(null);
+                expect(results[1].empty).to.equal(true);
+                expect(results[2].empty).to.equal(true);
+                expect(results[3].status).to.equal('revoked');
+                expect(results[4]).to.equal(null);
+            })
+        ;
+    });
+
+    it('does not let a guardian delete the family', () => {
+        return helper.expectHttpsError(deleteFamily({}, contextOf(USERS.guardian)), 'permission-denied', 'not_permitted');
+    });
+});
+
+
+describe('leaveFamily', () => {
+    const leaveFamily = helper.wrap('leaveFamily');
+
+    it('removes the caller from the family and notifies the remaining members', () => {
+        return leaveFamily({}, contextOf(USERS.child))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.members.map( (member) => member.uid )).not.to.include(USERS.child.uid);
+                expect(helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.owner), 'memberLeft')).to.have.lengthOf(1);
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.members).not.to.include(USERS.child.uid);
+                expect(family.roles).not.to.have.property(USERS.child.uid);
+            })
+        ;
+    });
+
+    it('does not let the owner leave', () => {
+        return helper.expectHttpsError(leaveFamily({}, contextOf(USERS.owner)), 'failed-precondition', 'owner_cannot_leave');
+    });
+});
+
+
+describe('transferFamilyOwnership', () => {
+    const transferFamilyOwnership = helper.wrap('transferFamilyOwnership');
+
+    it('makes another member the owner and the former owner a guardian', () => {
+        return transferFamilyOwnership({familyMemberEmail: USERS.guardian.email}, contextOf(USERS.owner))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('updated');
+                const messages = helper.messagesTo(helper.fixtures.deviceTokenOf(USERS.child), 'ownershipTransferred');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.ownerEmail).to.equal(USERS.guardian.email);
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.guardian.uid);
+                expect(family.roles[USERS.guardian.uid]).to.equal('owner');
+                expect(family.roles[USERS.owner.uid]).to.equal('guardian');
+            })
+        ;
+    });
+
+    it('does not transfer the ownership to a stranger', () => {
+        const promise = transferFamilyOwnership({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'not-found', 'no_user');
+    });
+
+    it('does not transfer the ownership to a minor', () => {
+        const promise = transferFamilyOwnership({familyMemberEmail: USERS.child.email}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('does not let a guardian transfer the ownership', () => {
+        const promise = transferFamilyOwnership({familyMemberEmail: USERS.guardian.email}, contextOf(USERS.guardian));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+});
+
+
+describe('getFamilyActivity', () => {
+    const getFamilyActivity = helper.wrap('getFamilyActivity');
+    const createFamilyMember = helper.wrap('createFamilyMember');
+    const deleteFamilyMember = helper.wrap('deleteFamilyMember');
+    const requestLocations = helper.wrap('requestLocations');
+
+    it('logs who added and removed whom, newest first', () => {
+        return createFamilyMember({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.guardian))
+            .then( () => deleteFamilyMember({familyMemberEmail: USERS.stranger.email}, contextOf(USERS.owner)) )
+            .then( () => getFamilyActivity({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.events.map( (event) => event.type )).to.deep.equal(['memberRemoved', 'memberAdded']);
+                expect(result.events[1].actorEmail).to.equal(USERS.guardian.email);
+                expect(result.events[1].subjectEmails).to.deep.equal([USERS.stranger.email]);
+                expect(result.events[1].details).to.deep.equal({role: 'member'});
+                expect(result.events[1].createdAt).to.be.a('number');
+                expect(result.nextPageToken).to.equal(null);
+            })
+        ;
+    });
+
+    it('shows a location request to the adults and the members located only', () => {
+        return requestLocations({}, contextOf(USERS.guardian))
+            .then( () => Promise.all([USERS.owner, USERS.child, USERS.sibling].map( (user) => getFamilyActivity({}, contextOf(user)) )) )
+            .then( (results) => {
+                for (let result of results) {
+                    expect(result.events.map( (event) => event.type )).to.deep.equal(['locationsRequested']);
+                }
+                return helper.fixtures.createFamily(helper.fixtures.OTHER_FAMILY_UID, [
+                    {user: USERS.stranger, role: 'owner'},
+                    {user: USERS.child, role: 'member'},
+                    {user: USERS.sibling, role: 'member'},
+                ]);
+            })
+            .then( () => requestLocations({familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.child)) )
+            .then( () => getFamilyActivity({familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.sibling)) )
+            .then( (result) => {
+                expect(result.events.map( (event) => event.type )).to.deep.equal(['locationsRequested']);
+            })
+        ;
+    });
+
+    it('hides from a member the events of others', () => {
+        return helper.fixtures.createFamily(helper.fixtures.OTHER_FAMILY_UID, [
+            {user: USERS.stranger, role: 'owner'},
+            {user: USERS.guardian, role: 'guardian'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => requestLocations({familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.guardian)) )
+            .then( () => createFamilyMember({familyMemberEmail: USERS.sibling.email, familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.stranger)) )
+            .then( () => Promise.all([
+                getFamilyActivity({familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.sibling)),
+                getFamilyActivity({familyId: helper.fixtures.OTHER_FAMILY_UID}, contextOf(USERS.stranger)),
+            ]))
+            .then( (results) => {
+                expect(results[0].events.map( (event) => event.type )).to.deep.equal(['memberAdded']);
+                expect(results[1].events.map( (event) => event.type )).to.deep.equal(['memberAdded', 'locationsRequested']);
+            })
+        ;
+    });
+
+    it('returns the log page by page', () => {
+        const setFamilyMemberRole = helper.wrap('setFamilyMemberRole');
+        return setFamilyMemberRole({familyMemberEmail: USERS.child.email, role: 'guardian'}, contextOf(USERS.owner))
+            .then( () => setFamilyMemberRole({familyMemberEmail: USERS.child.email, role: 'member'}, contextOf(USERS.owner)) )
+            .then( () => getFamilyActivity({pageSize: 1}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.events[0].details).to.deep.equal({role: 'member'});
+                expect(result.nextPageToken).to.equal(result.events[0].activityUid);
+                return getFamilyActivity({pageSize: 1, pageToken: result.nextPageToken}, contextOf(USERS.owner));
+            })
+            .then( (result) => {
+                expect(result.events[0].details).to.deep.equal({role: 'guardian'});
+            })
+        ;
+    });
+
+    it('rejects an unknown page token', () => {
+        const promise = getFamilyActivity({pageToken: 'no-such-event'}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects a stranger', () => {
+        return helper.expectHttpsError(getFamilyActivity({familyId: FAMILY_UID}, contextOf(USERS.stranger)), 'not-found', 'no_family');
+    });
+});
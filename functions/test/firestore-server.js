@@ -0,0 +1,730 @@
+'use strict';
+
+// An in-memory Firestore for the tests. It serves the Firestore v1 gRPC API the Admin SDK calls, on the emulator port,
+// so the tests run offline without the Firestore emulator, which needs Java and is downloaded by the first run.
+// It keeps no indexes and checks no security rules: a query is evaluated over all the documents, which is plenty
+// for the fixtures. Transactions are optimistic: a commit fails as aborted if a document read in the transaction
+// has changed since, and the SDK runs the transaction again
+
+const crypto = require('crypto');
+const grpc = require('@grpc/grpc-js');
+const protoLoader = require('@grpc/proto-loader');
+const protoFiles = require('google-proto-files');
+
+const TYPE_ORDERS = {                                                                                                   // the Firestore value ordering; numbers compare across types
+    nullValue: 0,
+    booleanValue: 1,
+    integerValue: 2,
+    doubleValue: 2,
+    timestampValue: 3,
+    stringValue: 4,
+    bytesValue: 5,
+    referenceValue: 6,
+    geoPointValue: 7,
+    arrayValue: 8,
+    mapValue: 9,
+};
+const INEQUALITY_OPERATORS = ['LESS_THAN', 'LESS_THAN_OR_EQUAL', 'GREATER_THAN', 'GREATER_THAN_OR_EQUAL', 'NOT_EQUAL', 'NOT_IN'];
+const DOCUMENT_ID_FIELD = '__name__';
+const NUMERIC_ID_PATTERN = /^__id(-?\d+)__$/;                                                                           // ids which sort before the string ones
+const CONNECTION_AGE_MS = 2000;                                                                                         // renews a connection before it sees a thousand resets
+
+const documents = new Map();                                                                                            // by a full name: {fields, createTime, updateTime}
+const transactions = new Map();                                                                                         // by an id in hex: {reads}, a map from a name to the version read
+let lastMicros = 0;
+
+
+/**
+ * Get a new time, later than any given before, in microseconds
+ */
+function nextMicros() {
+    lastMicros = Math.max(Date.now() * 1000, lastMicros + 1);
+    return lastMicros;
+}
+
+
+/**
+ * Convert microseconds to a protobuf timestamp
+ */
+function toTimestamp(micros) {
+    return {seconds: String(Math.floor(micros / 1e6)), nanos: (micros % 1e6) * 1000};
+}
+
+
+/**
+ * Convert a protobuf timestamp to microseconds
+ */
+function toMicros(timestamp) {
+    return Number(timestamp.seconds || 0) * 1e6 + Math.floor((timestamp.nanos || 0) / 1000);
+}
+
+
+/**
+ * Make a gRPC error of a status code
+ */
+function newRpcError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    error.details = message;
+    return error;
+}
+
+
+// --------------------------- Values
+
+/**
+ * Get the type of a protobuf value, e.g. stringValue
+ */
+function getValueType(value) {
+    return Object.keys(TYPE_ORDERS).find( (type) => value[type] !== undefined && value[type] !== null );
+}
+
+
+/**
+ * Get a number of an integer or a double value
+ */
+function toNumber(value) {
+    return value.integerValue !== undefined ? Number(value.integerValue) : Number(value.doubleValue);
+}
+
+
+/**
+ * Compare two segments of document names: numeric ids go first, in the number order, then the string ones
+ */
+function compareSegments(a, b) {
+    const numericA = NUMERIC_ID_PATTERN.exec(a);
+    const numericB = NUMERIC_ID_PATTERN.exec(b);
+    if (numericA && numericB) {
+        const difference = BigInt(numericA[1]) - BigInt(numericB[1]);
+        return difference > 0n ? 1 : (difference < 0n ? -1 : 0);
+    }
+    if (numericA || numericB) return numericA ? -1 : 1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+
+/**
+ * Compare two document names segment by segment
+ */
+function compareNames(a, b) {
+    const segmentsA = a.split('/');
+    const segmentsB = b.split('/');
+    for (let index = 0; index < Math.min(segmentsA.length, segmentsB.length); index++) {
+        const comparison = compareSegments(segmentsA[index], segmentsB[index]);
+        if (comparison !== 0) return comparison;
+    }
+    return segmentsA.length - segmentsB.length;
+}
+
+
+/**
+ * Compare two protobuf values in the Firestore order
+ */
+function compareValues(a, b) {
+    const typeA = getValueType(a);
+    const typeB = getValueType(b);
+    if (TYPE_ORDERS[typeA] !== TYPE_ORDERS[typeB]) return TYPE_ORDERS[typeA] - TYPE_ORDERS[typeB];
+    switch (typeA) {
+        case 'nullValue':
+            return 0;
+        case 'booleanValue':
+            return Number(a.booleanValue) - Number(b.booleanValue);
+        case 'integerValue':
+        case 'doubleValue': {
+            const numberA = toNumber(a);
+            const numberB = toNumber(b);
+            if (Number.isNaN(numberA) || Number.isNaN(numberB)) return Number(!Number.isNaN(numberA)) - Number(!Number.isNaN(numberB));
+            return numberA < numberB ? -1 : (numberA > numberB ? 1 : 0);
+        }
+        case 'timestampValue':
+            return Math.sign(toMicros(a.timestampValue) - toMicros(b.timestampValue))
+                || Math.sign((a.timestampValue.nanos || 0) - (b.timestampValue.nanos || 0));
+        case 'stringValue':
+            return a.stringValue < b.stringValue ? -1 : (a.stringValue > b.stringValue ? 1 : 0);
+        case 'bytesValue':
+            return Buffer.compare(Buffer.from(a.bytesValue), Buffer.from(b.bytesValue));
+        case 'referenceValue':
+            return compareNames(a.referenceValue, b.referenceValue);
+        case 'geoPointValue':
+            return Math.sign((a.geoPointValue.latitude || 0) - (b.geoPointValue.latitude || 0))
+                || Math.sign((a.geoPointValue.longitude || 0) - (b.geoPointValue.longitude || 0));
+        case 'arrayValue': {
+            const valuesA = a.arrayValue.values || [];
+            const valuesB = b.arrayValue.values || [];
+            for (let index = 0; index < Math.min(valuesA.length, valuesB.length); index++) {
+                const comparison = compareValues(valuesA[index], valuesB[index]);
+                if (comparison !== 0) return comparison;
+            }
+            return valuesA.length - valuesB.length;
+        }
+        default: {
+            const fieldsA = a.mapValue.fields || {};
+            const fieldsB = b.mapValue.fields || {};
+            const keysA = Object.keys(fieldsA).sort();
+            const keysB = Object.keys(fieldsB).sort();
+            for (let index = 0; index < Math.min(keysA.length, keysB.length); index++) {
+                if (keysA[index] !== keysB[index]) return keysA[index] < keysB[index] ? -1 : 1;
+                const comparison = compareValues(fieldsA[keysA[index]], fieldsB[keysB[index]]);
+                if (comparison !== 0) return comparison;
+            }
+            return keysA.length - keysB.length;
+        }
+    }
+}
+
+
+/**
+ * Check if two protobuf values are equal, as Firestore compares them: 1 equals 1.0
+ */
+function valuesEqual(a, b) {
+    return compareValues(a, b) === 0;
+}
+
+
+/**
+ * Copy a protobuf value, so a stored document does not share objects with a request
+ */
+function cloneValue(value) {
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    if (Array.isArray(value)) return value.map(cloneValue);
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (let key of Object.keys(value)) copy[key] = cloneValue(value[key]);
+        return copy;
+    }
+    return value;
+}
+
+
+// --------------------------- Fields
+
+/**
+ * Split a field path into segments; a segment in backticks may hold dots and escaped characters
+ */
+function parseFieldPath(fieldPath) {
+    const segments = [];
+    let segment = '';
+    let isQuoted = false;
+    for (let index = 0; index < fieldPath.length; index++) {
+        const character = fieldPath[index];
+        if (isQuoted && character === '\\') {
+            segment += fieldPath[++index];
+        } else if (character === '`') {
+            isQuoted = !isQuoted;
+        } else if (character === '.' && !isQuoted) {
+            segments.push(segment);
+            segment = '';
+        } else {
+            segment += character;
+        }
+    }
+    segments.push(segment);
+    return segments;
+}
+
+
+/**
+ * Get a value at field path segments of document fields, or undefined if there is none
+ */
+function getField(fields, segments) {
+    let value = {mapValue: {fields: fields}};
+    for (let segment of segments) {
+        if (!value.mapValue) return undefined;
+        value = (value.mapValue.fields || {})[segment];
+        if (value === undefined) return undefined;
+    }
+    return value;
+}
+
+
+/**
+ * Set a value at field path segments of document fields, making the maps on the way
+ */
+function setField(fields, segments, value) {
+    let parentFields = fields;
+    for (let segment of segments.slice(0, -1)) {
+        if (!parentFields[segment] || !parentFields[segment].mapValue) parentFields[segment] = {mapValue: {fields: {}}};
+        if (!parentFields[segment].mapValue.fields) parentFields[segment].mapValue.fields = {};
+        parentFields = parentFields[segment].mapValue.fields;
+    }
+    parentFields[segments[segments.length - 1]] = value;
+}
+
+
+/**
+ * Delete a value at field path segments of document fields, if any
+ */
+function deleteField(fields, segments) {
+    const parent = segments.length > 1 ? getField(fields, segments.slice(0, -1)) : {mapValue: {fields: fields}};
+    if (parent && parent.mapValue && parent.mapValue.fields) delete parent.mapValue.fields[segments[segments.length - 1]];
+}
+
+
+// --------------------------- Documents
+
+/**
+ * Convert a stored document to a protobuf document, with only the fields of a mask if given
+ */
+function toDocument(name, stored, fieldPaths) {
+    let fields = cloneValue(stored.fields);
+    if (fieldPaths) {
+        fields = {};
+        for (let fieldPath of fieldPaths) {
+            const segments = parseFieldPath(fieldPath);
+            const value = getField(stored.fields, segments);
+            if (value !== undefined) setField(fields, segments, cloneValue(value));
+        }
+    }
+    return {
+        name: name,
+        fields: fields,
+        createTime: toTimestamp(stored.createTime),
+        updateTime: toTimestamp(stored.updateTime),
+    };
+}
+
+
+/**
+ * Get a path of a document name relative to a parent name, or null if the document is not under the parent
+ */
+function getRelativePath(parent, name) {
+    return name.startsWith(`${parent}/`) ? name.slice(parent.length + 1) : null;
+}
+
+
+/**
+ * Remember the version of a document read in a transaction, the first time it is read
+ */
+function recordRead(transactionId, name) {
+    if (!transactionId) return;
+    const transaction = transactions.get(Buffer.from(transactionId).toString('hex'));
+    if (!transaction) throw newRpcError(grpc.status.INVALID_ARGUMENT, 'Unknown transaction');
+    if (transaction.reads.has(name)) return;
+    transaction.reads.set(name, documents.has(name) ? documents.get(name).updateTime : null);
+}
+
+
+/**
+ * Start a transaction. Return the transaction id
+ */
+function beginTransaction() {
+    const transactionId = crypto.randomBytes(8);
+    transactions.set(transactionId.toString('hex'), {reads: new Map()});
+    return transactionId;
+}
+
+
+// --------------------------- Writes
+
+/**
+ * Apply a field transform to document fields at a commit time. Return the resulting value
+ */
+function applyTransform(fields, transform, commitMicros) {
+    const segments = parseFieldPath(transform.fieldPath);
+    const current = getField(fields, segments);
+    const currentValues = current && current.arrayValue ? current.arrayValue.values || [] : [];
+    const isNumber = current !== undefined && TYPE_ORDERS[getValueType(current)] === TYPE_ORDERS.integerValue;
+    let value;
+    if (transform.setToServerValue) {
+        value = {timestampValue: toTimestamp(commitMicros)};
+    } else if (transform.increment) {
+        if (!isNumber) {
+            value = cloneValue(transform.increment);
+        } else if (current.integerValue !== undefined && transform.increment.integerValue !== undefined) {
+            value = {integerValue: String(Number(current.integerValue) + Number(transform.increment.integerValue))};
+        } else {
+            value = {doubleValue: toNumber(current) + toNumber(transform.increment)};
+        }
+    } else if (transform.maximum || transform.minimum) {
+        const operand = transform.maximum || transform.minimum;
+        const isOperandBetter = !isNumber || (transform.maximum ? toNumber(operand) > toNumber(current) : toNumber(operand) < toNumber(current));
+        value = isOperandBetter ? cloneValue(operand) : current;
+    } else if (transform.appendMissingElements) {
+        const values = currentValues.slice();
+        for (let element of transform.appendMissingElements.values || []) {
+            if (!values.some( (value) => valuesEqual(value, element) )) values.push(cloneValue(element));
+        }
+        value = {arrayValue: {values: values}};
+    } else if (transform.removeAllFromArray) {
+        const removed = transform.removeAllFromArray.values || [];
+        value = {arrayValue: {values: currentValues.filter( (value) => !removed.some( (element) => valuesEqual(value, element) ) )}};
+    } else {
+        throw newRpcError(grpc.status.INVALID_ARGUMENT, `Unsupported transform of ${transform.fieldPath}`);
+    }
+    setField(fields, segments, value);
+    return value;
+}
+
+
+/**
+ * Apply a write to a map of documents at a commit time. Throw an RPC error if a precondition fails.
+ * Return the write result
+ */
+function applyWrite(store, write, commitMicros) {
+    const name = write.update ? write.update.name : (write.delete || write.transform.document);
+    const existing = store.get(name);
+    const precondition = write.currentDocument;
+    if (precondition && precondition.exists === true && !existing) {
+        throw newRpcError(grpc.status.NOT_FOUND, `No document to update: ${name}`);
+    }
+    if (precondition && precondition.exists === false && existing) {
+        throw newRpcError(grpc.status.ALREADY_EXISTS, `Document already exists: ${name}`);
+    }
+    if (precondition && precondition.updateTime && (!existing || existing.updateTime !== toMicros(precondition.updateTime))) {
+        throw newRpcError(grpc.status.FAILED_PRECONDITION, `The document was updated: ${name}`);
+    }
+    if (write.delete) {
+        store.delete(name);
+        return {updateTime: toTimestamp(commitMicros)};
+    }
+    let fields = existing ? cloneValue(existing.fields) : {};
+    if (write.update && write.updateMask) {
+        for (let fieldPath of write.updateMask.fieldPaths || []) {
+            const segments = parseFieldPath(fieldPath);
+            const value = getField(write.update.fields || {}, segments);
+            if (value === undefined) {
+                deleteField(fields, segments);
+            } else {
+                setField(fields, segments, cloneValue(value));
+            }
+        }
+    } else if (write.update) {
+        fields = cloneValue(write.update.fields || {});
+    }
+    const fieldTransforms = write.updateTransforms || (write.transform ? write.transform.fieldTransforms : null) || [];
+    const transformResults = fieldTransforms.map( (transform) => applyTransform(fields, transform, commitMicros) );
+    store.set(name, {
+        fields: fields,
+        createTime: existing ? existing.createTime : commitMicros,
+        updateTime: commitMicros,
+    });
+    return {updateTime: toTimestamp(commitMicros), transformResults: transformResults};
+}
+
+
+/**
+ * Commit writes all at once, in a transaction if given, which fails as aborted if a document it read has changed.
+ * Return the commit response
+ */
+function commit(writes, transactionId) {
+    if (transactionId) {
+        const key = Buffer.from(transactionId).toString('hex');
+        const transaction = transactions.get(key);
+        if (!transaction) throw newRpcError(grpc.status.INVALID_ARGUMENT, 'Unknown transaction');
+        transactions.delete(key);
+        for (let [name, updateTime] of transaction.reads) {
+            const current = documents.has(name) ? documents.get(name).updateTime : null;
+            if (current !== updateTime) throw newRpcError(grpc.status.ABORTED, `Transaction aborted: ${name} changed`);
+        }
+    }
+    const commitMicros = nextMicros();
+    const store = new Map(documents);
+    const writeResults = writes.map( (write) => applyWrite(store, write, commitMicros) );
+    documents.clear();
+    store.forEach( (stored, name) => documents.set(name, stored) );
+    return {writeResults: writeResults, commitTime: toTimestamp(commitMicros)};
+}
+
+
+// --------------------------- Queries
+
+/**
+ * Get a field value of a stored document for a query, the document name being __name__
+ */
+function getQueryValue(name, stored, fieldPath) {
+    return fieldPath === DOCUMENT_ID_FIELD ? {referenceValue: name} : getField(stored.fields, parseFieldPath(fieldPath));
+}
+
+
+/**
+ * Flatten a query filter into a list of field and unary filters, all of which should match
+ */
+function flattenFilter(filter) {
+    if (!filter) return [];
+    if (filter.compositeFilter) {
+        if (filter.compositeFilter.op !== 'AND') throw newRpcError(grpc.status.INVALID_ARGUMENT, `Unsupported filter ${filter.compositeFilter.op}`);
+        return [].concat(...(filter.compositeFilter.filters || []).map(flattenFilter));
+    }
+    return [filter];
+}
+
+
+/**
+ * Check if a stored document matches a field or unary filter
+ */
+function matchesFilter(name, stored, filter) {
+    if (filter.unaryFilter) {
+        const value = getQueryValue(name, stored, filter.unaryFilter.field.fieldPath);
+        const isNull = value !== undefined && value.nullValue !== undefined;
+        const isNaN = value !== undefined && value.doubleValue !== undefined && Number.isNaN(Number(value.doubleValue));
+        switch (filter.unaryFilter.op) {
+            case 'IS_NULL': return isNull;
+            case 'IS_NOT_NULL': return value !== undefined && !isNull;
+            case 'IS_NAN': return isNaN;
+            case 'IS_NOT_NAN': return value !== undefined && !isNaN;
+            default: throw newRpcError(grpc.status.INVALID_ARGUMENT, `Unsupported filter ${filter.unaryFilter.op}`);
+        }
+    }
+    const fieldFilter = filter.fieldFilter;
+    const value = getQueryValue(name, stored, fieldFilter.field.fieldPath);
+    if (value === undefined) return false;                                                                              // a missing field matches no filter
+    const operand = fieldFilter.value;
+    const operands = operand.arrayValue ? operand.arrayValue.values || [] : [];
+    const elements = value.arrayValue ? value.arrayValue.values || [] : [];
+    const isComparable = TYPE_ORDERS[getValueType(value)] === TYPE_ORDERS[getValueType(operand)];
+    switch (fieldFilter.op) {
+        case 'EQUAL': return valuesEqual(value, operand);
+        case 'NOT_EQUAL': return value.nullValue === undefined && !valuesEqual(value, operand);
+        case 'LESS_THAN': return isComparable && compareValues(value, operand) < 0;
+        case 'LESS_THAN_OR_EQUAL': return isComparable && compareValues(value, operand) <= 0;
+        case 'GREATER_THAN': return isComparable && compareValues(value, operand) > 0;
+        case 'GREATER_THAN_OR_EQUAL': return isComparable && compareValues(value, operand) >= 0;
+        case 'ARRAY_CONTAINS': return elements.some( (element) => valuesEqual(element, operand) );
+        case 'ARRAY_CONTAINS_ANY': return elements.some( (element) => operands.some( (other) => valuesEqual(element, other) ) );
+        case 'IN': return operands.some( (other) => valuesEqual(value, other) );
+        case 'NOT_IN': return value.nullValue === undefined && !operands.some( (other) => valuesEqual(value, other) );
+        default: throw newRpcError(grpc.status.INVALID_ARGUMENT, `Unsupported filter ${fieldFilter.op}`);
+    }
+}
+
+
+/**
+ * Get the orders of a query: the explicit ones, or the inequality fields if there are none, and then the document name
+ */
+function getOrders(query, filters) {
+    const orders = (query.orderBy || []).map( (order) => ({fieldPath: order.field.fieldPath, isDescending: order.direction === 'DESCENDING'}) );
+    if (orders.length === 0) {
+        for (let filter of filters) {
+            if (!filter.fieldFilter || !INEQUALITY_OPERATORS.includes(filter.fieldFilter.op)) continue;
+            const fieldPath = filter.fieldFilter.field.fieldPath;
+            if (!orders.some( (order) => order.fieldPath === fieldPath )) orders.push({fieldPath: fieldPath, isDescending: false});
+        }
+    }
+    if (!orders.some( (order) => order.fieldPath === DOCUMENT_ID_FIELD )) {
+        orders.push({fieldPath: DOCUMENT_ID_FIELD, isDescending: orders.length > 0 && orders[orders.length - 1].isDescending});
+    }
+    return orders;
+}
+
+
+/**
+ * Compare a document to a query cursor by the query orders
+ */
+function compareToCursor(name, stored, orders, cursor) {
+    const values = cursor.values || [];
+    for (let index = 0; index < values.length; index++) {
+        const comparison = compareValues(getQueryValue(name, stored, orders[index].fieldPath), values[index]);
+        if (comparison !== 0) return orders[index].isDescending ? -comparison : comparison;
+    }
+    return 0;
+}
+
+
+/**
+ * Run a structured query under a parent name. Return the names of the matching documents, in the query order
+ */
+function runQuery(parent, query) {
+    const from = (query.from || [])[0] || {};
+    const filters = flattenFilter(query.where);
+    const orders = getOrders(query, filters);
+    let names = Array.from(documents.keys()).filter( (name) => {
+        const relativePath = getRelativePath(parent, name);
+        if (relativePath === null) return false;
+        const segments = relativePath.split('/');
+        if (from.allDescendants) return !from.collectionId || segments[segments.length - 2] === from.collectionId;
+        return segments.length === 2 && segments[0] === from.collectionId;
+    });
+    names = names.filter( (name) => {
+        const stored = documents.get(name);
+        // a document without an order field is left out
+        return filters.every( (filter) => matchesFilter(name, stored, filter) )
+            && orders.every( (order) => getQueryValue(name, stored, order.fieldPath) !== undefined );
+    });
+    names.sort( (a, b) => {
+        for (let order of orders) {
+            const comparison = compareValues(getQueryValue(a, documents.get(a), order.fieldPath), getQueryValue(b, documents.get(b), order.fieldPath));
+            if (comparison !== 0) return order.isDescending ? -comparison : comparison;
+        }
+        return 0;
+    });
+    if (query.startAt) {
+        names = names.filter( (name) => {
+            const comparison = compareToCursor(name, documents.get(name), orders, query.startAt);
+            return query.startAt.before ? comparison >= 0 : comparison > 0;
+        });
+    }
+    if (query.endAt) {
+        names = names.filter( (name) => {
+            const comparison = compareToCursor(name, documents.get(name), orders, query.endAt);
+            return query.endAt.before ? comparison < 0 : comparison <= 0;
+        });
+    }
+    names = names.slice(query.offset || 0);
+    const limit = query.limit && query.limit.value !== undefined ? query.limit.value : query.limit;
+    return typeof limit === 'number' ? names.slice(0, limit) : names;
+}
+
+
+// --------------------------- Service
+
+/**
+ * Wrap a unary handler which returns a response or throws an RPC error
+ */
+function unary(handler) {
+    return (call, callback) => {
+        try {
+            callback(null, handler(call.request));
+        } catch (error) {
+            callback(error.code !== undefined ? error : newRpcError(grpc.status.INTERNAL, String(error)));
+        }
+    };
+}
+
+
+/**
+ * Wrap a server streaming handler which returns an array of responses or throws an RPC error
+ */
+function streaming(handler) {
+    return (call) => {
+        try {
+            handler(call.request).forEach( (response) => call.write(response) );
+            call.end();
+        } catch (error) {
+            call.emit('error', error.code !== undefined ? error : newRpcError(grpc.status.INTERNAL, String(error)));
+        }
+    };
+}
+
+
+/**
+ * Get the documents by names; missing ones are reported as such
+ */
+function batchGetDocuments(request) {
+    const transactionId = request.newTransaction ? beginTransaction() : request.transaction;
+    const readTime = toTimestamp(nextMicros());
+    const fieldPaths = request.mask ? request.mask.fieldPaths || [] : null;
+    const responses = (request.documents || []).map( (name) => {
+        recordRead(transactionId, name);
+        return documents.has(name)
+            ? {found: toDocument(name, documents.get(name), fieldPaths), readTime: readTime}
+            : {missing: name, readTime: readTime}
+        ;
+    });
+    if (request.newTransaction && responses.length > 0) responses[0].transaction = transactionId;
+    return responses;
+}
+
+
+/**
+ * Run a query; the response with no document carries the read time only
+ */
+function runQueryRequest(request) {
+    const transactionId = request.newTransaction ? beginTransaction() : request.transaction;
+    const readTime = toTimestamp(nextMicros());
+    const query = request.structuredQuery;
+    const fieldPaths = query.select ? (query.select.fields || []).map( (field) => field.fieldPath ).filter( (fieldPath) => fieldPath !== DOCUMENT_ID_FIELD ) : null;
+    const responses = runQuery(request.parent, query).map( (name) => {
+        recordRead(transactionId, name);
+        return {document: toDocument(name, documents.get(name), fieldPaths), readTime: readTime};
+    });
+    if (responses.length === 0) responses.push({readTime: readTime});
+    if (request.newTransaction) responses[0].transaction = transactionId;
+    return responses;
+}
+
+
+/**
+ * List the ids of the collections holding documents directly or deeper under a parent
+ */
+function listCollectionIds(request) {
+    const collectionIds = new Set();
+    documents.forEach( (stored, name) => {
+        const relativePath = getRelativePath(request.parent, name);
+        if (relativePath !== null) collectionIds.add(relativePath.split('/')[0]);
+    });
+    return {collectionIds: Array.from(collectionIds).sort(), nextPageToken: ''};
+}
+
+
+/**
+ * List the documents of a collection; with showMissing, also the missing ones which have documents under them
+ */
+function listDocuments(request) {
+    const collectionName = `${request.parent}/${request.collectionId}`;
+    const names = new Set();
+    documents.forEach( (stored, name) => {
+        const relativePath = getRelativePath(collectionName, name);
+        if (relativePath === null) return;
+        const documentName = `${collectionName}/${relativePath.split('/')[0]}`;
+        if (documents.has(documentName) || request.showMissing) names.add(documentName);
+    });
+    const fieldPaths = request.mask ? request.mask.fieldPaths || [] : null;
+    return {
+        documents: Array.from(names).sort(compareNames).map( (name) => {
+            return documents.has(name) ? toDocument(name, documents.get(name), fieldPaths) : {name: name};
+        }),
+        nextPageToken: '',
+    };
+}
+
+
+/**
+ * Apply writes one by one, each with its own status
+ */
+function batchWrite(request) {
+    const writeResults = [];
+    const statuses = [];
+    for (let write of request.writes || []) {
+        try {
+            writeResults.push(commit([write]).writeResults[0]);
+            statuses.push({code: grpc.status.OK});
+        } catch (error) {
+            writeResults.push({});
+            statuses.push({code: error.code, message: error.message});
+        }
+    }
+    return {writeResults: writeResults, status: statuses};
+}
+
+
+/**
+ * Start serving the Firestore API on a host and port, e.g. '127.0.0.1:8080'. Resolve to the server, which is stopped
+ * by forceShutdown()
+ */
+function start(hostAndPort) {
+    const packageDefinition = protoLoader.loadSync('google/firestore/v1/firestore.proto', {
+        includeDirs: [protoFiles.getProtoPath('..')],
+        longs: String,
+        enums: String,
+        defaults: false,
+        oneofs: true,
+    });
+    const firestoreService = grpc.loadPackageDefinition(packageDefinition).google.firestore.v1.Firestore.service;
+    // The gRPC client of the Admin SDK resets each stream once it has the status, and a Node HTTP/2 server ends a
+    // connection with many resets in a burst, failing the calls on it. Renewing connections keeps them below that.
+    const server = new grpc.Server({'grpc.max_connection_age_ms': CONNECTION_AGE_MS});
+    server.addService(firestoreService, {
+        batchGetDocuments: streaming(batchGetDocuments),
+        runQuery: streaming(runQueryRequest),
+        beginTransaction: unary( (request) => ({transaction: beginTransaction()}) ),
+        rollback: unary( (request) => {
+            transactions.delete(Buffer.from(request.transaction).toString('hex'));
+            return {};
+        }),
+        commit: unary( (request) => commit(request.writes || [], request.transaction) ),
+        batchWrite: unary(batchWrite),
+        listCollectionIds: unary(listCollectionIds),
+        listDocuments: unary(listDocuments),
+    });
+    return new Promise( (resolve, reject) => {
+        server.bindAsync(hostAndPort, grpc.ServerCredentials.createInsecure(), (error, port) => {
+            if (error) return reject(error);
+            resolve(server);
+        });
+    });
+}
+
+
+module.exports = {
+    start: start,
+};
@@ -0,0 +1,144 @@
+'use strict';
+
+// Test fixtures: users, families and device tokens, written straight to the Auth and Firestore emulators
+
+const admin = require('firebase-admin');
+
+const USERS = {
+    owner: {uid: 'owner-uid', email: 'owner@example.com'},
+    guardian: {uid: 'guardian-uid', email: 'guardian@example.com'},
+    child: {uid: 'child-uid', email: 'child@example.com'},
+    sibling: {uid: 'sibling-uid', email: 'sibling@example.com'},
+    stranger: {uid: 'stranger-uid', email: 'stranger@example.com'},
+};
+const FAMILY_UID = 'family-uid';
+const OTHER_FAMILY_UID = 'other-family-uid';
+const STALE_DEVICE_TOKEN = 'stale-token';
+
+
+/**
+ * Get a callable context of a user, as it comes from an authenticated app
+ */
+function contextOf(user) {
+    return {
+        auth: {
+            uid: user.uid,
+            token: {
+                email: user.email,
+            },
+        },
+    };
+}
+
+
+/**
+ * Get a device token of a user, as it is stored by the fixtures
+ */
+function deviceTokenOf(user) {
+    return `${user.uid}-token`;
+}
+
+
+/**
+ * Create all the fixture users in the Auth emulator
+ */
+function createUsers() {
+    return Promise.all(Object.keys(USERS).map( (key) => admin.auth().createUser(USERS[key]) ));
+}
+
+
+/**
+ * Create a family document. The first member is the owner; roles are given per member as {user, role}
+ */
+function createFamily(familyUid, memberRoles, settings) {
+    const owner = memberRoles[0].user;
+    const roles = {};
+    for (let memberRole of memberRoles) {
+        roles[memberRole.user.uid] = memberRole.role;
+    }
+    return admin.firestore().collection('families').doc(familyUid).set({
+        creator: owner.uid,
+        members: memberRoles.map( (memberRole) => memberRole.user.uid ),
+        roles: roles,
+        settings: Object.assign({
+            membersCanLocateAdults: false,
+            locationRetentionDays: 30,
+            timeZone: 'UTC',
+        }, settings || {}),
+    });
+}
+
+
+/**
+ * Create the default family: the owner, a guardian and two children
+ */
+function createDefaultFamily() {
+    return createFamily(FAMILY_UID, [
+        {user: USERS.owner, role: 'owner'},
+        {user: USERS.guardian, role: 'guardian'},
+        {user: USERS.child, role: 'member'},
+        {user: USERS.sibling, role: 'member'},
+    ]);
+}
+
+
+/**
+ * Register a device of a user in the device registry. The token defaults to the user one
+ */
+function registerDevice(user, installationId, deviceToken) {
+    return admin.firestore().collection('users').doc(user.uid).collection('devices').doc(installationId || 'phone').set({
+        token: deviceToken || deviceTokenOf(user),
+        platform: 'android',
+        appVersion: '1.0.0',
+    });
+}
+
+
+/**
+ * Register a device for each of given users
+ */
+function registerDevices(users) {
+    return Promise.all(users.map( (user) => registerDevice(user) ));
+}
+
+
+/**
+ * Seed the default fixtures: the users, the default family and a device per family member
+ */
+function seed() {
+    return createUsers()
+        .then( () => createDefaultFamily() )
+        .then( () => registerDevices([USERS.owner, USERS.guardian, USERS.child, USERS.sibling]) )
+    ;
+}
+
+
+/**
+ * Remove every document from the Firestore emulator and every user from the Auth emulator
+ */
+function clear() {
+    const firestorePromise = admin.firestore().listCollections()
+        .then( (collectionRefs) => Promise.all(collectionRefs.map( (collectionRef) => admin.firestore().recursiveDelete(collectionRef) )) )
+    ;
+    const authPromise = admin.auth().listUsers()
+        .then( (listUsersResult) => admin.auth().deleteUsers(listUsersResult.users.map( (userRecord) => userRecord.uid )) )
+    ;
+    return Promise.all([firestorePromise, authPromise]);
+}
+
+
+module.exports = {
+    USERS: USERS,
+    FAMILY_UID: FAMILY_UID,
+    OTHER_FAMILY_UID: OTHER_FAMILY_UID,
+    STALE_DEVICE_TOKEN: STALE_DEVICE_TOKEN,
+    contextOf: contextOf,
+    deviceTokenOf: deviceTokenOf,
+    createUsers: createUsers,
+    createFamily: createFamily,
+    createDefaultFamily: createDefaultFamily,
+    registerDevice: registerDevice,
+    registerDevices: registerDevices,
+    seed: seed,
+    clear: clear,
+};
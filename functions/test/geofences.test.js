@@ -0,0 +1,148 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+
+const SCHOOL = {name: 'School', latitude: 55.7558, longitude: 37.6173, radius: 200};
+const SCHEDULE = {days: [1, 2, 3, 4, 5], startTime: '08:00', endTime: '15:00'};
+
+
+describe('createGeofence and listGeofences', () => {
+    const createGeofence = helper.wrap('createGeofence');
+    const listGeofences = helper.wrap('listGeofences');
+
+    it('creates a geofence which every member lists', () => {
+        let geofenceUid;
+        return createGeofence(Object.assign({schedule: SCHEDULE}, SCHOOL), contextOf(USERS.guardian))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                geofenceUid = result.geofenceUid;
+                return listGeofences({}, contextOf(USERS.child));
+            })
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.geofences).to.deep.equal([Object.assign({geofenceUid: geofenceUid, schedule: SCHEDULE}, SCHOOL)]);
+            })
+        ;
+    });
+
+    it('stores the schedule attributes only', () => {
+        const schedule = Object.assign({note: 'not a schedule attribute'}, SCHEDULE);
+        return createGeofence(Object.assign({schedule: schedule}, SCHOOL), contextOf(USERS.owner))
+            .then( (result) => helper.readDocument(`families/${FAMILY_UID}/geofences/${result.geofenceUid}`) )
+            .then( (geofence) => {
+                expect(geofence.schedule).to.deep.equal(SCHEDULE);
+            })
+        ;
+    });
+
+    it('rejects a geofence without a radius', () => {
+        const promise = createGeofence({name: 'School', latitude: 55.7558, longitude: 37.6173}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects a schedule with a bad time', () => {
+        const promise = createGeofence(Object.assign({schedule: {startTime: '8 am'}}, SCHOOL), contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects a member managing geofences', () => {
+        const promise = createGeofence(SCHOOL, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('rejects a stranger listing geofences', () => {
+        const promise = listGeofences({familyId: FAMILY_UID}, contextOf(USERS.stranger));
+        return helper.expectHttpsError(promise, 'not-found');
+    });
+});
+
+
+describe('updateGeofence', () => {
+    const createGeofence = helper.wrap('createGeofence');
+    const updateGeofence = helper.wrap('updateGeofence');
+
+    it('changes the attributes given only', () => {
+        let geofenceUid;
+        return createGeofence(Object.assign({schedule: SCHEDULE}, SCHOOL), contextOf(USERS.owner))
+            .then( (result) => geofenceUid = result.geofenceUid )
+            .then( () => updateGeofence({geofenceUid: geofenceUid, radius: 300}, contextOf(USERS.guardian)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('updated');
+                return helper.readDocument(`families/${FAMILY_UID}/geofences/${geofenceUid}`);
+            })
+            .then( (geofence) => {
+                expect(geofence).to.deep.equal(Object.assign({}, SCHOOL, {radius: 300, schedule: SCHEDULE}));
+            })
+        ;
+    });
+
+    it('removes the schedule given as null', () => {
+        let geofenceUid;
+        return createGeofence(Object.assign({schedule: SCHEDULE}, SCHOOL), contextOf(USERS.owner))
+            .then( (result) => geofenceUid = result.geofenceUid )
+            .then( () => updateGeofence({geofenceUid: geofenceUid, schedule: null}, contextOf(USERS.owner)) )
+            .then( () => helper.readDocument(`families/${FAMILY_UID}/geofences/${geofenceUid}`) )
+            .then( (geofence) => {
+                expect(geofence).to.deep.equal(SCHOOL);
+            })
+        ;
+    });
+
+    it('succeeds with nothing to update', () => {
+        return createGeofence(SCHOOL, contextOf(USERS.owner))
+            .then( (result) => updateGeofence({geofenceUid: result.geofenceUid}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+            })
+        ;
+    });
+
+    it('rejects an unknown geofence', () => {
+        const promise = updateGeofence({geofenceUid: 'no-such-geofence', radius: 300}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'not-found', 'no_geofence');
+    });
+
+    it('rejects a member managing geofences', () => {
+        return createGeofence(SCHOOL, contextOf(USERS.owner))
+            .then( (result) => {
+                const promise = updateGeofence({geofenceUid: result.geofenceUid, radius: 300}, contextOf(USERS.child));
+                return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+            })
+        ;
+    });
+});
+
+
+describe('deleteGeofence', () => {
+    const createGeofence = helper.wrap('createGeofence');
+    const deleteGeofence = helper.wrap('deleteGeofence');
+
+    it('deletes a geofence', () => {
+        let geofenceUid;
+        return createGeofence(SCHOOL, contextOf(USERS.owner))
+            .then( (result) => geofenceUid = result.geofenceUid )
+            .then( () => deleteGeofence({geofenceUid: geofenceUid}, contextOf(USERS.guardian)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('deleted');
+                return helper.readDocument(`families/${FAMILY_UID}/geofences/${geofenceUid}`);
+            })
+            .then( (geofence) => {
+                expect(geofence).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects a member managing geofences', () => {
+        return createGeofence(SCHOOL, contextOf(USERS.owner))
+            .then( (result) => {
+                const promise = deleteGeofence({geofenceUid: result.geofenceUid}, contextOf(USERS.child));
+                return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+            })
+        ;
+    });
+});
@@ -0,0 +1,158 @@
+'use strict';
+
+// A shared test setup. The tests run against the Auth emulator started by `npm test`, which needs nothing but Node,
+// and use a demo project id, so nothing leaves the machine. Firestore is the in-memory one of firestore-server.js,
+// served on the emulator port, unless the Firestore emulator runs (`npm run test:emulators`, which needs Java).
+// FCM is stubbed: messages are recorded instead of being sent
+
+const PROJECT_ID = 'demo-capybara';
+const FIRESTORE_EMULATOR_PORT = require('../../firebase.json').emulators.firestore.port;
+
+if (!process.env.FIREBASE_AUTH_EMULATOR_HOST) {
+    throw new Error('The tests should run against the Auth emulator; use npm test');
+}
+const isFirestoreInMemory = !process.env.FIRESTORE_EMULATOR_HOST;
+if (isFirestoreInMemory) {
+    process.env.FIRESTORE_EMULATOR_HOST = `127.0.0.1:${FIRESTORE_EMULATOR_PORT}`;                                       // before the app makes its Firestore client
+}
+
+const functionsTest = require('firebase-functions-test')({projectId: PROJECT_ID});
+const admin = require('firebase-admin');
+const sinon = require('sinon');
+
+const myFunctions = require('../index.js');                                                                             // initializes the default app
+const firestoreServer = require('./firestore-server');
+const fixtures = require('./fixtures');
+
+const sentMessages = [];
+
+
+/**
+ * Check a message as the real FCM send method does before sending it: the real method is called with a dry run flag
+ * which is not a boolean, so it throws before any request, with the message error if the message is not valid
+ */
+function validateMessage(send, messaging, message) {
+    try {
+        send.call(messaging, message, 'not a boolean');
+    } catch (error) {
+        if (error.message === 'dryRun must be a boolean') return;                                                       // the message passed the checks
+        throw error;
+    }
+    throw new Error('The FCM send method did not check the dry run flag');
+}
+
+
+/**
+ * Stub the FCM send method. A message is validated by the real method, so a message FCM would reject, e.g. with
+ * a data value which is not a string, fails the same way. A message to the stale token is rejected as to
+ * an unregistered device; other messages are recorded and get a message id
+ */
+function stubMessaging() {
+    sentMessages.length = 0;
+    const send = admin.messaging.Messaging.prototype.send;
+    return sinon.stub(admin.messaging.Messaging.prototype, 'send').callsFake( function (message) {
+        try {
+            validateMessage(send, this, message);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (message.token === fixtures.STALE_DEVICE_TOKEN) {
+            const error = new Error('Requested entity was not found.');
+            error.code = 'messaging/registration-token-not-registered';
+            return Promise.reject(error);
+        }
+        sentMessages.push(message);
+        return Promise.resolve(`projects/${PROJECT_ID}/messages/${sentMessages.length}`);
+    });
+}
+
+
+/**
+ * Get the recorded messages sent to a device token, optionally of a message type
+ */
+function messagesTo(deviceToken, messageType) {
+    return sentMessages.filter( (message) => {
+        return message.token === deviceToken && (!messageType || message.data.messageType === messageType);
+    });
+}
+
+
+/**
+ * Wrap a callable, so it is invoked as f(data, context) and always returns a promise.
+ * An error thrown synchronously, e.g. by the input validation, is turned into a rejection like the callable runtime does
+ */
+function wrap(callableName) {
+    const wrapped = functionsTest.wrap(myFunctions[callableName]);
+    return (data, context) => Promise.resolve().then( () => wrapped(data, context) );
+}
+
+
+/**
+ * Assert a promise is rejected with an HTTPS error of a code and, optionally, of a reason
+ */
+function expectHttpsError(promise, code, reason) {
+    return promise
+        .then( (result) => {
+            throw new Error(`Expected an HTTPS error ${code}, got ${JSON.stringify(result)}`);
+        }, (error) => {
+            if (error.code !== code) throw new Error(`Expected an HTTPS error ${code}, got ${error.code}: ${error.message}`);
+            if (reason && (!error.details || error.details.reason !== reason)) {
+                throw new Error(`Expected an HTTPS error reason ${reason}, got ${JSON.stringify(error.details)}`);
+            }
+            return error;
+        })
+    ;
+}
+
+
+/**
+ * Read a document data, or null if there is no such document
+ */
+function readDocument(path) {
+    return admin.firestore().doc(path).get()
+        .then( (snapshot) => snapshot.exists ? snapshot.data() : null )
+    ;
+}
+
+
+// Every test starts with a clean emulator state, the default fixtures and fresh FCM records
+let firestoreInMemory = null;
+let sendStub;
+
+before( () => {
+    if (!isFirestoreInMemory) return null;
+    return firestoreServer.start(process.env.FIRESTORE_EMULATOR_HOST)
+        .then( (server) => firestoreInMemory = server )
+    ;
+});
+
+beforeEach( () => {
+    sendStub = stubMessaging();
+    return fixtures.clear()
+        .then( () => fixtures.seed() )
+    ;
+});
+
+afterEach( () => {
+    sendStub.restore();
+});
+
+after( () => {
+    functionsTest.cleanup();
+    return admin.app().delete()
+        .then( () => {
+            if (firestoreInMemory) firestoreInMemory.forceShutdown();
+        })
+    ;
+});
+
+
+module.exports = {
+    admin: admin,
+    fixtures: fixtures,
+    sentMessages: sentMessages,
+    messagesTo: messagesTo,
+    wrap: wrap,
+    expectHttpsError: expectHttpsError,
+    readDocument: readDocument,
+};
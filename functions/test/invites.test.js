@@ -0,0 +1,429 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+const deviceTokenOf = helper.fixtures.deviceTokenOf;
+
+
+describe('sendInvite', () => {
+    const sendInvite = helper.wrap('sendInvite');
+
+    beforeEach( () => helper.fixtures.registerDevice(USERS.stranger) );
+
+    it('stores a pending invite and sends it to the invitee device', () => {
+        return sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                return helper.readDocument(`invites/${result.inviteUid}`);
+            })
+            .then( (invite) => {
+                expect(invite.familyUid).to.equal(FAMILY_UID);
+                expect(invite.inviterUid).to.equal(USERS.owner.uid);
+                expect(invite.inviteeUid).to.equal(USERS.stranger.uid);
+                expect(invite.role).to.equal('member');
+                expect(invite.status).to.equal('pending');
+                expect(invite.expiresAt.toMillis()).to.be.above(Date.now());
+                const messages = helper.messagesTo(deviceTokenOf(USERS.stranger), 'invite');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.inviteToken).to.equal(invite.token);
+                expect(messages[0].data.invitingEmail).to.equal(USERS.owner.email);
+            })
+        ;
+    });
+
+    it('sends to every invitee device and drops a stale token', () => {
+        return helper.fixtures.registerDevice(USERS.stranger, 'old-phone', helper.fixtures.STALE_DEVICE_TOKEN)
+            .then( () => sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.stranger), 'invite')).to.have.lengthOf(1);
+                return helper.readDocument(`users/${USERS.stranger.uid}/devices/old-phone`);
+            })
+            .then( (device) => {
+                expect(device).to.equal(null);
+            })
+        ;
+    });
+
+    it('responds the same whether the invitee is a user with no device, or nobody', () => {
+        return helper.admin.firestore().doc(`users/${USERS.stranger.uid}/devices/phone`).delete()
+            .then( () => {
+                return Promise.all([
+                    sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner)),
+                    sendInvite({inviteeEmail: 'nobody@example.com'}, contextOf(USERS.owner)),
+                ]);
+            })
+            .then( (results) => {
+                expect(Object.keys(results[0])).to.deep.equal(Object.keys(results[1]));
+                expect(results[0].returnCode).to.equal('created');
+                expect(results[1].returnCode).to.equal('created');
+                return helper.readDocument(`invites/${results[1].inviteUid}`);
+            })
+            .then( (invite) => {
+                expect(invite.inviteeUid).to.equal(null);
+                expect(invite.status).to.equal('pending');
+            })
+        ;
+    });
+
+    it('limits the invites sent to an invitee', () => {
+        const invite = () => sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner));
+        return invite()
+            .then(invite)
+            .then(invite)
+            .then( () => helper.expectHttpsError(invite(), 'resource-exhausted', 'rate_limited') )
+            .then( (error) => {
+                expect(error.details.retryAfter).to.be.above(Date.now());
+            })
+        ;
+    });
+
+    it('does not let somebody who may not invite use up the invites to a person', () => {
+        const strangerInvite = () => helper.expectHttpsError(sendInvite({inviteeEmail: 'nobody@example.com'}, contextOf(USERS.stranger)), 'not-found', 'no_family');
+        return strangerInvite()
+            .then(strangerInvite)
+            .then(strangerInvite)
+            .then(strangerInvite)
+            .then( () => sendInvite({inviteeEmail: 'nobody@example.com'}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+            })
+        ;
+    });
+
+    it('does not let a minor invite', () => {
+        const promise = sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'permission-denied', 'not_permitted');
+    });
+
+    it('requires the invitee email', () => {
+        return helper.expectHttpsError(sendInvite({}, contextOf(USERS.owner)), 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects an unknown role', () => {
+        const promise = sendInvite({inviteeEmail: USERS.stranger.email, role: 'owner'}, contextOf(USERS.owner));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('joinFamily', () => {
+    const sendInvite = helper.wrap('sendInvite');
+    const joinFamily = helper.wrap('joinFamily');
+
+    /**
+     * Send an invite from the owner to the stranger and get its token from the invite message
+     */
+    function invite(data) {
+        return helper.fixtures.registerDevice(USERS.stranger)
+            .then( () => sendInvite(Object.assign({inviteeEmail: USERS.stranger.email}, data || {}), contextOf(USERS.owner)) )
+            .then( (result) => {
+                return {
+                    inviteUid: result.inviteUid,
+                    inviteToken: helper.messagesTo(deviceTokenOf(USERS.stranger), 'invite')[0].data.inviteToken,
+                }
+            })
+        ;
+    }
+
+    it('adds the invitee to the family with the invite role and notifies the inviter', () => {
+        let inviteUid;
+        return invite({role: 'guardian'})
+            .then( (sentInvite) => {
+                inviteUid = sentInvite.inviteUid;
+                return joinFamily({inviteToken: sentInvite.inviteToken}, contextOf(USERS.stranger));
+            })
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.familyUid).to.equal(FAMILY_UID);
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'acceptInvite')).to.have.lengthOf(1);
+                return Promise.all([helper.readDocument(`families/${FAMILY_UID}`), helper.readDocument(`invites/${inviteUid}`)]);
+            })
+            .then( (documents) => {
+                expect(documents[0].members).to.include(USERS.stranger.uid);
+                expect(documents[0].roles[USERS.stranger.uid]).to.equal('guardian');
+                expect(documents[1].status).to.equal('accepted');
+            })
+        ;
+    });
+
+    it('does not accept an invite twice', () => {
+        let inviteToken;
+        return invite()
+            .then( (sentInvite) => {
+                inviteToken = sentInvite.inviteToken;
+                return joinFamily({inviteToken: inviteToken}, contextOf(USERS.stranger));
+            })
+            .then( () => helper.expectHttpsError(joinFamily({inviteToken: inviteToken}, contextOf(USERS.stranger)), 'failed-precondition', 'invite_closed') )
+        ;
+    });
+
+    it('does not accept an expired invite', () => {
+        return invite()
+            .then( (sentInvite) => {
+                return helper.admin.firestore().doc(`invites/${sentInvite.inviteUid}`).update({
+                    expiresAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+                })
+                    .then( () => joinFamily({inviteToken: sentInvite.inviteToken}, contextOf(USERS.stranger)) )
+                ;
+            })
+            .then( () => {
+                throw new Error('An expired invite accepted');
+            }, (error) => {
+                expect(error.code).to.equal('failed-precondition');
+                expect(error.details.reason).to.equal('invite_expired');
+            })
+        ;
+    });
+
+    it('does not let anybody but the invitee use the token', () => {
+        return invite()
+            .then( (sentInvite) => helper.expectHttpsError(joinFamily({inviteToken: sentInvite.inviteToken}, contextOf(USERS.child)), 'not-found', 'no_invite') )
+        ;
+    });
+
+    it('lets a user who signs up after the invite join with a verified email', () => {
+        const listReceivedInvites = helper.wrap('listReceivedInvites');
+        const newcomer = {uid: 'newcomer-uid', email: 'newcomer@example.com'};
+        const verifiedContext = contextOf(newcomer);
+        verifiedContext.auth.token.email_verified = true;
+        return sendInvite({inviteeEmail: 'Newcomer@example.com'}, contextOf(USERS.owner))
+            .then( () => helper.admin.auth().createUser(newcomer) )
+            .then( () => listReceivedInvites({}, contextOf(newcomer)) )
+            .then( (result) => {
+                expect(result.invites).to.be.empty;                                                                     // not before the email is verified
+                return listReceivedInvites({}, verifiedContext);
+            })
+            .then( (result) => {
+                expect(result.invites).to.have.lengthOf(1);
+                return joinFamily({inviteToken: result.invites[0].inviteToken}, verifiedContext);
+            })
+            .then( (result) => {
+                expect(result.familyUid).to.equal(FAMILY_UID);
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.members).to.include(newcomer.uid);
+            })
+        ;
+    });
+
+    it('reports an unknown token', () => {
+        return helper.expectHttpsError(joinFamily({inviteToken: 'unknown'}, contextOf(USERS.stranger)), 'not-found', 'no_invite');
+    });
+
+    it('requires the token', () => {
+        return helper.expectHttpsError(joinFamily({}, contextOf(USERS.stranger)), 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('listSentInvites, revokeInvite and declineInvite', () => {
+    const sendInvite = helper.wrap('sendInvite');
+    const listSentInvites = helper.wrap('listSentInvites');
+    const revokeInvite = helper.wrap('revokeInvite');
+    const declineInvite = helper.wrap('declineInvite');
+
+    /**
+     * Send an invite from the owner to the stranger. Resolve to the invite uid
+     */
+    function invite() {
+        return sendInvite({inviteeEmail: USERS.stranger.email}, contextOf(USERS.owner))
+            .then( (result) => result.inviteUid )
+        ;
+    }
+
+    it('lists the invites sent by the caller only, without the tokens', () => {
+        let inviteUid;
+        return invite()
+            .then( (result) => inviteUid = result )
+            .then( () => Promise.all([listSentInvites({}, contextOf(USERS.owner)), listSentInvites({}, contextOf(USERS.guardian))]) )
+            .then( (results) => {
+                expect(results[0].returnCode).to.equal('ok');
+                expect(results[0].invites).to.have.lengthOf(1);
+                expect(results[0].invites[0]).to.include({inviteUid: inviteUid, inviteeEmail: USERS.stranger.email, status: 'pending'});
+                expect(results[0].invites[0]).not.to.have.property('inviteToken');
+                expect(results[1].invites).to.be.empty;
+            })
+        ;
+    });
+
+    it('rejects an unauthenticated caller listing invites', () => {
+        return helper.expectHttpsError(listSentInvites({}, {}), 'unauthenticated');
+    });
+
+    it('revokes a pending invite, which is listed as revoked', () => {
+        let inviteUid;
+        return invite()
+            .then( (result) => inviteUid = result )
+            .then( () => revokeInvite({inviteUid: inviteUid}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('revoked');
+                return listSentInvites({}, contextOf(USERS.owner));
+            })
+            .then( (result) => {
+                expect(result.invites[0].status).to.equal('revoked');
+                return helper.expectHttpsError(revokeInvite({inviteUid: inviteUid}, contextOf(USERS.owner)), 'failed-precondition', 'invite_closed');
+            })
+        ;
+    });
+
+    it('does not let anybody but the inviter revoke an invite', () => {
+        return invite()
+            .then( (inviteUid) => Promise.all([
+                helper.expectHttpsError(revokeInvite({inviteUid: inviteUid}, contextOf(USERS.guardian)), 'not-found', 'no_invite'),
+                helper.expectHttpsError(revokeInvite({inviteUid: inviteUid}, contextOf(USERS.stranger)), 'not-found', 'no_invite'),
+            ]) )
+        ;
+    });
+
+    it('lets the invitee decline an invite', () => {
+        let inviteUid;
+        return invite()
+            .then( (result) => inviteUid = result )
+            .then( () => declineInvite({inviteUid: inviteUid}, contextOf(USERS.stranger)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('declined');
+                return helper.readDocument(`invites/${inviteUid}`);
+            })
+            .then( (invite) => {
+                expect(invite.status).to.equal('declined');
+                expect(invite.closedAt).to.be.an('object');
+            })
+        ;
+    });
+
+    it('does not let anybody but the invitee decline an invite', () => {
+        return invite()
+            .then( (inviteUid) => helper.expectHttpsError(declineInvite({inviteUid: inviteUid}, contextOf(USERS.owner)), 'not-found', 'no_invite') )
+        ;
+    });
+
+    it('reports an unknown invite', () => {
+        return Promise.all([
+            helper.expectHttpsError(revokeInvite({inviteUid: 'no-such-invite'}, contextOf(USERS.owner)), 'not-found', 'no_invite'),
+            helper.expectHttpsError(declineInvite({inviteUid: 'no-such-invite'}, contextOf(USERS.stranger)), 'not-found', 'no_invite'),
+        ]);
+    });
+
+    it('requires the invite uid', () => {
+        return helper.expectHttpsError(revokeInvite({}, contextOf(USERS.owner)), 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('invite codes', () => {
+    const createInviteCode = helper.wrap('createInviteCode');
+    const redeemInviteCode = helper.wrap('redeemInviteCode');
+    const revokeInviteCode = helper.wrap('revokeInviteCode');
+
+    it('lets a new user join the family with a code', () => {
+        let inviteCode;
+        return createInviteCode({}, contextOf(USERS.guardian))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('created');
+                expect(result.inviteCode).to.match(/^[A-Z2-9]{8}$/);
+                expect(result.status).to.equal('pending');
+                expect(result.expiresAt).to.be.above(Date.now());
+                inviteCode = result.inviteCode;
+                const typedCode = `${inviteCode.slice(0, 4)}-${inviteCode.slice(4)}`.toLowerCase();
+                return redeemInviteCode({inviteCode: typedCode}, contextOf(USERS.stranger));
+            })
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.familyUid).to.equal(FAMILY_UID);
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'acceptInvite')).to.have.lengthOf(1);
+                return Promise.all([
+                    helper.readDocument(`families/${FAMILY_UID}`),
+                    helper.readDocument(`inviteCodes/${inviteCode}`),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0].members).to.include(USERS.stranger.uid);
+                expect(results[0].roles[USERS.stranger.uid]).to.equal('member');
+                expect(results[1].status).to.equal('accepted');
+            })
+        ;
+    });
+
+    it('does not let a single use code be used twice', () => {
+        return createInviteCode({}, contextOf(USERS.owner))
+            .then( (result) => {
+                return redeemInviteCode({inviteCode: result.inviteCode}, contextOf(USERS.stranger))
+                    .then( () => helper.expectHttpsError(redeemInviteCode({inviteCode: result.inviteCode}, contextOf(USERS.child)), 'failed-precondition', 'invite_closed') )
+                ;
+            })
+        ;
+    });
+
+    it('keeps a multi-use code open until used up, and does not spend it on a member', () => {
+        let inviteCode;
+        return createInviteCode({maxUses: 2, role: 'guardian'}, contextOf(USERS.owner))
+            .then( (result) => {
+                inviteCode = result.inviteCode;
+                return helper.expectHttpsError(redeemInviteCode({inviteCode: inviteCode}, contextOf(USERS.child)), 'already-exists', 'exist');
+            })
+            .then( () => redeemInviteCode({inviteCode: inviteCode}, contextOf(USERS.stranger)) )
+            .then( () => helper.readDocument(`inviteCodes/${inviteCode}`) )
+            .then( (invite) => {
+                expect(invite.status).to.equal('pending');
+                expect(invite.redeemedBy).to.deep.equal([USERS.stranger.uid]);
+            })
+        ;
+    });
+
+    it('does not let a guardian create a code for a guardian', () => {
+        return helper.expectHttpsError(createInviteCode({role: 'guardian'}, contextOf(USERS.guardian)), 'permission-denied', 'not_permitted');
+    });
+
+    it('does not accept a revoked code', () => {
+        return createInviteCode({}, contextOf(USERS.owner))
+            .then( (result) => {
+                return revokeInviteCode({inviteCode: result.inviteCode}, contextOf(USERS.owner))
+                    .then( (revokeResult) => {
+                        expect(revokeResult.returnCode).to.equal('revoked');
+                        return helper.expectHttpsError(redeemInviteCode({inviteCode: result.inviteCode}, contextOf(USERS.stranger)), 'failed-precondition', 'invite_closed');
+                    })
+                ;
+            })
+        ;
+    });
+
+    it('revokes a code as typed, like redeeming does', () => {
+        return createInviteCode({}, contextOf(USERS.owner))
+            .then( (result) => {
+                const typedCode = `${result.inviteCode.slice(0, 4)}-${result.inviteCode.slice(4)}`.toLowerCase();
+                return revokeInviteCode({inviteCode: typedCode}, contextOf(USERS.owner))
+                    .then( (revokeResult) => {
+                        expect(revokeResult.returnCode).to.equal('revoked');
+                        return helper.readDocument(`inviteCodes/${result.inviteCode}`);
+                    })
+                ;
+            })
+            .then( (inviteCode) => {
+                expect(inviteCode.status).to.equal('revoked');
+            })
+        ;
+    });
+
+    it('rejects a code with nothing but separators', () => {
+        return helper.expectHttpsError(revokeInviteCode({inviteCode: ' - '}, contextOf(USERS.owner)), 'invalid-argument', 'invalid_argument');
+    });
+
+    it('reports an unknown code', () => {
+        return helper.expectHttpsError(redeemInviteCode({inviteCode: 'NOSUCHCD'}, contextOf(USERS.stranger)), 'not-found', 'no_invite');
+    });
+
+    it('takes the rate limit from the environment', () => {
+        process.env.RATE_LIMIT_REDEEM_INVITE_CODE_PER_USER = '1/60';
+        return helper.expectHttpsError(redeemInviteCode({inviteCode: 'NOSUCHCD'}, contextOf(USERS.stranger)), 'not-found', 'no_invite')
+            .then( () => helper.expectHttpsError(redeemInviteCode({inviteCode: 'NOSUCHCD'}, contextOf(USERS.stranger)), 'resource-exhausted', 'rate_limited') )
+            .finally( () => {
+                delete process.env.RATE_LIMIT_REDEEM_INVITE_CODE_PER_USER;
+            })
+        ;
+    });
+});
@@ -0,0 +1,486 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+const deviceTokenOf = helper.fixtures.deviceTokenOf;
+
+const POINT = {latitude: 55.7558, longitude: 37.6173};
+const LOCATION = JSON.stringify(POINT);                                                                                 // the apps send locations as JSON strings
+
+
+describe('requestLocations', () => {
+    const requestLocations = helper.wrap('requestLocations');
+
+    it('sends a request to every other member and tracks it', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => {
+                requestUid = result.requestUid;
+                expect(result.returnCode).to.equal('all_sent');
+                expect(result.members.map( (member) => member.uid )).to.have.members([USERS.guardian.uid, USERS.child.uid, USERS.sibling.uid]);
+                for (let user of [USERS.guardian, USERS.child, USERS.sibling]) {
+                    const messages = helper.messagesTo(deviceTokenOf(user), 'locationRequest');
+                    expect(messages).to.have.lengthOf(1);
+                    expect(messages[0].data.requestUid).to.equal(requestUid);
+                }
+                return helper.readDocument(`locationRequests/${requestUid}`);
+            })
+            .then( (locationRequest) => {
+                expect(locationRequest.requesterUid).to.equal(USERS.owner.uid);
+                expect(locationRequest.status).to.equal('open');
+            })
+        ;
+    });
+
+    it('lets a minor locate minors only', () => {
+        return requestLocations({}, contextOf(USERS.child))
+            .then( (result) => {
+                expect(result.members.map( (member) => member.uid )).to.deep.equal([USERS.sibling.uid]);
+            })
+        ;
+    });
+
+    it('reports members with no device', () => {
+        return Promise.all([
+            helper.admin.firestore().doc(`users/${USERS.sibling.uid}`).set({location: LOCATION}),                       // a user of the app, as sendLocation leaves
+            helper.admin.firestore().doc(`users/${USERS.sibling.uid}/devices/phone`).delete(),
+        ])
+            .then( () => requestLocations({}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('some_sent');
+                const sibling = result.members.find( (member) => member.uid === USERS.sibling.uid );
+                expect(sibling.status).to.equal('no_device');
+            })
+        ;
+    });
+
+    it('reports members who have never used the app as no user', () => {
+        return helper.admin.firestore().doc(`users/${USERS.sibling.uid}/devices/phone`).delete()
+            .then( () => requestLocations({}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                const sibling = result.members.find( (member) => member.uid === USERS.sibling.uid );
+                expect(sibling.status).to.equal('no_user');
+            })
+        ;
+    });
+
+    it('reports a minor who has nobody to locate', () => {
+        return helper.fixtures.createFamily(FAMILY_UID, [
+            {user: USERS.owner, role: 'owner'},
+            {user: USERS.child, role: 'member'},
+        ])
+            .then( () => helper.expectHttpsError(requestLocations({}, contextOf(USERS.child)), 'permission-denied', 'not_permitted') )
+        ;
+    });
+
+    it('reports a caller with no family', () => {
+        return helper.expectHttpsError(requestLocations({}, contextOf(USERS.stranger)), 'not-found', 'no_family');
+    });
+
+    it('leaves out a member requested too often by the caller only', () => {
+        const targetKey = require('crypto').createHash('sha256').update(`${USERS.child.uid}:${USERS.sibling.uid}`).digest('hex');
+        const retryAfter = Date.now() + 60000;
+        return helper.admin.firestore().doc(`rateLimits/requestLocations:target:${targetKey}`).set({
+            count: 1000,
+            expiresAt: helper.admin.firestore.Timestamp.fromMillis(retryAfter),
+        })
+            .then( () => requestLocations({}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('none_sent');
+                expect(result.requestUid).to.equal(null);
+                expect(result.members).to.deep.equal([{uid: USERS.sibling.uid, email: USERS.sibling.email, status: 'rate_limited', retryAfter: retryAfter}]);
+                expect(helper.messagesTo(deviceTokenOf(USERS.sibling), 'locationRequest')).to.have.lengthOf(0);
+                return requestLocations({}, contextOf(USERS.owner));
+            })
+            .then( (result) => {
+                expect(result.returnCode).to.equal('all_sent');
+                expect(helper.messagesTo(deviceTokenOf(USERS.sibling), 'locationRequest')).to.have.lengthOf(1);
+            })
+        ;
+    });
+
+    it('limits the requests of a caller until the window is over', () => {
+        const Timestamp = helper.admin.firestore.Timestamp;
+        const counterRef = helper.admin.firestore().doc(`rateLimits/requestLocations:user:${USERS.owner.uid}`);
+        return counterRef.set({count: 1000, expiresAt: Timestamp.fromMillis(Date.now() + 60000)})
+            .then( () => helper.expectHttpsError(requestLocations({}, contextOf(USERS.owner)), 'resource-exhausted', 'rate_limited') )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest')).to.have.lengthOf(0);
+                return counterRef.set({count: 1000, expiresAt: Timestamp.fromMillis(Date.now() - 1)});
+            })
+            .then( () => requestLocations({}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('all_sent');
+            })
+        ;
+    });
+});
+
+
+describe('checkLocationRequest and expireLocationRequests', () => {
+    const requestLocations = helper.wrap('requestLocations');
+    const sendLocation = helper.wrap('sendLocation');
+    const checkLocationRequest = helper.wrap('checkLocationRequest');
+    const expireLocationRequests = helper.wrap('expireLocationRequests');
+
+    /**
+     * Make a location request expire, as if its expiry time passed
+     */
+    function makeExpired(requestUid) {
+        return helper.admin.firestore().doc(`locationRequests/${requestUid}`).update({
+            expiresAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+        });
+    }
+
+    it('tells the requester who has responded and who is pending', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => requestUid = result.requestUid )
+            .then( () => sendLocation({location: LOCATION, requestUid: requestUid}, contextOf(USERS.child)) )
+            .then( () => checkLocationRequest({requestUid: requestUid}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.status).to.equal('open');
+                expect(result.responded.map( (member) => member.email )).to.deep.equal([USERS.child.email]);
+                expect(result.pending.map( (member) => member.email )).to.have.members([USERS.guardian.email, USERS.sibling.email]);
+            })
+        ;
+    });
+
+    it('tells a request past its expiry time is expired', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => requestUid = result.requestUid )
+            .then( () => makeExpired(requestUid) )
+            .then( () => checkLocationRequest({requestUid: requestUid}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.status).to.equal('expired');
+            })
+        ;
+    });
+
+    it('tells somebody else there is no such request', () => {
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => {
+                const promise = checkLocationRequest({requestUid: result.requestUid}, contextOf(USERS.guardian));
+                return helper.expectHttpsError(promise, 'not-found', 'no_location_request');
+            })
+        ;
+    });
+
+    it('expires a request once, and tells the requester who is pending', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => requestUid = result.requestUid )
+            .then( () => sendLocation({location: LOCATION, requestUid: requestUid}, contextOf(USERS.child)) )
+            .then( () => makeExpired(requestUid) )
+            .then( () => Promise.all([expireLocationRequests({}), expireLocationRequests({})]) )
+            .then( () => {
+                const messages = helper.messagesTo(deviceTokenOf(USERS.owner), 'locationRequestExpired');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.requestUid).to.equal(requestUid);
+                expect(JSON.parse(messages[0].data.pendingEmails)).to.have.members([USERS.guardian.email, USERS.sibling.email]);
+                return helper.readDocument(`locationRequests/${requestUid}`);
+            })
+            .then( (locationRequest) => {
+                expect(locationRequest.status).to.equal('expired');
+            })
+        ;
+    });
+
+    it('does not expire a request completed in time', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.child))                                                             // the sibling only
+            .then( (result) => requestUid = result.requestUid )
+            .then( () => sendLocation({location: LOCATION, requestUid: requestUid}, contextOf(USERS.sibling)) )
+            .then( () => makeExpired(requestUid) )
+            .then( () => expireLocationRequests({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequestExpired')).to.have.lengthOf(0);
+                return helper.readDocument(`locationRequests/${requestUid}`);
+            })
+            .then( (locationRequest) => {
+                expect(locationRequest.status).to.equal('completed');
+            })
+        ;
+    });
+});
+
+
+describe('sendLocation', () => {
+    const sendLocation = helper.wrap('sendLocation');
+    const requestLocations = helper.wrap('requestLocations');
+
+    it('stores the location, appends it to the history and sends it to members allowed to see it', () => {
+        return sendLocation({location: LOCATION, accuracy: 10, source: 'gps'}, contextOf(USERS.child))
+            .then( (result) => {
+                expect(result.returnCode).to.equal('all_sent');
+                expect(result.members.map( (member) => member.uid )).to.have.members([USERS.owner.uid, USERS.guardian.uid, USERS.sibling.uid]);
+                expect(result.geofenceEvents).to.deep.equal([]);
+                const messages = helper.messagesTo(deviceTokenOf(USERS.owner), 'location');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.senderEmail).to.equal(USERS.child.email);
+                return Promise.all([
+                    helper.readDocument(`users/${USERS.child.uid}`),
+                    helper.admin.firestore().collection(`users/${USERS.child.uid}/locations`).get(),
+                    helper.readDocument(`families/${FAMILY_UID}/locations/${USERS.child.uid}`),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0].location).to.equal(LOCATION);
+                expect(results[1].size).to.equal(1);
+                expect(results[1].docs[0].data().accuracy).to.equal(10);
+                expect(results[2].location).to.equal(LOCATION);
+            })
+        ;
+    });
+
+    it('does not send an adult location to minors by default', () => {
+        return sendLocation({location: LOCATION}, contextOf(USERS.owner))
+            .then( (result) => {
+                expect(result.members.map( (member) => member.uid )).to.deep.equal([USERS.guardian.uid]);
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'location')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('marks the caller as responded to a location request', () => {
+        let requestUid;
+        return requestLocations({}, contextOf(USERS.owner))
+            .then( (result) => {
+                requestUid = result.requestUid;
+                return sendLocation({location: LOCATION, requestUid: requestUid}, contextOf(USERS.child));
+            })
+            .then( (result) => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'location')[0].data.requestUid).to.equal(requestUid);
+                return helper.readDocument(`locationRequests/${requestUid}`);
+            })
+            .then( (locationRequest) => {
+                expect(locationRequest.responses).to.have.property(USERS.child.uid);
+                expect(locationRequest.status).to.equal('open');
+            })
+        ;
+    });
+
+    it('reports a geofence entered', () => {
+        return helper.admin.firestore().collection(`families/${FAMILY_UID}/geofences`).add({
+            name: 'School',
+            latitude: POINT.latitude,
+            longitude: POINT.longitude,
+            radius: 100,
+        })
+            .then( () => sendLocation({location: JSON.stringify({latitude: 0, longitude: 0})}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: LOCATION}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.geofenceEvents).to.have.lengthOf(1);
+                expect(result.geofenceEvents[0].geofenceName).to.equal('School');
+                expect(result.geofenceEvents[0].transition).to.equal('enter');
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'geofenceEvent')).to.have.lengthOf(1);
+            })
+        ;
+    });
+
+    it('requires a location', () => {
+        return helper.expectHttpsError(sendLocation({}, contextOf(USERS.child)), 'invalid-argument', 'invalid_argument');
+    });
+
+    it('rejects coordinates out of range', () => {
+        const promise = sendLocation({location: {latitude: 91, longitude: 0}}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('location sharing', () => {
+    const updateLocationSharing = helper.wrap('updateLocationSharing');
+    const sendLocation = helper.wrap('sendLocation');
+    const requestLocations = helper.wrap('requestLocations');
+    const getLocationHistory = helper.wrap('getLocationHistory');
+    const HOUR_MILLIS = 60 * 60 * 1000;
+
+    it('tells the requester a member is paused and does not ask the member', () => {
+        const pausedUntil = Date.now() + HOUR_MILLIS;
+        return updateLocationSharing({mode: 'paused', pausedUntil: pausedUntil}, contextOf(USERS.child))
+            .then( () => requestLocations({}, contextOf(USERS.owner)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('some_sent');
+                const child = result.members.find( (member) => member.uid === USERS.child.uid );
+                expect(child.status).to.equal('paused');
+                expect(child.pausedUntil).to.equal(pausedUntil);
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'locationRequest')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('keeps a location sent while paused in the own history only', () => {
+        return sendLocation({location: LOCATION}, contextOf(USERS.child))
+            .then( () => updateLocationSharing({mode: 'paused', pausedUntil: Date.now() + HOUR_MILLIS}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: JSON.stringify({latitude: 0, longitude: 0})}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.precision).to.equal('paused');
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'location')).to.have.lengthOf(1);
+                return Promise.all([
+                    helper.readDocument(`families/${FAMILY_UID}/locations/${USERS.child.uid}`),
+                    getLocationHistory({familyMemberEmail: USERS.child.email}, contextOf(USERS.owner)),
+                    getLocationHistory({}, contextOf(USERS.child)),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0].location).to.equal(null);
+                expect(results[0].precision).to.equal('paused');
+                expect(results[1].locations.map( (entry) => entry.location )).to.deep.equal([LOCATION]);
+                expect(results[2].locations).to.have.lengthOf(2);
+            })
+        ;
+    });
+
+    it('shares a coarse location rounded to about 1 km', () => {
+        return updateLocationSharing({mode: 'coarse'}, contextOf(USERS.child))
+            .then( () => sendLocation({location: LOCATION, accuracy: 10}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.precision).to.equal('coarse');
+                const message = helper.messagesTo(deviceTokenOf(USERS.owner), 'location')[0];
+                expect(JSON.parse(message.data.location)).to.deep.equal({latitude: 55.76, longitude: 37.62});
+                return helper.readDocument(`families/${FAMILY_UID}/locations/${USERS.child.uid}`);
+            })
+            .then( (sharedLocation) => {
+                expect(JSON.parse(sharedLocation.location)).to.deep.equal({latitude: 55.76, longitude: 37.62});
+                expect(sharedLocation.accuracy).to.equal(null);
+            })
+        ;
+    });
+
+    it('sends a location given as an object as a JSON string, exact or coarse', () => {
+        return sendLocation({location: POINT}, contextOf(USERS.child))
+            .then( () => updateLocationSharing({mode: 'coarse'}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: POINT}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('all_sent');
+                const messages = helper.messagesTo(deviceTokenOf(USERS.owner), 'location');
+                expect(messages.map( (message) => JSON.parse(message.data.location) )).to.deep.equal([POINT, {latitude: 55.76, longitude: 37.62}]);
+            })
+        ;
+    });
+
+    it('shares a location in a private zone as a private place, in the history too', () => {
+        const privateZones = [{name: 'Home', latitude: POINT.latitude, longitude: POINT.longitude, radius: 200}];
+        return sendLocation({location: LOCATION}, contextOf(USERS.child))
+            .then( () => updateLocationSharing({privateZones: privateZones}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: LOCATION}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.precision).to.equal('private');
+                const message = helper.messagesTo(deviceTokenOf(USERS.owner), 'location')[1];
+                expect(message.data.precision).to.equal('private');
+                expect(message.data).not.to.have.property('location');
+                return getLocationHistory({familyMemberEmail: USERS.child.email}, contextOf(USERS.owner));
+            })
+            .then( (result) => {
+                expect(result.locations).to.have.lengthOf(2);
+                for (let entry of result.locations) {
+                    expect(entry.precision).to.equal('private');
+                    expect(entry.location).to.equal(null);
+                }
+            })
+        ;
+    });
+
+    it('does not tell a geofence left from a private zone', () => {
+        const privateZones = [{name: 'Home', latitude: POINT.latitude, longitude: POINT.longitude, radius: 200}];
+        return helper.admin.firestore().collection(`families/${FAMILY_UID}/geofences`).add({
+            name: 'Home',
+            latitude: POINT.latitude,
+            longitude: POINT.longitude,
+            radius: 100,
+        })
+            .then( () => updateLocationSharing({privateZones: privateZones}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: LOCATION}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: JSON.stringify({latitude: 0, longitude: 0})}, contextOf(USERS.child)) )
+            .then( (result) => {
+                expect(result.precision).to.equal('exact');
+                expect(result.geofenceEvents).to.be.empty;
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'geofenceEvent')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('requires a future time to pause until', () => {
+        const promise = updateLocationSharing({mode: 'paused', pausedUntil: Date.now() - HOUR_MILLIS}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument')
+            .then( (error) => {
+                expect(error.details.attribute).to.equal('pausedUntil');
+            })
+        ;
+    });
+
+    it('rejects an unknown mode', () => {
+        return helper.expectHttpsError(updateLocationSharing({mode: 'hidden'}, contextOf(USERS.child)), 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('getLocationHistory and pruneLocationHistory', () => {
+    const sendLocation = helper.wrap('sendLocation');
+    const getLocationHistory = helper.wrap('getLocationHistory');
+    const pruneLocationHistory = helper.wrap('pruneLocationHistory');
+    const DAY_MILLIS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Store a location entry recorded days ago under a path
+     */
+    function storeEntry(path, days) {
+        const timestamp = helper.admin.firestore.Timestamp.fromMillis(Date.now() - days * DAY_MILLIS);
+        return helper.admin.firestore().doc(path).set({location: LOCATION, precision: 'exact', timestamp: timestamp});
+    }
+
+    it('pages through the history', () => {
+        let firstPage;
+        return sendLocation({location: LOCATION}, contextOf(USERS.child))
+            .then( () => sendLocation({location: LOCATION}, contextOf(USERS.child)) )
+            .then( () => sendLocation({location: LOCATION}, contextOf(USERS.child)) )
+            .then( () => getLocationHistory({pageSize: 2}, contextOf(USERS.child)) )
+            .then( (result) => {
+                firstPage = result;
+                expect(result.locations).to.have.lengthOf(2);
+                return getLocationHistory({pageSize: 2, pageToken: result.nextPageToken}, contextOf(USERS.child));
+            })
+            .then( (result) => {
+                expect(result.locations).to.have.lengthOf(1);
+                expect(result.locations[0].timestamp).to.be.at.least(firstPage.locations[1].timestamp);
+                expect(result.nextPageToken).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects an unknown page token', () => {
+        const promise = getLocationHistory({pageToken: 'no-such-entry'}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+
+    it('prunes the entries older than the longest retention period of the user families', () => {
+        return helper.admin.firestore().doc(`families/${FAMILY_UID}`).update({'settings.locationRetentionDays': 60})
+            .then( () => Promise.all([
+                storeEntry(`users/${USERS.child.uid}/locations/outdated`, 70),
+                storeEntry(`users/${USERS.child.uid}/locations/kept`, 40),
+                storeEntry(`users/${USERS.stranger.uid}/locations/outdated`, 40),                                       // the default period of a user in no family
+                storeEntry(`families/${FAMILY_UID}/locations/${USERS.child.uid}`, 70),                                  // the last shared location is not history
+            ]) )
+            .then( () => pruneLocationHistory({}) )
+            .then( () => Promise.all([
+                helper.readDocument(`users/${USERS.child.uid}/locations/outdated`),
+                helper.readDocument(`users/${USERS.child.uid}/locations/kept`),
+                helper.readDocument(`users/${USERS.stranger.uid}/locations/outdated`),
+                helper.readDocument(`families/${FAMILY_UID}/locations/${USERS.child.uid}`),
+            ]) )
+            .then( (results) => {
+                expect(results[0]).to.equal(null);
+                expect(results[1]).not.to.equal(null);
+                expect(results[2]).to.equal(null);
+                expect(results[3]).not.to.equal(null);
+            })
+        ;
+    });
+});
@@ -0,0 +1,238 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+const maintenance = require('../tools/maintenance');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const OTHER_FAMILY_UID = helper.fixtures.OTHER_FAMILY_UID;
+
+
+/**
+ * Create the other family, owned by the stranger with the child as a member, which the child also belongs to
+ */
+function createOtherFamily() {
+    return helper.fixtures.createFamily(OTHER_FAMILY_UID, [
+        {user: USERS.stranger, role: 'owner'},
+        {user: USERS.child, role: 'member'},
+    ]);
+}
+
+
+/**
+ * Break the default family: a duplicate member, a member with no role, an owner which is not the creator,
+ * a role of a non-member, a member with no account, and the creator missing from the members
+ */
+function breakDefaultFamily() {
+    return helper.admin.firestore().doc(`families/${FAMILY_UID}`).update({
+        members: [USERS.guardian.uid, USERS.child.uid, USERS.child.uid, USERS.sibling.uid, 'ghost-uid'],
+        roles: {
+            [USERS.owner.uid]: 'owner',
+            [USERS.guardian.uid]: 'owner',
+            [USERS.child.uid]: 'member',
+            [USERS.stranger.uid]: 'guardian',
+        },
+    });
+}
+
+
+describe('maintenance listFamilies and showUser', () => {
+
+    it('lists the families with the members and roles', () => {
+        return maintenance.listFamilies()
+            .then( (report) => {
+                expect(report.families).to.have.lengthOf(1);
+                expect(report.families[0].familyUid).to.equal(FAMILY_UID);
+                expect(report.families[0].creator.email).to.equal(USERS.owner.email);
+                expect(report.families[0].members.map( (member) => member.role )).to.deep.equal(['owner', 'guardian', 'member', 'member']);
+            })
+        ;
+    });
+
+    it('shows a user memberships and devices by an email', () => {
+        return createOtherFamily()
+            .then( () => maintenance.showUser(USERS.child.email) )
+            .then( (report) => {
+                expect(report.uid).to.equal(USERS.child.uid);
+                expect(report.hasAccount).to.equal(true);
+                expect(report.devices.map( (device) => device.installationId )).to.deep.equal(['phone']);
+                expect(report.families.map( (family) => family.familyUid )).to.have.members([FAMILY_UID, OTHER_FAMILY_UID]);
+                expect(report.createdFamilyUids).to.be.empty;
+            })
+        ;
+    });
+
+    it('shows a uid with no account', () => {
+        return maintenance.showUser('ghost-uid')
+            .then( (report) => {
+                expect(report.hasAccount).to.equal(false);
+                expect(report.families).to.be.empty;
+            })
+        ;
+    });
+
+    it('rejects an unknown email', () => {
+        return maintenance.showUser('nobody@example.com')
+            .then( () => expect.fail("An unknown email is found") )
+            .catch( (error) => expect(error.message).to.equal("No user nobody@example.com") )
+        ;
+    });
+});
+
+
+describe('maintenance findProblems', () => {
+
+    it('finds users in many families, duplicate creators and members with no user document or device', () => {
+        return Promise.all([
+            createOtherFamily(),
+            helper.fixtures.createFamily('third-family-uid', [{user: USERS.owner, role: 'owner'}]),
+            helper.admin.firestore().doc(`users/${USERS.sibling.uid}`).set({deviceToken: 'legacy-token'}),
+        ])
+            .then( () => maintenance.findProblems() )
+            .then( (report) => {
+                const uidsOf = (problems) => problems.map( (problem) => problem.uid );
+                expect(uidsOf(report.usersInManyFamilies)).to.have.members([USERS.owner.uid, USERS.child.uid]);
+                expect(report.duplicateCreators).to.have.lengthOf(1);
+                expect(report.duplicateCreators[0].familyUids).to.have.members([FAMILY_UID, 'third-family-uid']);
+                expect(uidsOf(report.membersWithNoUserDocument)).to.include(USERS.child.uid).and.not.include(USERS.sibling.uid);
+                expect(uidsOf(report.membersWithNoDevice)).to.deep.equal([USERS.stranger.uid]);
+                expect(report.membersWithNoAccount).to.be.empty;
+                expect(report.inconsistentFamilies).to.be.empty;
+            })
+        ;
+    });
+
+    it('finds inconsistent families and members with no account', () => {
+        return breakDefaultFamily()
+            .then( () => maintenance.findProblems() )
+            .then( (report) => {
+                expect(report.membersWithNoAccount.map( (problem) => problem.uid )).to.deep.equal(['ghost-uid']);
+                expect(report.inconsistentFamilies).to.have.lengthOf(1);
+                expect(report.inconsistentFamilies[0].familyUid).to.equal(FAMILY_UID);
+            })
+        ;
+    });
+});
+
+
+describe('maintenance repairFamily', () => {
+
+    it('only reports the changes in a dry run', () => {
+        return breakDefaultFamily()
+            .then( () => maintenance.repairFamily(FAMILY_UID, false) )
+            .then( (report) => {
+                expect(report.applied).to.equal(false);
+                expect(report.changes).not.to.be.empty;
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.members).to.include('ghost-uid');
+            })
+        ;
+    });
+
+    it('repairs the members and roles with --apply', () => {
+        return breakDefaultFamily()
+            .then( () => maintenance.repairFamily(FAMILY_UID, true) )
+            .then( (report) => {
+                expect(report.applied).to.equal(true);
+                expect(report.problems).to.be.empty;
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.owner.uid);
+                expect(family.members).to.deep.equal([USERS.owner.uid, USERS.guardian.uid, USERS.child.uid, USERS.sibling.uid]);
+                expect(family.roles).to.deep.equal({
+                    [USERS.owner.uid]: 'owner',
+                    [USERS.guardian.uid]: 'guardian',
+                    [USERS.child.uid]: 'member',
+                    [USERS.sibling.uid]: 'member',
+                });
+                return maintenance.repairFamily(FAMILY_UID, true);
+            })
+            .then( (report) => {
+                expect(report.changes).to.be.empty;
+            })
+        ;
+    });
+
+    it('hands a family of a creator with no account over to an adult member', () => {
+        return helper.admin.auth().deleteUser(USERS.owner.uid)
+            .then( () => maintenance.repairFamily(FAMILY_UID, true) )
+            .then( () => helper.readDocument(`families/${FAMILY_UID}`) )
+            .then( (family) => {
+                expect(family.creator).to.equal(USERS.guardian.uid);
+                expect(family.roles[USERS.guardian.uid]).to.equal('owner');
+                expect(family.members).not.to.include(USERS.owner.uid);
+            })
+        ;
+    });
+});
+
+
+describe('maintenance mergeFamilies', () => {
+
+    /**
+     * Give the other family a geofence and an invite
+     */
+    function fillOtherFamily() {
+        const firestore = helper.admin.firestore();
+        return createOtherFamily()
+            .then( () => Promise.all([
+                firestore.doc(`families/${OTHER_FAMILY_UID}/geofences/school`).set({name: 'School', latitude: 55.75, longitude: 37.61, radius: 100}),
+                firestore.doc('invites/invite').set({familyUid: OTHER_FAMILY_UID, inviterUid: USERS.stranger.uid, status: 'pending'}),
+            ]) )
+        ;
+    }
+
+    it('only reports the changes in a dry run', () => {
+        return fillOtherFamily()
+            .then( () => maintenance.mergeFamilies(FAMILY_UID, OTHER_FAMILY_UID, false) )
+            .then( (report) => {
+                expect(report.applied).to.equal(false);
+                expect(report.changes).to.include(`add member ${USERS.stranger.uid} as guardian`);
+                return Promise.all([
+                    helper.readDocument(`families/${OTHER_FAMILY_UID}`),
+                    helper.readDocument('invites/invite'),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0]).not.to.equal(null);
+                expect(results[1].familyUid).to.equal(OTHER_FAMILY_UID);
+            })
+        ;
+    });
+
+    it('moves the members and data into the target family with --apply', () => {
+        return fillOtherFamily()
+            .then( () => maintenance.mergeFamilies(FAMILY_UID, OTHER_FAMILY_UID, true) )
+            .then( (report) => {
+                expect(report.applied).to.equal(true);
+                return Promise.all([
+                    helper.readDocument(`families/${FAMILY_UID}`),
+                    helper.readDocument(`families/${OTHER_FAMILY_UID}`),
+                    helper.readDocument(`families/${FAMILY_UID}/geofences/school`),
+                    helper.readDocument(`families/${OTHER_FAMILY_UID}/geofences/school`),
+                    helper.readDocument('invites/invite'),
+                ]);
+            })
+            .then( (results) => {
+                expect(results[0].creator).to.equal(USERS.owner.uid);
+                expect(results[0].members).to.deep.equal([USERS.owner.uid, USERS.guardian.uid, USERS.child.uid, USERS.sibling.uid, USERS.stranger.uid]);
+                expect(results[0].roles[USERS.stranger.uid]).to.equal('guardian');
+                expect(results[1]).to.equal(null);
+                expect(results[2].name).to.equal('School');
+                expect(results[3]).to.equal(null);
+                expect(results[4].familyUid).to.equal(FAMILY_UID);
+            })
+        ;
+    });
+
+    it('rejects merging a family into itself', () => {
+        return maintenance.mergeFamilies(FAMILY_UID, FAMILY_UID, true)
+            .then( () => expect.fail("A family is merged into itself") )
+            .catch( (error) => expect(error.message).to.equal("Cannot merge a family into itself") )
+        ;
+    });
+});
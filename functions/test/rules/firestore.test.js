@@ -0,0 +1,235 @@
+'use strict';
+
+// Firestore security rule tests. They run against the Firestore emulator started by `npm run test:emulators`, which
+// needs Java, separately from the callable tests, as clients signed in as the fixture users
+
+const fs = require('fs');
+const path = require('path');
+const testing = require('@firebase/rules-unit-testing');
+
+const fixtures = require('../fixtures');
+
+const PROJECT_ID = 'demo-capybara';
+const RULES_PATH = path.join(__dirname, '..', '..', '..', 'firestore.rules');
+const USERS = fixtures.USERS;
+const FAMILY_UID = fixtures.FAMILY_UID;
+
+let testEnv;
+
+
+/**
+ * Get a Firestore client signed in as a user, or an unauthenticated one
+ */
+function firestoreOf(user) {
+    const context = user ? testEnv.authenticatedContext(user.uid, {email: user.email}) : testEnv.unauthenticatedContext();
+    return context.firestore();
+}
+
+
+/**
+ * Seed the data with the rules disabled: the default family, a document, a device, a history entry and a shared
+ * location per member, a geofence and some documents clients should not see
+ */
+function seed() {
+    return testEnv.withSecurityRulesDisabled( (context) => {
+        const db = context.firestore();
+        const members = [USERS.owner, USERS.guardian, USERS.child, USERS.sibling];
+        const writePromises = [
+            db.doc(`families/${FAMILY_UID}`).set({
+                creator: USERS.owner.uid,
+                members: members.map( (user) => user.uid ),
+                roles: {
+                    [USERS.owner.uid]: 'owner',
+                    [USERS.guardian.uid]: 'guardian',
+                    [USERS.child.uid]: 'member',
+                    [USERS.sibling.uid]: 'member',
+                },
+                settings: {
+                    membersCanLocateAdults: false,
+                },
+            }),
+            db.doc(`families/${FAMILY_UID}/geofences/school`).set({name: 'School', latitude: 0, longitude: 0, radius: 100}),
+            db.doc(`families/${FAMILY_UID}/locations/${USERS.stranger.uid}`).set({location: 'left the family'}),
+            db.doc('invites/invite').set({inviterUid: USERS.owner.uid, inviteeUid: USERS.stranger.uid, token: 'secret'}),
+            db.doc('locationRequests/request').set({requesterUid: USERS.owner.uid}),
+            db.doc('sosAlerts/alert').set({familyUid: FAMILY_UID, senderUid: USERS.child.uid}),
+        ];
+        for (let user of members) {
+            writePromises.push(db.doc(`users/${user.uid}`).set({location: 'home'}));
+            writePromises.push(db.doc(`users/${user.uid}/devices/phone`).set({token: fixtures.deviceTokenOf(user)}));
+            writePromises.push(db.doc(`users/${user.uid}/locations/entry`).set({location: 'home'}));
+            writePromises.push(db.doc(`families/${FAMILY_UID}/locations/${user.uid}`).set({location: 'home'}));
+        }
+        return Promise.all(writePromises);
+    });
+}
+
+
+before( () => {
+    return testing.initializeTestEnvironment({
+        projectId: PROJECT_ID,
+        firestore: {
+            rules: fs.readFileSync(RULES_PATH, 'utf8'),
+        },
+    })
+        .then( (environment) => {
+            testEnv = environment;
+        })
+    ;
+});
+
+beforeEach( () => {
+    return testEnv.clearFirestore()
+        .then( () => seed() )
+    ;
+});
+
+after( () => testEnv.cleanup() );
+
+
+describe('users', () => {
+    it('lets a user read and write the own document', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.doc(`users/${USERS.child.uid}`).get())
+            .then( () => testing.assertSucceeds(db.doc(`users/${USERS.child.uid}`).set({deviceToken: 'token'}, {merge: true})) )
+        ;
+    });
+
+    it('does not let a user write the attributes the functions keep', () => {
+        const db = firestoreOf(USERS.child);
+        const userRef = db.doc(`users/${USERS.child.uid}`);
+        return testing.assertFails(userRef.set({location: 'moon'}, {merge: true}))
+            .then( () => testing.assertFails(userRef.update({statusAlerted: {}})) )
+            .then( () => testing.assertFails(userRef.update({statusCheckAt: null, deviceToken: 'token'})) )
+            .then( () => testing.assertFails(userRef.set({deviceToken: 'token'})) )                                     // which would drop the location
+            .then( () => testing.assertFails(firestoreOf(USERS.stranger).doc(`users/${USERS.stranger.uid}`).set({lastSeen: null})) )
+            .then( () => testing.assertSucceeds(firestoreOf(USERS.stranger).doc(`users/${USERS.stranger.uid}`).set({deviceToken: 'token'})) )
+        ;
+    });
+
+    it('does not let a user read or write another user document, even of a family member', () => {
+        const db = firestoreOf(USERS.owner);
+        return testing.assertFails(db.doc(`users/${USERS.child.uid}`).get())
+            .then( () => testing.assertFails(db.doc(`users/${USERS.child.uid}`).set({deviceToken: 'token'})) )
+        ;
+    });
+
+    it('lets a user register own devices only', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.doc(`users/${USERS.child.uid}/devices/tablet`).set({token: 'token'}))
+            .then( () => testing.assertFails(db.doc(`users/${USERS.sibling.uid}/devices/tablet`).set({token: 'token'})) )
+            .then( () => testing.assertFails(db.doc(`users/${USERS.sibling.uid}/devices/phone`).get()) )
+        ;
+    });
+
+    it('lets a user read the own location history, but not write it', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.collection(`users/${USERS.child.uid}/locations`).get())
+            .then( () => testing.assertFails(db.collection(`users/${USERS.child.uid}/locations`).add({location: 'moon'})) )
+            .then( () => testing.assertFails(db.collection(`users/${USERS.sibling.uid}/locations`).get()) )
+        ;
+    });
+
+    it('lets a user read the own sharing settings, but not write them', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.doc(`sharingSettings/${USERS.child.uid}`).get())
+            .then( () => testing.assertFails(db.doc(`sharingSettings/${USERS.child.uid}`).set({mode: 'on'})) )
+            .then( () => testing.assertFails(firestoreOf(USERS.owner).doc(`sharingSettings/${USERS.child.uid}`).get()) )
+        ;
+    });
+
+    it('lets a user read the own profile, but not write it', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.doc(`profiles/${USERS.child.uid}`).get())
+            .then( () => testing.assertFails(db.doc(`profiles/${USERS.child.uid}`).set({nickname: 'Kid'})) )
+        ;
+    });
+
+    it('does not let an unauthenticated client in', () => {
+        return testing.assertFails(firestoreOf(null).doc(`users/${USERS.child.uid}`).get());
+    });
+});
+
+
+describe('families', () => {
+    it('lets a member read the family', () => {
+        return testing.assertSucceeds(firestoreOf(USERS.child).doc(`families/${FAMILY_UID}`).get());
+    });
+
+    it('lets a user query the families which the user belongs to', () => {
+        const query = firestoreOf(USERS.guardian).collection('families').where('members', 'array-contains', USERS.guardian.uid);
+        return testing.assertSucceeds(query.get());
+    });
+
+    it('does not let a stranger read the family', () => {
+        return testing.assertFails(firestoreOf(USERS.stranger).doc(`families/${FAMILY_UID}`).get());
+    });
+
+    it('does not let even the owner write the family directly', () => {
+        return testing.assertFails(firestoreOf(USERS.owner).doc(`families/${FAMILY_UID}`).update({members: []}));
+    });
+
+    it('lets a member read the geofences, but not write them', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertSucceeds(db.collection(`families/${FAMILY_UID}/geofences`).get())
+            .then( () => testing.assertFails(firestoreOf(USERS.owner).doc(`families/${FAMILY_UID}/geofences/school`).delete()) )
+            .then( () => testing.assertFails(firestoreOf(USERS.stranger).doc(`families/${FAMILY_UID}/geofences/school`).get()) )
+        ;
+    });
+});
+
+
+describe('family member locations', () => {
+    /**
+     * Read a member shared location as a user
+     */
+    function readLocation(reader, member) {
+        return firestoreOf(reader).doc(`families/${FAMILY_UID}/locations/${member.uid}`).get();
+    }
+
+    it('lets an adult read the locations of every member', () => {
+        return testing.assertSucceeds(readLocation(USERS.guardian, USERS.child))
+            .then( () => testing.assertSucceeds(readLocation(USERS.guardian, USERS.owner)) )
+        ;
+    });
+
+    it('lets a minor read the locations of minors and the own one', () => {
+        return testing.assertSucceeds(readLocation(USERS.child, USERS.sibling))
+            .then( () => testing.assertSucceeds(readLocation(USERS.child, USERS.child)) )
+        ;
+    });
+
+    it('does not let a minor read an adult location unless the owner allows it', () => {
+        return testing.assertFails(readLocation(USERS.child, USERS.owner))
+            .then( () => {
+                return testEnv.withSecurityRulesDisabled( (context) => {
+                    return context.firestore().doc(`families/${FAMILY_UID}`).update({'settings.membersCanLocateAdults': true});
+                });
+            })
+            .then( () => testing.assertSucceeds(readLocation(USERS.child, USERS.owner)) )
+        ;
+    });
+
+    it('does not let anybody read a location of a user who is not a member', () => {
+        return testing.assertFails(readLocation(USERS.owner, USERS.stranger));
+    });
+
+    it('does not let a stranger read member locations', () => {
+        return testing.assertFails(readLocation(USERS.stranger, USERS.child));
+    });
+
+    it('does not let a member write a location directly', () => {
+        const db = firestoreOf(USERS.child);
+        return testing.assertFails(db.doc(`families/${FAMILY_UID}/locations/${USERS.child.uid}`).set({location: 'school'}));
+    });
+});
+
+
+describe('callable-only data', () => {
+    it('does not let clients read invites, location requests and SOS alerts', () => {
+        return testing.assertFails(firestoreOf(USERS.stranger).doc('invites/invite').get())
+            .then( () => testing.assertFails(firestoreOf(USERS.owner).doc('locationRequests/request').get()) )
+            .then( () => testing.assertFails(firestoreOf(USERS.owner).doc('sosAlerts/alert').get()) )
+        ;
+    });
+});
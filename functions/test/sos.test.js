@@ -0,0 +1,155 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+const deviceTokenOf = helper.fixtures.deviceTokenOf;
+
+const LOCATION = JSON.stringify({latitude: 55.7558, longitude: 37.6173});
+const ESCALATION_LEVELS = 4;                                                                                            // the re-sending intervals
+
+
+/**
+ * Make an SOS alert due to escalate, as if its escalation time passed
+ */
+function makeDue(alertUid) {
+    return helper.admin.firestore().doc(`sosAlerts/${alertUid}`).update({
+        nextEscalationAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() - 1000),
+    });
+}
+
+
+describe('acknowledgeSos', () => {
+    const sendSos = helper.wrap('sendSos');
+    const acknowledgeSos = helper.wrap('acknowledgeSos');
+
+    it('closes the alert and tells the other members', () => {
+        let alertUid;
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( (result) => alertUid = result.alertUid )
+            .then( () => acknowledgeSos({alertUid: alertUid}, contextOf(USERS.guardian)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                for (let user of [USERS.owner, USERS.child, USERS.sibling]) {
+                    const messages = helper.messagesTo(deviceTokenOf(user), 'sosAcknowledged');
+                    expect(messages).to.have.lengthOf(1);
+                    expect(messages[0].data.alertUid).to.equal(alertUid);
+                }
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'sosAcknowledged')).to.have.lengthOf(0);
+                return helper.readDocument(`sosAlerts/${alertUid}`);
+            })
+            .then( (alert) => {
+                expect(alert.status).to.equal('acknowledged');
+                expect(alert.acknowledgedBy).to.equal(USERS.guardian.uid);
+                expect(alert.nextEscalationAt).to.equal(null);
+            })
+        ;
+    });
+
+    it('rejects an alert already acknowledged', () => {
+        let alertUid;
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( (result) => alertUid = result.alertUid )
+            .then( () => acknowledgeSos({alertUid: alertUid}, contextOf(USERS.guardian)) )
+            .then( () => {
+                const promise = acknowledgeSos({alertUid: alertUid}, contextOf(USERS.owner));
+                return helper.expectHttpsError(promise, 'failed-precondition', 'sos_closed');
+            })
+        ;
+    });
+
+    it('tells a stranger there is no such alert', () => {
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( (result) => {
+                const promise = acknowledgeSos({alertUid: result.alertUid}, contextOf(USERS.stranger));
+                return helper.expectHttpsError(promise, 'not-found', 'no_sos');
+            })
+        ;
+    });
+
+    it('rejects an unknown alert', () => {
+        const promise = acknowledgeSos({alertUid: 'no-such-alert'}, contextOf(USERS.guardian));
+        return helper.expectHttpsError(promise, 'not-found', 'no_sos');
+    });
+});
+
+
+describe('escalateSosAlerts', () => {
+    const sendSos = helper.wrap('sendSos');
+    const acknowledgeSos = helper.wrap('acknowledgeSos');
+    const escalateSosAlerts = helper.wrap('escalateSosAlerts');
+
+    it('re-sends a due alert to the members once per level', () => {
+        let alertUid;
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( (result) => alertUid = result.alertUid )
+            .then( () => makeDue(alertUid) )
+            .then( () => Promise.all([escalateSosAlerts({}), escalateSosAlerts({})]) )
+            .then( () => {
+                const messages = helper.messagesTo(deviceTokenOf(USERS.guardian), 'sos');
+                expect(messages.map( (message) => message.data.escalationLevel )).to.deep.equal(['0', '1']);
+                expect(helper.messagesTo(deviceTokenOf(USERS.child), 'sos')).to.have.lengthOf(0);
+                return helper.readDocument(`sosAlerts/${alertUid}`);
+            })
+            .then( (alert) => {
+                expect(alert.escalationLevel).to.equal(1);
+                expect(alert.nextEscalationAt.toMillis()).to.be.above(Date.now());
+            })
+        ;
+    });
+
+    it('does not re-send an alert before it is due', () => {
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( () => escalateSosAlerts({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'sos')).to.have.lengthOf(1);
+            })
+        ;
+    });
+
+    it('stops once the alert is acknowledged', () => {
+        let alertUid;
+        return sendSos({location: LOCATION}, contextOf(USERS.child))
+            .then( (result) => alertUid = result.alertUid )
+            .then( () => acknowledgeSos({alertUid: alertUid}, contextOf(USERS.owner)) )
+            .then( () => makeDue(alertUid) )                                                                            // as if it was acknowledged late
+            .then( () => escalateSosAlerts({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'sos')).to.have.lengthOf(1);
+                return helper.readDocument(`sosAlerts/${alertUid}`);
+            })
+            .then( (alert) => {
+                expect(alert.status).to.equal('acknowledged');
+                expect(alert.escalationLevel).to.equal(0);
+            })
+        ;
+    });
+
+    it('notifies the secondary contacts at the last level, recording the ones without an account', () => {
+        let alertUid;
+        const contactEmails = [USERS.stranger.email, 'nobody@example.com'];
+        return helper.admin.firestore().doc(`families/${FAMILY_UID}`).update({'settings.sosContactEmails': contactEmails})
+            .then( () => helper.fixtures.registerDevice(USERS.stranger) )
+            .then( () => sendSos({location: LOCATION}, contextOf(USERS.child)) )
+            .then( (result) => alertUid = result.alertUid )
+            .then( () => helper.admin.firestore().doc(`sosAlerts/${alertUid}`).update({escalationLevel: ESCALATION_LEVELS - 1}) )
+            .then( () => makeDue(alertUid) )
+            .then( () => escalateSosAlerts({}) )
+            .then( () => {
+                const messages = helper.messagesTo(deviceTokenOf(USERS.stranger), 'sos');
+                expect(messages).to.have.lengthOf(1);
+                expect(messages[0].data.escalationLevel).to.equal(String(ESCALATION_LEVELS));
+                return helper.readDocument(`sosAlerts/${alertUid}`);
+            })
+            .then( (alert) => {
+                expect(alert.escalationLevel).to.equal(ESCALATION_LEVELS);
+                expect(alert.nextEscalationAt).to.equal(null);
+                expect(alert.secondaryContactsNotifiedAt).to.be.an('object');
+                expect(alert.undeliverableContactEmails).to.deep.equal(['nobody@example.com']);
+            })
+        ;
+    });
+});
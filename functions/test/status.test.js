@@ -0,0 +1,174 @@
+'use strict';
+
+const expect = require('chai').expect;
+const helper = require('./helper');
+
+const USERS = helper.fixtures.USERS;
+const FAMILY_UID = helper.fixtures.FAMILY_UID;
+const contextOf = helper.fixtures.contextOf;
+const deviceTokenOf = helper.fixtures.deviceTokenOf;
+
+const LOCATION = JSON.stringify({latitude: 55.7558, longitude: 37.6173});
+const HOUR_MILLIS = 60 * 60 * 1000;
+
+
+describe('getFamilyStatus', () => {
+    const getFamilyStatus = helper.wrap('getFamilyStatus');
+    const sendLocation = helper.wrap('sendLocation');
+
+    it('returns the last location, the last seen time and the device status of each member', () => {
+        const deviceStatus = {batteryLevel: 42, isCharging: false, networkType: 'cellular', appVersion: '2.1.0'};
+        return sendLocation(Object.assign({location: LOCATION}, deviceStatus), contextOf(USERS.child))
+            .then( () => getFamilyStatus({}, contextOf(USERS.guardian)) )
+            .then( (result) => {
+                expect(result.returnCode).to.equal('ok');
+                expect(result.members.map( (member) => member.uid )).to.have.members([USERS.owner.uid, USERS.child.uid, USERS.sibling.uid]);
+                const child = result.members.find( (member) => member.uid === USERS.child.uid );
+                expect(child.location).to.equal(LOCATION);
+                expect(child.lastSeen).to.be.a('number');
+                expect(child.isOffline).to.equal(false);
+                expect(child.deviceStatus).to.deep.equal(deviceStatus);
+                const sibling = result.members.find( (member) => member.uid === USERS.sibling.uid );
+                expect(sibling.lastSeen).to.equal(null);
+                expect(sibling.deviceStatus.batteryLevel).to.equal(null);
+            })
+        ;
+    });
+
+    it('keeps the device status attributes not sent', () => {
+        return sendLocation({location: LOCATION, batteryLevel: 80, networkType: 'wifi'}, contextOf(USERS.child))
+            .then( () => sendLocation({location: LOCATION, batteryLevel: 79}, contextOf(USERS.child)) )
+            .then( () => helper.readDocument(`users/${USERS.child.uid}`) )
+            .then( (user) => {
+                expect(user.deviceStatus).to.deep.equal({batteryLevel: 79, networkType: 'wifi'});
+            })
+        ;
+    });
+
+    it('rejects a battery level out of range', () => {
+        const promise = sendLocation({location: LOCATION, batteryLevel: 101}, contextOf(USERS.child));
+        return helper.expectHttpsError(promise, 'invalid-argument', 'invalid_argument');
+    });
+});
+
+
+describe('checkDeviceStatus', () => {
+    const checkDeviceStatus = helper.wrap('checkDeviceStatus');
+
+    /**
+     * Store a member last seen time and device status, as sendLocation does, with the status check time come
+     */
+    function storeStatus(user, lastSeenMillis, deviceStatus) {
+        return helper.admin.firestore().doc(`users/${user.uid}`).set({
+            lastSeen: helper.admin.firestore.Timestamp.fromMillis(lastSeenMillis),
+            deviceStatus: deviceStatus,
+            statusCheckAt: helper.admin.firestore.Timestamp.now(),
+        }, {merge: true});
+    }
+
+    it('alerts the adults once when a member battery gets low', () => {
+        return storeStatus(USERS.child, Date.now(), {batteryLevel: 10, isCharging: false})
+            .then( () => checkDeviceStatus({}) )
+            .then( () => checkDeviceStatus({}) )
+            .then( () => {
+                for (let user of [USERS.owner, USERS.guardian]) {
+                    const messages = helper.messagesTo(deviceTokenOf(user), 'lowBattery');
+                    expect(messages).to.have.lengthOf(1);
+                    expect(messages[0].data.memberUid).to.equal(USERS.child.uid);
+                    expect(messages[0].data.batteryLevel).to.equal('10');
+                }
+                expect(helper.messagesTo(deviceTokenOf(USERS.sibling), 'lowBattery')).to.have.lengthOf(0);
+                return helper.readDocument(`families/${FAMILY_UID}`);
+            })
+            .then( (family) => {
+                expect(family.statusAlerts[USERS.child.uid]).to.deep.equal({lowBattery: true, wentOffline: false});
+            })
+        ;
+    });
+
+    it('clears the alert of a member whose battery recovered, and alerts again when it gets low again', () => {
+        return storeStatus(USERS.child, Date.now(), {batteryLevel: 10, isCharging: false})
+            .then( () => checkDeviceStatus({}) )
+            .then( () => helper.readDocument(`users/${USERS.child.uid}`) )
+            .then( (user) => {
+                expect(user.statusAlerted).to.equal(true);
+                return storeStatus(USERS.child, Date.now(), {batteryLevel: 90, isCharging: false}); // no longer low, nor offline
+            })
+            .then( () => checkDeviceStatus({}) )
+            .then( () => Promise.all([helper.readDocument(`families/${FAMILY_UID}`), helper.readDocument(`users/${USERS.child.uid}`)]) )
+            .then( (documents) => {
+                expect(documents[0].statusAlerts[USERS.child.uid]).to.deep.equal({lowBattery: false, wentOffline: false});
+                expect(documents[1].statusAlerted).to.equal(false);
+                return storeStatus(USERS.child, Date.now(), {batteryLevel: 5, isCharging: false});
+            })
+            .then( () => checkDeviceStatus({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'lowBattery')).to.have.lengthOf(2);
+            })
+        ;
+    });
+
+    it('does not alert about a charging device', () => {
+        return storeStatus(USERS.child, Date.now(), {batteryLevel: 10, isCharging: true})
+            .then( () => checkDeviceStatus({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'lowBattery')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('alerts the adults when a member has not been seen for the offline period', () => {
+        return helper.admin.firestore().doc(`families/${FAMILY_UID}`).update({'settings.offlineAfterMinutes': 30})
+            .then( () => storeStatus(USERS.child, Date.now() - HOUR_MILLIS, {batteryLevel: 50}) )
+            .then( () => checkDeviceStatus({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'wentOffline')).to.have.lengthOf(1);
+                expect(helper.messagesTo(deviceTokenOf(USERS.guardian), 'lowBattery')).to.have.lengthOf(0);
+            })
+        ;
+    });
+
+    it('has sendLocation schedule a check at once for a low battery, and otherwise at the offline time', () => {
+        const sendLocation = helper.wrap('sendLocation');
+        const now = Date.now();
+        return sendLocation({location: LOCATION, batteryLevel: 80}, contextOf(USERS.child))
+            .then( () => helper.readDocument(`users/${USERS.child.uid}`) )
+            .then( (user) => {
+                expect(user.statusCheckAt.toMillis()).to.be.at.least(now + 15 * 60 * 1000);
+                return sendLocation({location: LOCATION, batteryLevel: 10}, contextOf(USERS.child));
+            })
+            .then( () => helper.readDocument(`users/${USERS.child.uid}`) )
+            .then( (user) => {
+                expect(user.statusCheckAt.toMillis()).to.be.at.most(Date.now());
+                return checkDeviceStatus({});
+            })
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'lowBattery')).to.have.lengthOf(1);
+            })
+        ;
+    });
+
+    it('checks a member next at the time the member may go offline', () => {
+        const lastSeenMillis = Date.now();
+        return storeStatus(USERS.child, lastSeenMillis, {batteryLevel: 10, isCharging: false})
+            .then( () => checkDeviceStatus({}) )
+            .then( () => helper.readDocument(`users/${USERS.child.uid}`) )
+            .then( (user) => {
+                expect(user.statusCheckAt.toMillis()).to.equal(lastSeenMillis + HOUR_MILLIS);                           // the default offline period
+            })
+        ;
+    });
+
+    it('does not check a member which status check time has not come', () => {
+        return storeStatus(USERS.child, Date.now() - HOUR_MILLIS, {batteryLevel: 10, isCharging: false})
+            .then( () => helper.admin.firestore().doc(`users/${USERS.child.uid}`).update({
+                statusCheckAt: helper.admin.firestore.Timestamp.fromMillis(Date.now() + HOUR_MILLIS),
+            }) )
+            .then( () => checkDeviceStatus({}) )
+            .then( () => {
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'lowBattery')).to.have.lengthOf(0);
+                expect(helper.messagesTo(deviceTokenOf(USERS.owner), 'wentOffline')).to.have.lengthOf(0);
+            })
+        ;
+    });
+});
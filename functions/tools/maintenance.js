@@ -0,0 +1,564 @@
+'use strict';
+
+// A maintenance tool to inspect and repair the family data with the Admin SDK, for what the callables cannot fix.
+// Run from the functions directory:
+//
+//   npm run maintenance -- <command> [<arguments>] [--apply] [--project <projectId>]
+//
+// Nothing is written unless --apply is given: the changes are printed instead. Reports go to stdout as JSON.
+// With FIRESTORE_EMULATOR_HOST and FIREBASE_AUTH_EMULATOR_HOST set, the tool works against the emulators.
+
+const admin = require('firebase-admin');
+
+const ROLE_OWNER = 'owner';
+const ROLE_GUARDIAN = 'guardian';
+const ROLE_MEMBER = 'member';                                                                                           // a minor
+const ROLES = [ROLE_OWNER, ROLE_GUARDIAN, ROLE_MEMBER];
+
+const FAMILY_SUBCOLLECTIONS = ['geofences', 'checkIns', 'locations', 'activity'];
+const FAMILY_REFERRING_COLLECTIONS = ['invites', 'inviteCodes', 'locationRequests', 'sosAlerts'];                       // referring by familyUid
+const GET_USERS_SIZE_MAX = 100;                                                                                         // the Admin SDK limit
+const BATCH_SIZE_MAX = 500;                                                                                             // the Firestore limit
+
+const USAGE = `Usage: npm run maintenance -- <command> [<arguments>] [--apply] [--project <projectId>]
+
+Commands:
+  list-families                          list the families with their members and roles
+  show-user <email|uid>                  show the families, the user document and the devices of a user
+  find-problems                          find users in more than one family, creators of more than one family,
+                                         members with no account, no user document or no device,
+                                         and families which repair-family would change
+  repair-family <familyId>               make the members, the roles and the owner of a family consistent
+  merge-families <targetId> <sourceId>   move the members and the data of the source family into the target one
+                                         and delete the source family
+
+Options:
+  --apply                                write the changes; without it, the changes are only printed
+  --project <projectId>                  the project; defaults to GCLOUD_PROJECT or the application default one`;
+
+
+// --------------------------- Commands
+
+/**
+ * List the families with their creators, members and roles
+ */
+function listFamilies() {
+    return admin.firestore().collection('families').get()
+        .then( (familiesSnapshot) => {
+            return getUserRecords(getUids(familiesSnapshot.docs.map( (familySnapshot) => familySnapshot.data() )))
+                .then( (userRecordsByUid) => {
+                    return {
+                        families: familiesSnapshot.docs.map( (familySnapshot) => {
+                            const family = familySnapshot.data();
+                            return {
+                                familyUid: familySnapshot.id,
+                                creator: toUserReport(family.creator, userRecordsByUid),
+                                members: (family.members || []).map( (memberUid) => {
+                                    return Object.assign(toUserReport(memberUid, userRecordsByUid), {
+                                        role: getFamilyRole(family, memberUid),
+                                    });
+                                }),
+                            };
+                        }),
+                    };
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Show a user given by an email or a uid: the account, the families the user belongs to or has created,
+ * the user document and the registered devices
+ */
+function showUser(emailOrUid) {
+    const firestore = admin.firestore();
+
+    return findUser(emailOrUid)
+        .then( (user) => {
+            const familiesRef = firestore.collection('families');
+            const userRef = firestore.collection('users').doc(user.uid);
+            return Promise.all([
+                familiesRef.where('members', 'array-contains', user.uid).get(),
+                familiesRef.where('creator', '==', user.uid).get(),
+                userRef.get(),
+                userRef.collection('devices').get(),
+            ])
+                .then( (results) => {
+                    const memberFamilySnapshots = results[0].docs;
+                    const createdFamilySnapshots = results[1].docs;
+                    const userSnapshot = results[2];
+                    const devicesSnapshot = results[3];
+                    return {
+                        uid: user.uid,
+                        email: user.email,
+                        hasAccount: user.hasAccount,
+                        hasUserDocument: userSnapshot.exists,
+                        legacyDeviceToken: userSnapshot.exists && !!userSnapshot.data().deviceToken,
+                        devices: devicesSnapshot.docs.map( (deviceSnapshot) => {
+                            return {
+                                installationId: deviceSnapshot.id,
+                                platform: deviceSnapshot.data().platform || null,
+                                appVersion: deviceSnapshot.data().appVersion || null,
+                                hasToken: !!deviceSnapshot.data().token,
+                            };
+                        }),
+                        families: memberFamilySnapshots.map( (familySnapshot) => {
+                            return {
+                                familyUid: familySnapshot.id,
+                                role: getFamilyRole(familySnapshot.data(), user.uid),
+                                memberCount: familySnapshot.data().members.length,
+                            };
+                        }),
+                        createdFamilyUids: createdFamilySnapshots.map( (familySnapshot) => familySnapshot.id ),
+                    };
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Find the problems across all the families:
+ * - users who belong to more than one family, so the callables answer them with many_families
+ *   unless a family is given;
+ * - users who created more than one family;
+ * - members with no Auth account, no user document, or no device to send messages to;
+ * - families which repair-family would change
+ */
+function findProblems() {
+    const firestore = admin.firestore();
+
+    return firestore.collection('families').get()
+        .then( (familiesSnapshot) => {
+            const familyUidsByMemberUid = {};
+            const familyUidsByCreatorUid = {};
+            for (let familySnapshot of familiesSnapshot.docs) {
+                const family = familySnapshot.data();
+                for (let memberUid of new Set(family.members || [])) {
+                    familyUidsByMemberUid[memberUid] = (familyUidsByMemberUid[memberUid] || []).concat(familySnapshot.id);
+                }
+                if (family.creator) {
+                    familyUidsByCreatorUid[family.creator] = (familyUidsByCreatorUid[family.creator] || []).concat(familySnapshot.id);
+                }
+            }
+            const memberUids = Object.keys(familyUidsByMemberUid);
+            const userRefs = memberUids.map( (memberUid) => firestore.collection('users').doc(memberUid) );
+
+            return Promise.all([
+                getUserRecords(getUids(familiesSnapshot.docs.map( (familySnapshot) => familySnapshot.data() ))),
+                userRefs.length > 0 ? firestore.getAll(...userRefs) : Promise.resolve([]),
+                Promise.all(userRefs.map( (userRef) => userRef.collection('devices').get() )),
+            ])
+                .then( (results) => {
+                    const userRecordsByUid = results[0];
+                    const userSnapshots = results[1];
+                    const devicesSnapshots = results[2];
+                    const toProblem = (uid, familyUids) => Object.assign(toUserReport(uid, userRecordsByUid), {familyUids: familyUids});
+                    const membersWithNoUserDocument = [];
+                    const membersWithNoDevice = [];
+                    memberUids.forEach( (memberUid, index) => {
+                        const problem = toProblem(memberUid, familyUidsByMemberUid[memberUid]);
+                        if (!userSnapshots[index].exists) membersWithNoUserDocument.push(problem);
+                        const hasLegacyToken = userSnapshots[index].exists && !!userSnapshots[index].data().deviceToken;
+                        const hasDeviceToken = devicesSnapshots[index].docs.some( (deviceSnapshot) => !!deviceSnapshot.data().token );
+                        if (!hasLegacyToken && !hasDeviceToken) membersWithNoDevice.push(problem);
+                    });
+                    return {
+                        usersInManyFamilies: memberUids
+                            .filter( (memberUid) => familyUidsByMemberUid[memberUid].length > 1 )
+                            .map( (memberUid) => toProblem(memberUid, familyUidsByMemberUid[memberUid]) ),
+                        duplicateCreators: Object.keys(familyUidsByCreatorUid)
+                            .filter( (creatorUid) => familyUidsByCreatorUid[creatorUid].length > 1 )
+                            .map( (creatorUid) => toProblem(creatorUid, familyUidsByCreatorUid[creatorUid]) ),
+                        membersWithNoAccount: memberUids
+                            .filter( (memberUid) => !userRecordsByUid[memberUid] )
+                            .map( (memberUid) => toProblem(memberUid, familyUidsByMemberUid[memberUid]) ),
+                        membersWithNoUserDocument: membersWithNoUserDocument,
+                        membersWithNoDevice: membersWithNoDevice,
+                        inconsistentFamilies: familiesSnapshot.docs
+                            .map( (familySnapshot) => Object.assign({familyUid: familySnapshot.id}, planFamilyRepair(familySnapshot.data(), userRecordsByUid)) )
+                            .filter( (plan) => plan.changes.length > 0 || plan.problems.length > 0 )
+                            .map( (plan) => {
+                                return {
+                                    familyUid: plan.familyUid,
+                                    changes: plan.changes,
+                                    problems: plan.problems,
+                                };
+                            }),
+                    };
+                })
+            ;
+        })
+    ;
+}
+
+
+/**
+ * Repair a family document:
+ * - removing duplicate members and members with no Auth account;
+ * - adding the creator to the members, or handing the family over to an adult member if the creator has no account;
+ * - making the creator the only owner, turning other owners into guardians;
+ * - giving members with no role or an unknown one the member role, and dropping roles of non-members.
+ * The members are not notified. Only the family document is written, in a transaction
+ */
+function repairFamily(familyUid, apply) {
+    const firestore = admin.firestore();
+    const familyRef = firestore.collection('families').doc(familyUid);
+
+    return familyRef.get()
+        .then( (familySnapshot) => {
+            if (!familySnapshot.exists) throw new Error(`No family ${familyUid}`);
+            return getUserRecords(getUids([familySnapshot.data()]));
+        })
+        .then( (userRecordsByUid) => {
+            return firestore.runTransaction( (transaction) => {
+                return transaction.get(familyRef)                                                                       // read again, not to overwrite a concurrent change
+                    .then( (familySnapshot) => {
+                        if (!familySnapshot.exists) throw new Error(`No family ${familyUid}`);
+                        const plan = planFamilyRepair(familySnapshot.data(), userRecordsByUid);
+                        const applied = apply && plan.changes.length > 0;
+                        if (applied) transaction.update(familyRef, plan.data);
+                        return {
+                            familyUid: familyUid,
+                            applied: applied,
+                            changes: plan.changes,
+                            problems: plan.problems,
+                        };
+                    })
+                ;
+            });
+        })
+    ;
+}
+
+
+/**
+ * Merge a source family into a target one:
+ * - adding the source members to the target members with their roles, the source owner becoming a guardian;
+ * - copying the source geofences, check-ins, shared locations and activity, keeping the target documents
+ *   with the same ids;
+ * - pointing the source invites, invite codes, location requests and SOS alerts to the target family;
+ * - deleting the source family with its subcollections.
+ * The target settings are kept. The members are not notified. The writes are batched, so they are not atomic
+ */
+function mergeFamilies(targetFamilyUid, sourceFamilyUid, apply) {
+    const firestore = admin.firestore();
+    const familiesRef = firestore.collection('families');
+    const targetRef = familiesRef.doc(targetFamilyUid);
+    const sourceRef = familiesRef.doc(sourceFamilyUid);
+
+    if (targetFamilyUid === sourceFamilyUid) return Promise.reject(new Error("Cannot merge a family into itself"));
+
+    return Promise.all([
+        targetRef.get(),
+        sourceRef.get(),
+        Promise.all(FAMILY_SUBCOLLECTIONS.map( (name) => targetRef.collection(name).get() )),
+        Promise.all(FAMILY_SUBCOLLECTIONS.map( (name) => sourceRef.collection(name).get() )),
+        Promise.all(FAMILY_REFERRING_COLLECTIONS.map( (name) => firestore.collection(name).where('familyUid', '==', sourceFamilyUid).get() )),
+    ])
+        .then( (results) => {
+            const targetSnapshot = results[0];
+            const sourceSnapshot = results[1];
+            if (!targetSnapshot.exists) throw new Error(`No family ${targetFamilyUid}`);
+            if (!sourceSnapshot.exists) throw new Error(`No family ${sourceFamilyUid}`);
+            const target = targetSnapshot.data();
+            const source = sourceSnapshot.data();
+            const changes = [];
+            const writes = [];
+
+            const members = Array.from(new Set(target.members || []));
+            const roles = {};
+            for (let memberUid of members) {
+                roles[memberUid] = getFamilyRole(target, memberUid);
+            }
+            for (let memberUid of new Set(source.members || [])) {
+                if (members.includes(memberUid)) continue;
+                const role = getFamilyRole(source, memberUid) === ROLE_OWNER ? ROLE_GUARDIAN : getFamilyRole(source, memberUid);
+                members.push(memberUid);
+                roles[memberUid] = role;
+                changes.push(`add member ${memberUid} as ${role}`);
+            }
+            writes.push( (batch) => batch.update(targetRef, {members: members, roles: roles}) );
+
+            FAMILY_SUBCOLLECTIONS.forEach( (name, index) => {
+                const targetIds = results[2][index].docs.map( (snapshot) => snapshot.id );
+                const copiedSnapshots = results[3][index].docs.filter( (snapshot) => !targetIds.includes(snapshot.id) );
+                for (let snapshot of copiedSnapshots) {
+                    writes.push( (batch) => batch.set(targetRef.collection(name).doc(snapshot.id), snapshot.data()) );
+                }
+                if (copiedSnapshots.length > 0) changes.push(`copy ${copiedSnapshots.length} ${name} document(s)`);
+                const skippedCount = results[3][index].size - copiedSnapshots.length;
+                if (skippedCount > 0) changes.push(`skip ${skippedCount} ${name} document(s) the target already has`);
+            });
+
+            FAMILY_REFERRING_COLLECTIONS.forEach( (name, index) => {
+                for (let snapshot of results[4][index].docs) {
+                    writes.push( (batch) => batch.update(snapshot.ref, {familyUid: targetFamilyUid}) );
+                }
+                if (results[4][index].size > 0) changes.push(`point ${results[4][index].size} ${name} document(s) to family ${targetFamilyUid}`);
+            });
+
+            FAMILY_SUBCOLLECTIONS.forEach( (name, index) => {
+                for (let snapshot of results[3][index].docs) {
+                    writes.push( (batch) => batch.delete(snapshot.ref) );
+                }
+            });
+            writes.push( (batch) => batch.delete(sourceRef) );
+            changes.push(`delete family ${sourceFamilyUid}`);
+
+            return (apply ? commitWrites(writes) : Promise.resolve())
+                .then( () => {
+                    return {
+                        targetFamilyUid: targetFamilyUid,
+                        sourceFamilyUid: sourceFamilyUid,
+                        applied: !!apply,
+                        changes: changes,
+                    };
+                })
+            ;
+        })
+    ;
+}
+
+
+// --------------------------- Helpers
+
+/**
+ * Plan a repair of a family document, given the Auth accounts of its users. Return the repaired family attributes,
+ * the changes which make them, and the problems left for a person to solve
+ */
+function planFamilyRepair(family, userRecordsByUid) {
+    const changes = [];
+    const problems = [];
+    const roles = family.roles || {};
+
+    const members = [];
+    for (let memberUid of family.members || []) {
+        if (members.includes(memberUid)) {
+            changes.push(`remove a duplicate of member ${memberUid}`);
+        } else if (!userRecordsByUid[memberUid]) {
+            changes.push(`remove member ${memberUid} with no account`);
+        } else {
+            members.push(memberUid);
+        }
+    }
+
+    let creator = family.creator;
+    if (userRecordsByUid[creator] && !members.includes(creator)) {
+        members.unshift(creator);
+        changes.push(`add creator ${creator} to the members`);
+    } else if (!userRecordsByUid[creator]) {
+        const heirUid = members.find( (memberUid) => roles[memberUid] === ROLE_OWNER || roles[memberUid] === ROLE_GUARDIAN );
+        if (heirUid) {
+            changes.push(`hand the family over from creator ${creator} with no account to ${heirUid}`);
+            creator = heirUid;
+        } else {
+            problems.push(`creator ${creator} has no account, and there is no adult member to hand the family over to`);
+        }
+    }
+
+    const repairedRoles = {};
+    for (let memberUid of members) {
+        let role = ROLES.includes(roles[memberUid]) ? roles[memberUid] : ROLE_MEMBER;
+        if (memberUid === creator) {
+            role = ROLE_OWNER;
+        } else if (role === ROLE_OWNER) {
+            role = ROLE_GUARDIAN;                                                                                       // only the creator owns a family
+        }
+        if (role !== roles[memberUid]) changes.push(`set the role of ${memberUid} to ${role}`);
+        repairedRoles[memberUid] = role;
+    }
+    for (let uid of Object.keys(roles)) {
+        if (!(family.members || []).includes(uid)) changes.push(`drop the role of non-member ${uid}`);
+    }
+    if (members.length === 0) problems.push("the family has no members left; delete it");
+
+    return {
+        data: {
+            creator: creator,
+            members: members,
+            roles: repairedRoles,
+        },
+        changes: changes,
+        problems: problems,
+    };
+}
+
+
+/**
+ * Get a role of a user in a family, or null if the user is not a member. Mirrors getFamilyRole() in index.js
+ */
+function getFamilyRole(family, uid) {
+    if (!(family.members || []).includes(uid)) return null;
+    if (family.roles && family.roles[uid]) return family.roles[uid];
+    return uid === family.creator ? ROLE_OWNER : ROLE_MEMBER;
+}
+
+
+/**
+ * Get the unique uids of the creators and the members of given families
+ */
+function getUids(families) {
+    const uids = new Set();
+    for (let family of families) {
+        if (family.creator) uids.add(family.creator);
+        for (let memberUid of family.members || []) uids.add(memberUid);
+    }
+    return Array.from(uids);
+}
+
+
+/**
+ * Get the Auth user records of given uids, keyed by uid; uids with no account are absent
+ */
+function getUserRecords(uids) {
+    const batches = [];
+    for (let i = 0; i < uids.length; i += GET_USERS_SIZE_MAX) {
+        batches.push(uids.slice(i, i + GET_USERS_SIZE_MAX).map( (uid) => ({uid: uid}) ));
+    }
+
+    return Promise.all(batches.map( (batch) => admin.auth().getUsers(batch) ))
+        .then( (results) => {
+            const userRecordsByUid = {};
+            for (let result of results) {
+                for (let userRecord of result.users) {
+                    userRecordsByUid[userRecord.uid] = userRecord;
+                }
+            }
+            return userRecordsByUid;
+        })
+    ;
+}
+
+
+/**
+ * Find a user by an email or a uid. A uid with no account is still found, for the data it may have left behind
+ */
+function findUser(emailOrUid) {
+    const isEmail = emailOrUid.includes('@');
+    const userRecordPromise = isEmail ? admin.auth().getUserByEmail(emailOrUid) : admin.auth().getUser(emailOrUid);
+
+    return userRecordPromise
+        .then( (userRecord) => {
+            return {
+                uid: userRecord.uid,
+                email: userRecord.email || null,
+                hasAccount: true,
+            };
+        })
+        .catch( (error) => {
+            if (error.code !== 'auth/user-not-found') throw error;
+            if (isEmail) throw new Error(`No user ${emailOrUid}`);
+            return {
+                uid: emailOrUid,
+                email: null,
+                hasAccount: false,
+            };
+        })
+    ;
+}
+
+
+/**
+ * Describe a user in a report
+ */
+function toUserReport(uid, userRecordsByUid) {
+    const userRecord = userRecordsByUid[uid];
+    return {
+        uid: uid,
+        email: userRecord ? userRecord.email || null : null,
+        hasAccount: !!userRecord,
+    };
+}
+
+
+/**
+ * Commit given writes, each being a function of a write batch, in batches one after another
+ */
+function commitWrites(writes) {
+    let promise = Promise.resolve();
+    for (let i = 0; i < writes.length; i += BATCH_SIZE_MAX) {
+        const batchWrites = writes.slice(i, i + BATCH_SIZE_MAX);
+        promise = promise.then( () => {
+            const batch = admin.firestore().batch();
+            for (let write of batchWrites) write(batch);
+            return batch.commit();
+        });
+    }
+    return promise;
+}
+
+
+/**
+ * Parse command-line arguments into a command, its operands and the options
+ */
+function parseArguments(argv) {
+    const operands = [];
+    let apply = false;
+    let projectId = process.env.GCLOUD_PROJECT || null;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--apply') {
+            apply = true;
+        } else if (argv[i] === '--project') {
+            projectId = argv[++i] || null;
+        } else {
+            operands.push(argv[i]);
+        }
+    }
+    return {
+        command: operands[0] || null,
+        operands: operands.slice(1),
+        apply: apply,
+        projectId: projectId,
+    };
+}
+
+
+/**
+ * Run a command given on the command line and print its report
+ */
+function main(argv) {
+    const args = parseArguments(argv);
+    const commands = {
+        'list-families': {arity: 0, run: () => listFamilies()},
+        'show-user': {arity: 1, run: () => showUser(args.operands[0])},
+        'find-problems': {arity: 0, run: () => findProblems()},
+        'repair-family': {arity: 1, run: () => repairFamily(args.operands[0], args.apply)},
+        'merge-families': {arity: 2, run: () => mergeFamilies(args.operands[0], args.operands[1], args.apply)},
+    };
+    const command = commands[args.command];
+    if (!command || args.operands.length !== command.arity) {
+        console.error(USAGE);
+        process.exitCode = 2;
+        return Promise.resolve();
+    }
+
+    if (admin.apps.length === 0) admin.initializeApp(args.projectId ? {projectId: args.projectId} : undefined);
+    return command.run()
+        .then( (report) => {
+            console.log(JSON.stringify(report, null, 2));
+            if ('applied' in report && !args.apply) console.error("Dry run: nothing is written; add --apply to write the changes");
+        })
+        .catch( (error) => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .then( () => admin.apps.length > 0 ? admin.app().delete() : null )
+    ;
+}
+
+
+if (require.main === module) main(process.argv.slice(2));
+
+
+module.exports = {
+    listFamilies: listFamilies,
+    showUser: showUser,
+    findProblems: findProblems,
+    repairFamily: repairFamily,
+    mergeFamilies: mergeFamilies,
+    planFamilyRepair: planFamilyRepair,
+};